@@ -0,0 +1,169 @@
+// Declared schema for the analysis object returned by analyze-letter.
+// Used for OpenAI strict structured output, for validating the reply, and for
+// filling defaults so downstream pages always receive well-typed fields.
+
+const { COVERAGE_LINES, DENIAL_CATEGORIES, UNKNOWN } = require('./_denial-taxonomy.js');
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+
+const ENTITIES_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['claimNumber', 'policyNumber', 'insurer', 'adjuster', 'dateOfLoss', 'denialDate', 'amountClaimed', 'amountPaid', 'policySections'],
+  properties: {
+    claimNumber: nullableString,
+    policyNumber: nullableString,
+    insurer: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['name', 'address'],
+      properties: { name: nullableString, address: nullableString },
+    },
+    adjuster: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['name', 'phone', 'email'],
+      properties: { name: nullableString, phone: nullableString, email: nullableString },
+    },
+    dateOfLoss: nullableString,
+    denialDate: nullableString,
+    amountClaimed: nullableNumber,
+    amountPaid: nullableNumber,
+    policySections: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'letterType',
+    'coverageLine',
+    'denialCategory',
+    'summary',
+    'reason',
+    'requiredActions',
+    'nextSteps',
+    'urgency',
+    'estimatedResolution',
+    'appealRights',
+    'entities',
+  ],
+  properties: {
+    letterType: { type: 'string' },
+    coverageLine: { type: 'string', enum: [...Object.keys(COVERAGE_LINES), UNKNOWN] },
+    denialCategory: { type: 'string', enum: [...Object.keys(DENIAL_CATEGORIES), UNKNOWN] },
+    summary: { type: 'string' },
+    reason: { type: 'string' },
+    requiredActions: { type: 'string' },
+    nextSteps: { type: 'string' },
+    urgency: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+    estimatedResolution: { type: 'string' },
+    appealRights: nullableString,
+    entities: ENTITIES_SCHEMA,
+  },
+};
+
+// Values used when the model omits a field or returns it with the wrong type.
+// appealRights stays null so analyze-letter can fill it from the deadline engine.
+const ANALYSIS_DEFAULTS = {
+  letterType: 'Insurance Claim Denial',
+  coverageLine: UNKNOWN,
+  denialCategory: UNKNOWN,
+  summary: 'We could not produce a reliable summary of this letter. Please review the original denial carefully.',
+  reason: 'The denial reason could not be determined from the letter text',
+  requiredActions: 'Review the denial letter for required actions and deadlines',
+  nextSteps: 'Consider consulting a licensed public adjuster or insurance attorney',
+  urgency: 'Medium',
+  estimatedResolution: 'Varies',
+  appealRights: null,
+  entities: null,
+};
+
+// OpenAI response_format for strict structured output
+const RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'denial_analysis', strict: true, schema: ANALYSIS_SCHEMA },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.includes(typeOf(value));
+}
+
+// Minimal JSON Schema validator covering the keywords used above.
+// Returns a list of "path: problem" strings; an empty list means the value is valid.
+function validate(value, schema = ANALYSIS_SCHEMA, path = '$') {
+  const errors = [];
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        errors.push(...validate(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    }
+  }
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+  }
+  return errors;
+}
+
+// Parse a model reply into an object, tolerating stray markdown fences.
+function parseModelJson(raw) {
+  if (typeof raw !== 'string') return { value: null, error: 'Empty response' };
+  const cleaned = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(cleaned), error: null };
+  } catch (err) {
+    return { value: null, error: `Invalid JSON: ${err.message}` };
+  }
+}
+
+// Keep every top-level field that validates and default the rest.
+// fieldSources records which fields were model-produced and which were defaulted.
+function applyDefaults(candidate) {
+  const source = candidate && typeOf(candidate) === 'object' ? candidate : {};
+  const analysis = {};
+  const fieldSources = {};
+
+  for (const [field, schema] of Object.entries(ANALYSIS_SCHEMA.properties)) {
+    const present = field in source && validate(source[field], schema, field).length === 0;
+    const usable = present && !(schema.type === 'string' && !source[field].trim());
+    analysis[field] = usable ? source[field] : ANALYSIS_DEFAULTS[field];
+    fieldSources[field] = usable ? 'model' : 'default';
+  }
+  return { analysis, fieldSources };
+}
+
+function repairInstruction(errors) {
+  return `Your previous reply did not match the required JSON schema:\n${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}\n\nReturn the complete corrected JSON object only, with every required field present and correctly typed.`;
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  ANALYSIS_DEFAULTS,
+  RESPONSE_FORMAT,
+  validate,
+  parseModelJson,
+  applyDefaults,
+  repairInstruction,
+};
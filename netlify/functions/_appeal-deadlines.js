@@ -0,0 +1,257 @@
+// Appeal deadline engine: computes internal-appeal, external-review and suit-limitation dates
+// from the denial date, the policyholder's state and the line of coverage.
+// Rules are a local table; every result carries the basis it was computed from so users can verify it.
+
+const { parseDate } = require('./_claim-entities.js');
+
+const RULES_VERSION = '2026-10';
+
+// Federal rules for employer plans and ACA-regulated health coverage
+const FEDERAL_RULES = {
+  health: {
+    internalAppeal: { days: 180, basis: 'ERISA / ACA claims procedure: at least 180 days after an adverse benefit determination (29 CFR 2560.503-1(h)(3)(i); 45 CFR 147.136(b))' },
+    externalReview: { months: 4, basis: 'ACA external review: 4 months after the final internal adverse benefit determination (45 CFR 147.136(d))' },
+  },
+  disability: {
+    internalAppeal: { days: 180, basis: 'ERISA disability claims procedure: at least 180 days after an adverse benefit determination (29 CFR 2560.503-1(h)(4))' },
+  },
+  life: {
+    internalAppeal: { days: 60, basis: 'ERISA claims procedure for group life plans: at least 60 days after an adverse benefit determination (29 CFR 2560.503-1(h)(2)(i))' },
+  },
+};
+
+// Per-state limitation periods, in years.
+// contract: statute of limitations for actions on a written contract.
+// property: statutory suit-limitation period for property (fire) policies where the state sets one;
+//           otherwise the policy's own suit clause applies, bounded by the contract period.
+const STATE_RULES = {
+  AL: { name: 'Alabama', contract: 6 },
+  AK: { name: 'Alaska', contract: 3 },
+  AZ: { name: 'Arizona', contract: 6 },
+  AR: { name: 'Arkansas', contract: 5 },
+  CA: { name: 'California', contract: 4, property: { years: 1, basis: 'Cal. Ins. Code § 2071 (12 months, tolled while the claim is under review)' } },
+  CO: { name: 'Colorado', contract: 3 },
+  CT: { name: 'Connecticut', contract: 6, property: { years: 2, basis: 'Conn. Gen. Stat. § 38a-307 (2 years after the loss)' } },
+  DE: { name: 'Delaware', contract: 3 },
+  DC: { name: 'District of Columbia', contract: 3 },
+  FL: { name: 'Florida', contract: 5 },
+  GA: { name: 'Georgia', contract: 6 },
+  HI: { name: 'Hawaii', contract: 6 },
+  ID: { name: 'Idaho', contract: 5 },
+  IL: { name: 'Illinois', contract: 10, property: { years: 1, basis: '215 ILCS 5/143.1 (policy suit clause of at least 1 year, tolled from proof of loss to denial)' } },
+  IN: { name: 'Indiana', contract: 10 },
+  IA: { name: 'Iowa', contract: 10 },
+  KS: { name: 'Kansas', contract: 5 },
+  KY: { name: 'Kentucky', contract: 10 },
+  LA: { name: 'Louisiana', contract: 10, property: { years: 2, basis: 'La. R.S. 22:868(B) (policy may not limit suit to less than 24 months after the loss)' } },
+  ME: { name: 'Maine', contract: 6 },
+  MD: { name: 'Maryland', contract: 3 },
+  MA: { name: 'Massachusetts', contract: 6, property: { years: 2, basis: 'M.G.L. c. 175, § 99 (2 years after the cause of action accrues)' } },
+  MI: { name: 'Michigan', contract: 6, property: { years: 1, basis: 'MCL 500.2833(1)(q) (1 year after the loss, tolled from notice until formal denial)' } },
+  MN: { name: 'Minnesota', contract: 6, property: { years: 2, basis: 'Minn. Stat. § 65A.01, subd. 3 (2 years after the loss)' } },
+  MS: { name: 'Mississippi', contract: 3 },
+  MO: { name: 'Missouri', contract: 10 },
+  MT: { name: 'Montana', contract: 8 },
+  NE: { name: 'Nebraska', contract: 5 },
+  NV: { name: 'Nevada', contract: 6 },
+  NH: { name: 'New Hampshire', contract: 3 },
+  NJ: { name: 'New Jersey', contract: 6 },
+  NM: { name: 'New Mexico', contract: 6 },
+  NY: { name: 'New York', contract: 6, property: { years: 2, basis: 'N.Y. Ins. Law § 3404 standard fire policy (2 years after the loss)' } },
+  NC: { name: 'North Carolina', contract: 3, property: { years: 3, basis: 'N.C. Gen. Stat. § 58-44-16 (3 years after the loss)' } },
+  ND: { name: 'North Dakota', contract: 6 },
+  OH: { name: 'Ohio', contract: 6 },
+  OK: { name: 'Oklahoma', contract: 5 },
+  OR: { name: 'Oregon', contract: 6, property: { years: 2, basis: 'ORS 742.240 (2 years after the loss)' } },
+  PA: { name: 'Pennsylvania', contract: 4 },
+  PR: { name: 'Puerto Rico', contract: 15 },
+  RI: { name: 'Rhode Island', contract: 10 },
+  SC: { name: 'South Carolina', contract: 3 },
+  SD: { name: 'South Dakota', contract: 6 },
+  TN: { name: 'Tennessee', contract: 6 },
+  TX: { name: 'Texas', contract: 4, property: { years: 2, basis: 'Tex. Civ. Prac. & Rem. Code § 16.070 (policy may not limit suit to less than 2 years after the claim accrues)' } },
+  UT: { name: 'Utah', contract: 6 },
+  VT: { name: 'Vermont', contract: 6 },
+  VA: { name: 'Virginia', contract: 5, property: { years: 2, basis: 'Va. Code § 38.2-2105 (2 years after the loss)' } },
+  WA: { name: 'Washington', contract: 6, property: { years: 1, basis: 'RCW 48.18.200 (policy may not limit suit to less than 1 year after the loss)' } },
+  WV: { name: 'West Virginia', contract: 10 },
+  WI: { name: 'Wisconsin', contract: 6 },
+  WY: { name: 'Wyoming', contract: 10 },
+};
+
+const PROPERTY_LINES = ['homeowners', 'commercial'];
+
+// The state of a "City, ST 12345" address line, or null. A bare city ("Washington") is not a state.
+function stateFromCityLine(value) {
+  const cityLine = typeof value === 'string' && value.trim().match(/,\s*([A-Za-z]{2})\.?\s*(?:\d{5}(?:-\d{4})?)?\s*$/);
+  return cityLine && STATE_RULES[cityLine[1].toUpperCase()] ? cityLine[1].toUpperCase() : null;
+}
+
+// Accepts "TX", "Texas" or a "City, ST 12345" line.
+function normalizeState(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  const upper = trimmed.toUpperCase();
+  if (STATE_RULES[upper]) return upper;
+
+  const byName = Object.entries(STATE_RULES).find(([, rule]) => rule.name.toLowerCase() === trimmed.toLowerCase());
+  if (byName) return byName[0];
+
+  return stateFromCityLine(trimmed);
+}
+
+// A UTC date for a YYYY-MM-DD string, or null. Date.UTC rolls impossible dates over (2024-13-45 would be
+// 2025-02-14), so a date whose parts don't read back is refused: a wrong deadline is worse than none.
+function parseIsoDate(iso) {
+  const match = typeof iso === 'string' && iso.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return toIsoDate(date) === iso ? date : null;
+}
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addPeriod(iso, { days = 0, months = 0, years = 0 }) {
+  const start = parseIsoDate(iso);
+  if (!start) return null;
+  // Month and year steps clamp to the last day of the target month (Jan 31 + 1 month = Feb 28)
+  const targetMonth = start.getUTCMonth() + months + years * 12;
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+  const date = new Date(Date.UTC(start.getUTCFullYear(), targetMonth, Math.min(start.getUTCDate(), lastDay)));
+  date.setUTCDate(date.getUTCDate() + days);
+  return toIsoDate(date);
+}
+
+// Appeal windows as letters state them, in English and Spanish: "you may appeal within 60 days",
+// "within sixty (60) calendar days", "puede apelar dentro de los 60 días", "en un plazo de sesenta (60) días"
+const DAY_COUNT = '(?:[a-záéíóúñ-]+\\s+)?\\(?(\\d{1,3})\\)?\\s+';
+const APPEAL_WINDOWS = [
+  { request: '(?:appeal|request (?:a )?(?:review|reconsideration)|reconsideration)', window: `within\\s+${DAY_COUNT}(?:calendar\\s+)?days`, after: '(?:appeal|review|reconsideration)' },
+  { request: '(?:apelaci[oó]n|apelar|revisi[oó]n|reconsideraci[oó]n)', window: `(?:dentro de(?:l plazo de)?(?: los)?|en un plazo de|en los)\\s+${DAY_COUNT}d[ií]as`, after: '(?:apelaci[oó]n|apelar|revisi[oó]n|reconsideraci[oó]n)' },
+];
+
+// Pull an appeal window stated in the letter, in days
+function findStatedAppealDays(text = '') {
+  for (const { request, window, after } of APPEAL_WINDOWS) {
+    const match = text.match(new RegExp(`${request}[^.]{0,120}?${window}`, 'i'))
+      || text.match(new RegExp(`${window}[^.]{0,120}?${after}`, 'i'));
+    if (match) return parseInt(match[1], 10);
+  }
+  return null;
+}
+
+function computeInternalAppeal(coverageLine, denialDate, statedDays) {
+  const federal = FEDERAL_RULES[coverageLine]?.internalAppeal;
+  if (federal) {
+    // Plans may allow more time than the federal minimum but never less
+    if (!statedDays || statedDays === federal.days) return { date: addPeriod(denialDate, { days: federal.days }), days: federal.days, basis: federal.basis };
+    if (statedDays > federal.days) {
+      return { date: addPeriod(denialDate, { days: statedDays }), days: statedDays, basis: `Appeal window stated in the denial letter (${statedDays} days)` };
+    }
+    // A shorter stated window may not be enforceable, but the user shouldn't count on that: the
+    // earlier date is the deadline and both dates are kept
+    const federalDate = addPeriod(denialDate, { days: federal.days });
+    return {
+      date: addPeriod(denialDate, { days: statedDays }),
+      days: statedDays,
+      basis: `Appeal window stated in the denial letter (${statedDays} days)`,
+      federalMinimum: { date: federalDate, days: federal.days, basis: federal.basis },
+      conflict: `The denial letter allows ${statedDays} days, less than the ${federal.days}-day federal minimum${federalDate ? ` (${federalDate})` : ''}. Appeal by the earlier date to be safe.`,
+    };
+  }
+  if (statedDays) {
+    return { date: addPeriod(denialDate, { days: statedDays }), days: statedDays, basis: `Appeal window stated in the denial letter (${statedDays} days)` };
+  }
+  return { date: null, days: null, basis: 'No statutory internal appeal deadline for this line of coverage; follow the policy and the denial letter' };
+}
+
+function computeExternalReview(coverageLine, denialDate) {
+  const federal = FEDERAL_RULES[coverageLine]?.externalReview;
+  if (!federal) {
+    return { date: null, basis: 'External review is not generally available for this line of coverage; a complaint to the state Department of Insurance is the usual route' };
+  }
+  return {
+    date: addPeriod(denialDate, { months: federal.months }),
+    basis: `${federal.basis}. Date assumes this letter is the final internal determination.`,
+  };
+}
+
+function computeSuitLimitation(coverageLine, state, dateOfLoss, denialDate) {
+  const rule = STATE_RULES[state];
+  if (!rule) return { date: null, basis: 'Policyholder state unknown; check the policy suit-limitation clause' };
+
+  if (PROPERTY_LINES.includes(coverageLine) && rule.property) {
+    const from = dateOfLoss || denialDate;
+    return {
+      date: addPeriod(from, { years: rule.property.years }),
+      basis: `${rule.property.basis}; counted from the ${dateOfLoss ? 'date of loss' : 'denial date'}. The policy's suit clause may allow longer.`,
+    };
+  }
+  if (FEDERAL_RULES[coverageLine] && coverageLine !== 'life') {
+    // ERISA borrows the state contract period unless the plan sets a reasonable shorter one
+    return {
+      date: addPeriod(denialDate, { years: rule.contract }),
+      basis: `${rule.name} written-contract limitation (${rule.contract} years) borrowed for ERISA claims; the plan document may set a shorter period`,
+    };
+  }
+  return {
+    date: addPeriod(denialDate, { years: rule.contract }),
+    basis: `${rule.name} written-contract limitation (${rule.contract} years); the policy may require suit sooner`,
+  };
+}
+
+// Returns the deadline block stored on cla_letters.deadlines and shown in the analysis.
+// Dates are read the way claim extraction reads them; dates that aren't real days are treated as unknown.
+function computeDeadlines({ denialDate: denialValue = null, dateOfLoss: lossValue = null, state = null, coverageLine = 'unknown', letterText = '' } = {}) {
+  const denialDate = parseDate(denialValue);
+  const dateOfLoss = parseDate(lossValue);
+  const policyholderState = normalizeState(state);
+  const statedAppealDays = findStatedAppealDays(letterText);
+  const notes = [];
+
+  if (!denialDate) {
+    notes.push(denialValue
+      ? `Denial date "${String(denialValue).slice(0, 20)}" is not a valid date; deadlines cannot be dated.`
+      : 'Denial date not found in the letter; deadlines cannot be dated.');
+  }
+  if (!policyholderState) notes.push('Policyholder state unknown; suit-limitation period not computed.');
+  if (coverageLine === 'unknown') notes.push('Line of coverage unknown; federal appeal rules were not applied.');
+
+  return {
+    rulesVersion: RULES_VERSION,
+    state: policyholderState,
+    coverageLine,
+    denialDate,
+    statedAppealDays,
+    internalAppeal: computeInternalAppeal(coverageLine, denialDate, statedAppealDays),
+    externalReview: computeExternalReview(coverageLine, denialDate),
+    suitLimitation: computeSuitLimitation(coverageLine, policyholderState, dateOfLoss, denialDate),
+    notes,
+  };
+}
+
+// One-line summary used as the appealRights fallback.
+function describeDeadlines(deadlines) {
+  const parts = [];
+  if (deadlines.internalAppeal.date) {
+    parts.push(`Internal appeal due by ${deadlines.internalAppeal.date}${deadlines.internalAppeal.federalMinimum?.date ? ` (the letter's window; the federal minimum runs to ${deadlines.internalAppeal.federalMinimum.date})` : ''}`);
+  }
+  if (deadlines.externalReview.date) parts.push(`external review request due by ${deadlines.externalReview.date}`);
+  if (deadlines.suitLimitation.date) parts.push(`lawsuit must be filed by ${deadlines.suitLimitation.date}`);
+  if (!parts.length) return 'Review the denial letter and your policy for the appeal procedure and deadline';
+  return `${parts.join('; ')} (estimated — verify against your policy).`;
+}
+
+module.exports = {
+  RULES_VERSION,
+  FEDERAL_RULES,
+  STATE_RULES,
+  normalizeState,
+  stateFromCityLine,
+  addPeriod,
+  findStatedAppealDays,
+  computeDeadlines,
+  describeDeadlines,
+};
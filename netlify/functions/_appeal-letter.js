@@ -0,0 +1,321 @@
+// Appeal letter generation shared by generate-response (JSON) and generate-response-stream (SSE).
+// prepareLetter loads the record and profile, retrieves policy clauses and builds the redacted prompt;
+// finishLetter restores redacted values, assembles the full letter, checks quotes and facts and saves it to cla_letters;
+// translateReadingCopy translates the saved letter into the user's language for reference.
+
+const { getSupabaseAdmin } = require("./_supabase.js");
+const llm = require("./_llm.js");
+const { normalizeEntities, describeEntities, ENTITY_FIELDS, getField } = require("./_claim-entities.js");
+const redaction = require("./_redaction.js");
+const policyIndex = require("./_policy-index.js");
+const letterAssembly = require("./_letter-assembly.js");
+const letterVersions = require("./_letter-versions.js");
+const letterPresets = require("./_letter-presets.js");
+const letterKinds = require("./_letter-kinds.js");
+const exhibitIndex = require("./_exhibits.js");
+const stateRegulations = require("./_state-regulations.js");
+const factCheck = require("./_fact-check.js");
+const languages = require("./_languages.js");
+const { requireOwner } = require("./_auth.js");
+
+// A request the letter can't be written from (unknown option, missing required field); handlers return 400
+class LetterRequestError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'LetterRequestError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+// Sampling options for the "letter" task; the model comes from the LLM task config (_llm.js)
+const COMPLETION_OPTIONS = {
+  temperature: 0.8,
+  top_p: 0.9,
+};
+
+// Sampling options for the "translation" task: a faithful translation, not a rewrite
+const TRANSLATION_OPTIONS = {
+  temperature: 0.2,
+};
+
+// user is the signed-in user ({ id, email }) or null; a recordId is only used when the user owns it
+async function prepareLetter({ summary, recordId = null, entities: requestEntities = null, policyQuotes: requestQuotes = [], letterText = "", profile: requestProfile = null, userData = null, tone = null, approach = null, style = null, letterKind = null, letterDetails = null, exhibits: requestEvidence = null, letterLanguage = null, readingCopy = false, readingCopyLanguage = null, preferredLanguage = null }, { user = null } = {}) {
+  // Presets and letter kinds are catalog keys only
+  const { values: requestedPresets, errors: presetErrors } = letterPresets.validatePresets({ tone, approach, style });
+  if (presetErrors.length) throw new LetterRequestError("Invalid letter options", presetErrors);
+  const kindError = letterKinds.validateLetterKind(letterKind);
+  if (kindError) throw new LetterRequestError("Invalid letter options", [kindError]);
+  const languageErrors = [
+    languages.validateLanguage(letterLanguage, 'letterLanguage'),
+    languages.validateLanguage(readingCopyLanguage, 'readingCopyLanguage'),
+    languages.validateLanguage(preferredLanguage, 'preferredLanguage'),
+  ].filter(Boolean);
+  if (languageErrors.length) throw new LetterRequestError("Invalid letter options", languageErrors);
+  const kind = letterKind || letterKinds.DEFAULT_KIND;
+  const details = letterKinds.normalizeDetails(kind, letterDetails);
+
+  // Claim facts extracted by analyze-letter; the stored record wins over the request body
+  let entities = normalizeEntities(requestEntities);
+  let redactionAudit = [];
+  let policySections = [];
+  let sourceLetterText = letterText;
+  let policyholderState = null;
+  let coverageLine = 'unknown';
+  let caseDocuments = [];
+  let storedEvidence = [];
+  let denialLanguage = null;
+  let recordPreferredLanguage = null;
+  if (recordId) {
+    const supabase = getSupabaseAdmin();
+    const { data: record, error: recordError } = await supabase
+      .from("cla_letters")
+      .select("claim_entities, redaction_audit, policy_sections, letter_text, user_email, policyholder_state, deadlines, documents, exhibits, denial_language, preferred_language")
+      .eq("id", recordId)
+      .single();
+    if (recordError) throw recordError;
+    requireOwner(user, record);
+    if (record?.claim_entities) entities = normalizeEntities(record.claim_entities);
+    if (Array.isArray(record?.redaction_audit)) redactionAudit = record.redaction_audit;
+    if (Array.isArray(record?.policy_sections)) policySections = record.policy_sections;
+    if (record?.letter_text) sourceLetterText = record.letter_text;
+    policyholderState = record?.policyholder_state || record?.deadlines?.state || null;
+    if (record?.deadlines?.coverageLine) coverageLine = record.deadlines.coverageLine;
+    if (Array.isArray(record?.documents)) caseDocuments = record.documents;
+    if (Array.isArray(record?.exhibits)) storedEvidence = record.exhibits.filter(exhibit => exhibit.source === 'upload');
+    if (languages.isLanguage(record?.denial_language)) denialLanguage = record.denial_language;
+    if (languages.isLanguage(record?.preferred_language)) recordPreferredLanguage = record.preferred_language;
+  }
+
+  // The letter is written in the insurer's language: the one the denial was written in, unless the request picks one
+  const language = letterLanguage || denialLanguage || languages.detectLanguage(sourceLetterText).language;
+
+  // Exhibits: the stored case documents, then the user's evidence (the request's list replaces the stored one)
+  let exhibits;
+  try {
+    exhibits = exhibitIndex.buildExhibits({ documents: caseDocuments, evidence: Array.isArray(requestEvidence) ? requestEvidence : storedEvidence });
+  } catch (exhibitError) {
+    throw new LetterRequestError(exhibitError.message);
+  }
+
+  // Sender details: fields sent with the request win. Only a signed-in user's saved profile fills the
+  // gaps and is updated; the email in the request is printed in the letter but never selects a profile.
+  let profile = letterAssembly.normalizeProfile(requestProfile || userData);
+  const accountEmail = user?.email || null;
+  if (accountEmail) {
+    try {
+      const supabase = getSupabaseAdmin();
+      const savedProfile = await letterAssembly.loadProfile(supabase, accountEmail);
+      await letterAssembly.saveProfile(supabase, { ...profile, email: accountEmail });
+      profile = letterAssembly.mergeProfiles(profile, savedProfile);
+    } catch (profileError) {
+      console.error("Profile error:", profileError);
+      console.log('Continuing with the profile from the request');
+    }
+  }
+  // Every kind names the facts it can't be written without
+  const kindContext = { entities, profile, state: policyholderState, details };
+  const missing = letterKinds.missingFields(kind, kindContext);
+  if (missing.length) {
+    throw new LetterRequestError(`Missing required fields for this letter type (${letterKinds.LETTER_KINDS[kind].label})`, missing);
+  }
+
+  const renderFrame = (frameLanguage) => letterAssembly.renderFrame({
+    profile,
+    entities,
+    subject: letterKinds.subjectFor(kind, entities, frameLanguage),
+    recipient: letterKinds.recipientFor(kind, { ...kindContext, language: frameLanguage }),
+    enclosures: exhibitIndex.enclosureLines(exhibits, frameLanguage),
+    language: frameLanguage,
+  });
+  const frame = renderFrame(language);
+
+  // Reading copy: a translation into the user's language, for letters the user can't read comfortably
+  let readingLanguage = readingCopyLanguage;
+  if (!readingLanguage && readingCopy) {
+    readingLanguage = preferredLanguage || recordPreferredLanguage;
+    if (!readingLanguage && accountEmail) {
+      try {
+        readingLanguage = await languages.loadPreferredLanguage(getSupabaseAdmin(), accountEmail);
+      } catch (preferencesError) {
+        console.error("Preferred language error:", preferencesError);
+        console.log('Continuing without a reading copy');
+      }
+    }
+  }
+  if (readingLanguage === language) readingLanguage = null;
+
+  // Presets the request left out come from the user's saved preferences
+  let preferredPresets = {};
+  if (accountEmail) {
+    try {
+      preferredPresets = await letterPresets.loadPreferredPresets(getSupabaseAdmin(), accountEmail);
+    } catch (preferencesError) {
+      console.error("Preferences error:", preferencesError);
+      console.log('Continuing with the default presets');
+    }
+  }
+  const presets = letterPresets.resolvePresets(requestedPresets, preferredPresets);
+
+  // Only the policyholder's state (and federal rules for the line of coverage) may be cited
+  const regulations = stateRegulations.relevantRegulations({ state: policyholderState, coverageLine });
+
+  // Policy clauses to quote: retrieved from the stored policy index, else the analysis' excerpts
+  const policyQuotes = policySections.length
+    ? policyIndex.findPolicyQuotes(policySections, { citedSections: entities.policySections, reason: [summary, letterKinds.LETTER_KINDS[kind].policyTerms].filter(Boolean).join(' ') }, { limit: 6 })
+    : (Array.isArray(requestQuotes) ? requestQuotes : []).filter(quote => quote && quote.quote && quote.citation);
+
+  // Redact personal data before it reaches the model. Claim facts that analyze-letter
+  // redacted (e.g. a member ID used as the policy number) are matched by fingerprint.
+  const vault = redaction.createVault();
+  const factValues = ENTITY_FIELDS.flatMap(field => [].concat(getField(entities, field) ?? [])).map(String);
+  redaction.addKnownValues(vault, factValues, redactionAudit);
+  const claimFacts = redaction.redactText(vault, describeEntities(entities));
+  const promptSummary = redaction.redactText(vault, summary);
+  const policyExcerpts = redaction.redactText(vault, policyIndex.describePolicyQuotes(policyQuotes));
+  const letterFacts = redaction.redactText(vault, letterKinds.describeDetails(kind, details));
+  const exhibitList = redaction.redactText(vault, exhibitIndex.describeExhibits(exhibits));
+  const { documentName } = letterKinds.LETTER_KINDS[kind];
+
+  const messages = [
+    {
+      role: "system",
+      content: `You are an experienced insurance adjuster and consumer advocate with 20+ years of experience specializing in insurance claim denials and appeals.
+
+Write a professional, legally-compliant ${documentName} with the following specifications:
+
+${letterPresets.presetInstructions(presets)}
+
+1. **Format & Structure:**
+   - ${letterAssembly.BODY_INSTRUCTION}
+   - Where the body refers to the claim number, policy number, or denial date, use them exactly as given in the CLAIM FACTS
+   - Write the body in ${languages.describeLanguage(language)}, the language of the denial letter. Keep claim numbers, policy numbers, names, dollar amounts and statute citations exactly as written
+
+**CLAIM FACTS (extracted from the denial letter):**
+${claimFacts}
+
+${letterFacts ? `**LETTER DETAILS (provided by the policyholder):**\n${letterFacts}\n\n` : ''}Use these values verbatim. Never invent a claim number, policy number, date, dollar amount, or insurer detail, and never write bracketed placeholders such as "[Claim Number]". If a fact is not available, leave it out of the letter.
+
+**POLICY EXCERPTS (verbatim from the policyholder's policy):**
+${policyExcerpts || 'None provided.'}
+
+Quote policy language only from these excerpts, word for word inside quotation marks, followed by the section and page, e.g. "..." (SECTION I - EXCLUSIONS › 3. Wear and Tear, page 2). You may shorten a quote with "…" but never change its words. If no excerpts are provided, refer to the policy sections listed in the CLAIM FACTS by name without quoting them.
+
+**STATE AND FEDERAL LAW (the only law you may cite):**
+${stateRegulations.describeRegulations(regulations) || 'None available for this claim.'}
+
+${stateRegulations.REGULATION_INSTRUCTION}
+
+**EXHIBITS (enclosed with the letter):**
+${exhibitList || 'None.'}
+
+${exhibitList ? exhibitIndex.EXHIBIT_INSTRUCTION : 'Do not cite any exhibits.'}
+
+${redaction.TOKEN_INSTRUCTION}
+
+2. **Structure (in this order):**
+${letterKinds.describeStructure(kind)}
+
+3. **Professional Standards:**
+   - Use precise insurance terminology and policy references
+   - Include appropriate legal disclaimers
+   - Follow current state insurance appeal guidelines
+   - Ensure all statements are accurate and verifiable
+
+Write a letter that matches the specified tone, approach, and style while protecting the policyholder's rights and maintaining professional standards.`
+    },
+    {
+      role: "user",
+      content: `Based on this insurance denial letter analysis, write the ${documentName}:\n\n${promptSummary}\n\nEnsure the letter follows the structure above, addresses the issues raised, and provides clear explanations.`
+    }
+  ];
+
+  return { recordId, messages, vault, redactionAudit, policySections, policyQuotes, sourceLetterText, frame, presets, letterKind: kind, letterDetails: details, entities, exhibits, regulations, author: accountEmail, language, readingLanguage, readingFrame: readingLanguage ? renderFrame(readingLanguage) : null };
+}
+
+// Restore, assemble, check and save the model's letter as a new version.
+// Returns { letter, body, quoteCheck, exhibitCheck, citationCheck, factCheck, version }.
+async function finishLetter(prepared, rawLetter) {
+  const { recordId, vault, redactionAudit, policySections, policyQuotes, sourceLetterText, frame, letterKind, letterDetails, entities, exhibits, regulations, author, language } = prepared;
+
+  // Put the redacted values back on our side and drop statute citations that aren't in the
+  // regulations dataset, then wrap the body in the rendered letter frame
+  const { text: body, citationCheck } = stateRegulations.checkCitations(redaction.restoreText(vault, rawLetter || ""), regulations);
+  if (citationCheck.unverified.length || citationCheck.removed.length) console.log('Unverified statute citations in generated letter:', citationCheck);
+  const letter = letterAssembly.assembleLetter(frame, body);
+
+  // Every quoted passage must appear in the policy or the denial letter itself
+  const quoteSources = policySections.length ? policySections.map(section => section.text) : policyQuotes.map(quote => quote.quote);
+  const quoteCheck = policyIndex.verifyQuotes(letter, [...quoteSources, sourceLetterText]);
+  if (quoteCheck.unverified.length) console.log('Unverified quotes in generated letter:', quoteCheck.unverified);
+
+  // Inline exhibit citations must point at an enclosed exhibit
+  const exhibitCheck = exhibitIndex.checkExhibitCitations(letter, exhibits);
+  if (exhibitCheck.unknown.length) console.log('Letter cites exhibits that were not enclosed:', exhibitCheck.unknown);
+
+  // Claim numbers, dates, amounts and insurer names in the body must match the denial's facts;
+  // anything flagged blocks the download until the user acknowledges it
+  const facts = factCheck.checkFacts(body, {
+    entities,
+    details: letterDetails,
+    sourceTexts: [...quoteSources, sourceLetterText],
+    letterDate: new Date().toISOString(),
+    language,
+  });
+  if (facts.requiresAcknowledgement) console.log(`Fact check issues in generated letter: ${facts.mismatches.length} mismatched, ${facts.unsupported.length} unsupported`);
+
+  // Store the letter as a new version of the existing record (if provided). The fact check is saved
+  // first so the new ai_response is never downloadable under an earlier acknowledgement.
+  let version = null;
+  if (recordId) {
+    const supabase = getSupabaseAdmin();
+    const { error } = await supabase
+      .from("cla_letters")
+      .update({ letter_kind: letterKind, letter_details: letterDetails, letter_language: language, exhibits, fact_check: facts, fact_check_acknowledged_at: null, reading_copy: null, reading_copy_sha256: null, redaction_audit: [...redactionAudit, redaction.auditRecord(vault, "generate-response")] })
+      .eq("id", recordId);
+    if (error) throw error;
+    version = await letterVersions.recordVersion(supabase, { letterId: recordId, content: letter, author, source: "generate" });
+  }
+
+  return { letter, body, quoteCheck, exhibitCheck, citationCheck, factCheck: facts, version };
+}
+
+// Translate the letter body into prepared.readingLanguage and wrap it in the frame rendered in that
+// language, under a notice that the copy is not to be sent. The body is redacted on the way to the
+// model like the letter prompt. Saved to cla_letters.reading_copy.
+// Returns { language, letter } or null when no reading copy was asked for.
+async function translateReadingCopy(prepared, body) {
+  const { recordId, vault, readingLanguage, readingFrame, language } = prepared;
+  if (!readingLanguage) return null;
+
+  const completion = await llm.complete("translation", {
+    ...TRANSLATION_OPTIONS,
+    messages: [
+      {
+        role: "system",
+        content: `Translate the insurance appeal letter the user sends from ${languages.describeLanguage(language)} into ${languages.describeLanguage(readingLanguage)} so the policyholder can read it. Translate faithfully without adding, removing or softening anything. Keep names, claim and policy numbers, dates, dollar amounts, statute citations and exhibit references ("Exhibit A") exactly as written. Return only the translation.\n\n${redaction.TOKEN_INSTRUCTION}`
+      },
+      { role: "user", content: redaction.redactText(vault, body) }
+    ],
+  });
+  const translation = letterAssembly.extractBody(redaction.restoreText(vault, completion.content));
+  const letter = `${languages.frameText(readingLanguage).readingCopyNotice}\n\n${readingFrame.header}${translation}${readingFrame.footer}`;
+  const readingCopy = { language: readingLanguage, letter };
+
+  if (recordId) {
+    const { error } = await getSupabaseAdmin()
+      .from("cla_letters")
+      .update({ reading_copy: { ...readingCopy, createdAt: new Date().toISOString() }, reading_copy_sha256: factCheck.letterHash(letter) })
+      .eq("id", recordId);
+    if (error) throw error;
+  }
+  return readingCopy;
+}
+
+module.exports = {
+  COMPLETION_OPTIONS,
+  LetterRequestError,
+  prepareLetter,
+  finishLetter,
+  translateReadingCopy,
+};
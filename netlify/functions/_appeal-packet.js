@@ -0,0 +1,344 @@
+// Appeal packet: one PDF with everything the user mails to the insurer.
+// The packet is the typeset letter followed by each exhibit in the letter's enclosure order (the
+// denial and other case documents first, then the user's evidence), every exhibit behind a cover
+// sheet. Uploaded PDFs are copied page for page, images become pages, and Word or text files and
+// case documents sent without a file are typeset from their text. An exhibit whose file is missing
+// or can't be converted keeps its cover sheet with a note, so the user can put the original behind
+// it. Every section gets an outline (bookmark) entry and every page a Bates number. Files come from
+// the request (data URLs or base64) or the case owner's folder in Storage; other URLs are never fetched.
+
+const { PDFDocument, PDFHexString, PDFName, StandardFonts, rgb } = require("pdf-lib");
+const { loadBuffer, sniffType, extractText, heicToPng, TYPE_LABELS } = require("./_document-extraction.js");
+const { exhibitTitle } = require("./_exhibits.js");
+const { roleLabel } = require("./_case-documents.js");
+const { frameText } = require("./_languages.js");
+const { PAGE, FIXED_DATE, PdfFontError, renderLetterPdf } = require("./_letter-pdf.js");
+
+const BLACK = rgb(0, 0, 0);
+const GRAY = rgb(0.35, 0.35, 0.35);
+const WHITE = rgb(1, 1, 1);
+
+// Images are scaled to fit inside this margin, and never enlarged
+const IMAGE_MARGIN = 36;
+const MAX_PACKET_PAGES = 500;
+// An exhibit file larger than this is left out with a note
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+const STORAGE_BUCKET = 'letters';
+
+const BATES_DEFAULTS = { start: 1, digits: 6 };
+const BATES_PREFIX_PATTERN = /^[A-Za-z0-9_-]{0,20}$/;
+const BATES_SIZE = 8;
+
+// null when the Bates options are missing, false or valid, else an error message
+function validateBates(bates) {
+  if (bates === undefined || bates === null || bates === false || bates === true) return null;
+  if (typeof bates !== 'object' || Array.isArray(bates)) return 'bates must be an object ({ prefix, start, digits }) or false';
+  if (bates.prefix !== undefined && (typeof bates.prefix !== 'string' || !BATES_PREFIX_PATTERN.test(bates.prefix))) {
+    return 'Bates prefix must be up to 20 letters, digits, "-" or "_"';
+  }
+  if (bates.start !== undefined && !(Number.isInteger(bates.start) && bates.start >= 1)) return 'Bates start must be a whole number of at least 1';
+  if (bates.digits !== undefined && !(Number.isInteger(bates.digits) && bates.digits >= 3 && bates.digits <= 10)) return 'Bates digits must be between 3 and 10';
+  return null;
+}
+
+// Bates settings with defaults; the prefix defaults to the claim number ("CLM2024001-000001")
+function batesSettings(bates, claimNumber) {
+  if (bates === false) return null;
+  const options = bates && typeof bates === 'object' ? bates : {};
+  const claimPrefix = claimNumber ? `${String(claimNumber).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 19)}-` : 'APPEAL-';
+  return {
+    prefix: options.prefix !== undefined ? options.prefix : claimPrefix,
+    start: options.start || BATES_DEFAULTS.start,
+    digits: options.digits || BATES_DEFAULTS.digits,
+  };
+}
+
+function batesLabel(settings, index) {
+  return `${settings.prefix}${String(settings.start + index).padStart(settings.digits, '0')}`;
+}
+
+// Characters the standard font can't show are replaced by their unaccented letter, or dropped
+function printable(font, text) {
+  return [...String(text || '')].map((char) => {
+    for (const candidate of [char, char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')]) {
+      try {
+        font.encodeText(candidate);
+        return candidate;
+      } catch (error) {
+        // try the next candidate
+      }
+    }
+    return '';
+  }).join('').replace(/\s+/g, ' ').trim();
+}
+
+function wrapText(text, font, size, width) {
+  const lines = [];
+  let current = '';
+  for (const word of text.split(' ')) {
+    const next = current ? `${current} ${word}` : word;
+    if (current && font.widthOfTextAtSize(next, size) > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = next;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+function drawCentered(page, text, { y, size, font, color = BLACK }) {
+  const { width } = page.getSize();
+  page.drawText(text, { x: (width - font.widthOfTextAtSize(text, size)) / 2, y, size, font, color });
+}
+
+function hasSource(file) {
+  return Boolean(file && (file.filePath || file.fileUrl || file.imageUrl || file.data));
+}
+
+function tooLarge() {
+  return new Error(`it is larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB`);
+}
+
+// Load an exhibit file. filePath must be in the case owner's Storage folder ("<user id>/..."); a
+// fileUrl or imageUrl must be a data URL.
+async function loadExhibitFile(file, { supabase = null, userId = null } = {}) {
+  if (file.filePath) {
+    const filePath = String(file.filePath);
+    if (!supabase || !userId || !filePath.startsWith(`${userId}/`) || filePath.split('/').includes('..')) {
+      throw new Error('it is not stored in this account');
+    }
+    const { data, error } = await supabase.storage.from(STORAGE_BUCKET).download(filePath);
+    if (error || !data) throw new Error('it could not be downloaded from storage');
+    if (data.size > MAX_FILE_BYTES) throw tooLarge();
+    return Buffer.from(await data.arrayBuffer());
+  }
+  const url = file.fileUrl || file.imageUrl;
+  if (url && !String(url).startsWith('data:')) throw new Error('only uploaded files and files stored in this account can be added');
+  // Base64 takes four characters for every three bytes
+  if (String(url || file.data || '').length * 0.75 > MAX_FILE_BYTES) throw tooLarge();
+  return loadBuffer(file);
+}
+
+// Find each exhibit's file: by exhibit letter, else by file name; `denial` goes to the exhibit made
+// from the denial letter. Returns { byExhibit: Map(letter -> source), denial } where denial is the
+// denial file when no exhibit was made from the denial letter.
+function matchFiles(exhibits, { files = [], denial = null, documents = [] } = {}) {
+  const matched = new Map();
+  const unclaimed = (Array.isArray(files) ? files : []).filter(hasSource);
+  for (const file of unclaimed.filter(file => file.exhibit)) {
+    const letter = String(file.exhibit).toUpperCase();
+    if (exhibits.some(exhibit => exhibit.letter === letter) && !matched.has(letter)) matched.set(letter, file);
+  }
+  const byName = unclaimed.filter(file => !file.exhibit && file.name);
+  for (const exhibit of exhibits) {
+    if (matched.has(exhibit.letter) || !exhibit.name) continue;
+    const index = byName.findIndex(file => file.name === exhibit.name);
+    if (index !== -1) matched.set(exhibit.letter, byName.splice(index, 1)[0]);
+  }
+  if (!hasSource(denial)) return { byExhibit: matched, denial: null };
+  const denialIds = new Set((Array.isArray(documents) ? documents : []).filter(doc => doc.role === 'denial_letter').map(doc => doc.id));
+  const exhibit = exhibits.find(item => item.source === 'case' && denialIds.has(item.documentId));
+  if (!exhibit) return { byExhibit: matched, denial };
+  if (!matched.has(exhibit.letter)) matched.set(exhibit.letter, denial);
+  return { byExhibit: matched, denial: null };
+}
+
+// Copy rendered or uploaded PDF bytes into the packet; returns the number of pages added
+async function appendPdf(packet, bytes) {
+  const source = await PDFDocument.load(bytes);
+  const pages = await packet.copyPages(source, source.getPageIndices());
+  pages.forEach(page => packet.addPage(page));
+  return pages.length;
+}
+
+// One page per image, scaled to fit a letter page
+async function appendImage(packet, buffer, type) {
+  const image = type === 'jpeg' ? await packet.embedJpg(buffer) : await packet.embedPng(type === 'heic' ? await heicToPng(buffer) : buffer);
+  const landscape = image.width > image.height;
+  const [width, height] = landscape ? [PAGE.height, PAGE.width] : [PAGE.width, PAGE.height];
+  const scale = Math.min(1, (width - 2 * IMAGE_MARGIN) / image.width, (height - 2 * IMAGE_MARGIN) / image.height);
+  const page = packet.addPage([width, height]);
+  page.drawImage(image, {
+    x: (width - image.width * scale) / 2,
+    y: (height - image.height * scale) / 2,
+    width: image.width * scale,
+    height: image.height * scale,
+  });
+  return 1;
+}
+
+async function appendText(packet, text, options) {
+  return appendPdf(packet, await renderLetterPdf(text, { ...options, letterhead: false }));
+}
+
+// Add one exhibit's pages. Returns { pages, note } where note explains a file that was left out.
+async function appendExhibit(packet, { file, text, options, storage }) {
+  try {
+    if (file) {
+      const buffer = await loadExhibitFile(file, storage);
+      const type = sniffType(buffer);
+      if (type === 'pdf') return { pages: await appendPdf(packet, buffer), note: null };
+      if (type === 'png' || type === 'jpeg' || type === 'heic') return { pages: await appendImage(packet, buffer, type), note: null };
+      if (type === 'docx' || type === 'text') {
+        const extracted = await extractText(buffer);
+        return { pages: await appendText(packet, extracted.text, options), note: null };
+      }
+      return { pages: 0, note: `${TYPE_LABELS[type] || 'This'} file can't be added to the packet. Print it and place it behind this sheet.` };
+    }
+    if (text && text.trim()) return { pages: await appendText(packet, text, options), note: null };
+    return { pages: 0, note: 'The original is not attached. Place it behind this sheet.' };
+  } catch (error) {
+    const reason = error instanceof PdfFontError ? 'it needs a Unicode font' : error.message;
+    console.log(`Exhibit left out of the packet: ${reason}`);
+    return { pages: 0, note: `This file couldn't be added to the packet (${reason}). Print it and place it behind this sheet.` };
+  }
+}
+
+function drawCoverSheet(page, section, { fonts, claimNumber, language, bates }) {
+  const { height } = page.getSize();
+  const width = PAGE.width - 2 * 72;
+  let y = height * 0.62;
+  drawCentered(page, printable(fonts.bold, section.heading), { y, size: 36, font: fonts.bold });
+  y -= 40;
+  for (const line of wrapText(printable(fonts.regular, section.title), fonts.regular, 14, width)) {
+    drawCentered(page, line, { y, size: 14, font: fonts.regular });
+    y -= 20;
+  }
+  y -= 16;
+  const details = [
+    claimNumber ? `${printable(fonts.regular, frameText(language).claimNumber)}: ${printable(fonts.regular, claimNumber)}` : null,
+    section.fileName ? `File: ${printable(fonts.regular, section.fileName)}` : null,
+    bates ? `Bates ${[batesLabel(bates, section.firstPage), section.pageCount > 1 ? batesLabel(bates, section.firstPage + section.pageCount - 1) : null].filter(Boolean).join(' - ')}` : null,
+  ].filter(Boolean);
+  for (const line of details) {
+    drawCentered(page, line, { y, size: 11, font: fonts.regular, color: GRAY });
+    y -= 16;
+  }
+  if (section.note) {
+    y -= 12;
+    for (const line of wrapText(printable(fonts.regular, section.note), fonts.regular, 11, width)) {
+      drawCentered(page, line, { y, size: 11, font: fonts.bold });
+      y -= 16;
+    }
+  }
+}
+
+// Bookmarks: one top-level outline entry per section, opened with the outline panel showing
+function addOutline(packet, entries) {
+  if (!entries.length) return;
+  const { context } = packet;
+  const pages = packet.getPages();
+  const outlineRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
+  entries.forEach((entry, index) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(entry.title),
+      Parent: outlineRef,
+      Dest: [pages[entry.pageIndex].ref, 'Fit'],
+    });
+    if (index > 0) item.set(PDFName.of('Prev'), itemRefs[index - 1]);
+    if (index < entries.length - 1) item.set(PDFName.of('Next'), itemRefs[index + 1]);
+    context.assign(itemRefs[index], item);
+  });
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: entries.length,
+  }));
+  packet.catalog.set(PDFName.of('Outlines'), outlineRef);
+  packet.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+// Stamp every page at the bottom right, under the letter's "Page X of Y" footer
+function stampBates(packet, settings, font) {
+  packet.getPages().forEach((page, index) => {
+    const label = batesLabel(settings, index);
+    const { width } = page.getSize();
+    const textWidth = font.widthOfTextAtSize(label, BATES_SIZE);
+    const x = width - IMAGE_MARGIN - textWidth;
+    const y = IMAGE_MARGIN / 2;
+    page.drawRectangle({ x: x - 3, y: y - 3, width: textWidth + 6, height: BATES_SIZE + 5, color: WHITE });
+    page.drawText(label, { x, y, size: BATES_SIZE, font, color: BLACK });
+  });
+}
+
+// Build the packet for a stored letter. letter is { text, options } from renderOptionsFor; exhibits
+// and documents are the record's; files are [{ exhibit?, name?, filePath | fileUrl | imageUrl | data }]
+// and denial is the uploaded denial letter. An exhibit with no file sent uses its stored filePath.
+// storage is { supabase, userId } for reading the case owner's files. bates is { prefix, start, digits }
+// or false. Returns { bytes, sections: [{ title, firstPage, pageCount, bates }], pageCount }.
+async function buildAppealPacket({ letter, exhibits = [], documents = [], files = [], denial = null, bates = undefined, storage = {} }) {
+  const { claimNumber = null, language = null, theme, createdAt = null } = letter.options;
+  const textOptions = { theme, claimNumber, language, createdAt };
+  const packet = await PDFDocument.create();
+  const fonts = {
+    regular: await packet.embedFont(StandardFonts.Helvetica),
+    bold: await packet.embedFont(StandardFonts.HelveticaBold),
+  };
+
+  // The letter first; a font problem here is the request's problem (422), not a note
+  const sections = [{ title: 'Appeal letter', firstPage: 0, pageCount: await appendPdf(packet, await renderLetterPdf(letter.text, letter.options)), cover: false }];
+
+  const { byExhibit: filesByExhibit, denial: separateDenial } = matchFiles(exhibits, { files, denial, documents });
+  const documentsById = new Map((Array.isArray(documents) ? documents : []).map(doc => [doc.id, doc]));
+  const exhibitSections = exhibits.map(exhibit => ({
+    heading: `EXHIBIT ${exhibit.letter}`,
+    title: `Exhibit ${exhibit.letter}: ${exhibitTitle(exhibit)}`,
+    fileName: exhibit.name,
+    file: filesByExhibit.get(exhibit.letter) || (exhibit.filePath ? { filePath: exhibit.filePath } : null),
+    text: exhibit.source === 'case' ? documentsById.get(exhibit.documentId)?.text || null : null,
+  }));
+  // A denial with no exhibit of its own still goes right after the letter
+  if (separateDenial) {
+    exhibitSections.unshift({ heading: 'DENIAL LETTER', title: roleLabel('denial_letter'), fileName: separateDenial.name || null, file: separateDenial, text: null });
+  }
+
+  for (const section of exhibitSections) {
+    const coverIndex = packet.getPageCount();
+    packet.addPage([PAGE.width, PAGE.height]);
+    const { pages, note } = packet.getPageCount() > MAX_PACKET_PAGES
+      ? { pages: 0, note: `The packet reached ${MAX_PACKET_PAGES} pages. Print this exhibit separately and place it behind this sheet.` }
+      : await appendExhibit(packet, { file: section.file, text: section.text, options: textOptions, storage });
+    sections.push({ ...section, firstPage: coverIndex, pageCount: pages + 1, note, cover: true });
+  }
+
+  const batesOptions = batesSettings(bates, claimNumber);
+  const allPages = packet.getPages();
+  for (const section of sections.filter(item => item.cover)) {
+    drawCoverSheet(allPages[section.firstPage], section, { fonts, claimNumber, language, bates: batesOptions });
+  }
+  addOutline(packet, sections.map(section => ({ title: section.title, pageIndex: section.firstPage })));
+  if (batesOptions) stampBates(packet, batesOptions, fonts.regular);
+
+  const date = createdAt && !Number.isNaN(new Date(createdAt).getTime()) ? new Date(createdAt) : FIXED_DATE;
+  packet.setCreationDate(date);
+  packet.setModificationDate(date);
+  packet.setProducer('Claim Letter Help');
+  packet.setCreator('Claim Letter Help');
+  packet.setTitle(claimNumber ? `Appeal packet: ${claimNumber}` : 'Appeal packet');
+
+  return {
+    bytes: await packet.save(),
+    pageCount: packet.getPageCount(),
+    sections: sections.map(section => ({
+      title: section.title,
+      firstPage: section.firstPage + 1,
+      pageCount: section.pageCount,
+      bates: batesOptions ? [batesLabel(batesOptions, section.firstPage), batesLabel(batesOptions, section.firstPage + section.pageCount - 1)] : null,
+      note: section.note || null,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_PACKET_PAGES,
+  validateBates,
+  batesSettings,
+  printable,
+  wrapText,
+  matchFiles,
+  buildAppealPacket,
+};
@@ -0,0 +1,56 @@
+// Who is calling: functions that read or change a user's saved data take the signed-in user from the
+// Supabase session the browser sends ("Authorization: Bearer <access token>"), never from an email in
+// the request body. A case (cla_letters row) belongs to the user whose email it carries.
+
+const { getSupabaseAdmin } = require("./_supabase.js");
+
+// Not signed in (401) or not the case's owner (403); handlers return statusCode
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+// headers is a Lambda-style object or a Fetch Headers (Functions v2)
+function bearerToken(headers = {}) {
+  const header = typeof headers.get === 'function'
+    ? headers.get('authorization')
+    : headers.authorization || headers.Authorization;
+  const match = String(header || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// The signed-in user ({ id, email }), or null when the request has no valid session
+async function authenticatedUser(headers, supabase = null) {
+  const token = bearerToken(headers);
+  if (!token) return null;
+  const { data, error } = await (supabase || getSupabaseAdmin()).auth.getUser(token);
+  if (error || !data?.user) return null;
+  return { id: data.user.id, email: data.user.email ? data.user.email.toLowerCase() : null };
+}
+
+async function requireUser(headers, supabase = null) {
+  const user = await authenticatedUser(headers, supabase);
+  if (!user) throw new AuthError('Sign in to continue');
+  return user;
+}
+
+function ownsRecord(user, record) {
+  return Boolean(user?.email && record?.user_email && String(record.user_email).toLowerCase() === user.email);
+}
+
+// Throws 403 unless the user owns the record
+function requireOwner(user, record) {
+  if (!ownsRecord(user, record)) throw new AuthError('This case belongs to another account', 403);
+}
+
+module.exports = {
+  AuthError,
+  bearerToken,
+  authenticatedUser,
+  requireUser,
+  ownsRecord,
+  requireOwner,
+};
@@ -0,0 +1,147 @@
+// Multi-document cases: a denial usually arrives with an EOB, an adjuster's estimate and
+// policy declaration pages. Each document keeps an id (D1, D2, ...) so facts can be traced back to it.
+
+const { extractClaimEntities, getField, setField, emptyEntities, ENTITY_FIELDS } = require('./_claim-entities.js');
+
+// Lower priority wins when two documents supply the same fact
+const DOCUMENT_ROLES = {
+  denial_letter: { label: 'Denial letter', priority: 1 },
+  eob: { label: 'Explanation of benefits', priority: 2 },
+  adjuster_estimate: { label: "Adjuster's estimate", priority: 3 },
+  policy_declarations: { label: 'Policy declarations', priority: 4 },
+  policy: { label: 'Full insurance policy', priority: 5 },
+  correspondence: { label: 'Other correspondence', priority: 6 },
+  other: { label: 'Other document', priority: 7 },
+};
+
+// A full policy is too long for the prompt; it is indexed and searched instead (see _policy-index.js)
+const POLICY_ROLE = 'policy';
+
+function isPolicyDocument(doc) {
+  return doc.role === POLICY_ROLE;
+}
+
+const MAX_DOCUMENTS = 10;
+
+// A document list that can't be analyzed (too many documents); handlers return 400
+class CaseDocumentsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaseDocumentsError';
+    this.statusCode = 400;
+  }
+}
+
+function roleLabel(role) {
+  return (DOCUMENT_ROLES[role] || DOCUMENT_ROLES.other).label;
+}
+
+// Accepts { documents: [{ role, name, text | fileUrl | imageUrl }] } and the legacy
+// single-letter { text, fileUrl, imageUrl } body, which is treated as the denial letter.
+function normalizeDocuments(body = {}) {
+  const input = [];
+  if (Array.isArray(body.documents)) {
+    input.push(...body.documents.filter(doc => doc && (doc.text || doc.fileUrl || doc.imageUrl)));
+  }
+  if (body.fileUrl) input.push({ role: 'denial_letter', name: body.fileName || 'Uploaded file', fileUrl: body.fileUrl });
+  if (body.imageUrl) input.push({ role: 'denial_letter', name: body.imageName || 'Uploaded image', imageUrl: body.imageUrl });
+  if (body.text && body.text.trim()) input.push({ role: 'denial_letter', name: 'Pasted text', text: body.text });
+
+  if (input.length > MAX_DOCUMENTS) {
+    throw new CaseDocumentsError(`Too many documents: at most ${MAX_DOCUMENTS} can be analyzed together`);
+  }
+
+  return input.map((doc, index) => ({
+    id: `D${index + 1}`,
+    role: DOCUMENT_ROLES[doc.role] ? doc.role : 'other',
+    name: typeof doc.name === 'string' && doc.name.trim() ? doc.name.trim() : `Document ${index + 1}`,
+    text: typeof doc.text === 'string' ? doc.text : '',
+    fileUrl: doc.fileUrl || null,
+    imageUrl: doc.imageUrl || null,
+  }));
+}
+
+function byPriority(a, b) {
+  return (DOCUMENT_ROLES[a.role] || DOCUMENT_ROLES.other).priority - (DOCUMENT_ROLES[b.role] || DOCUMENT_ROLES.other).priority;
+}
+
+// Single prompt text with a header per document so the model can cite [D1], [D2], ...
+function combineDocuments(documents) {
+  return [...documents]
+    .sort(byPriority)
+    .filter(doc => doc.text && doc.text.trim() && !isPolicyDocument(doc))
+    .map(doc => `=== [${doc.id}] ${roleLabel(doc.role)}: ${doc.name} ===\n${doc.text.trim()}`)
+    .join('\n\n');
+}
+
+// Pattern extraction per document; the highest-priority document that states a fact supplies it.
+// The full policy is skipped: it cites every section and would swamp the facts of this denial.
+function extractCaseEntities(documents) {
+  const entities = emptyEntities();
+  const provenance = {};
+
+  for (const doc of [...documents].sort(byPriority)) {
+    if (!doc.text || isPolicyDocument(doc)) continue;
+    const found = extractClaimEntities(doc.text);
+    for (const field of ENTITY_FIELDS) {
+      const value = getField(found, field);
+      if (value === null || value === undefined || provenance[field]) continue;
+      setField(entities, field, value);
+      provenance[field] = doc.id;
+    }
+  }
+  return { entities, provenance };
+}
+
+function valueText(value) {
+  if (Array.isArray(value)) return value[0];
+  if (typeof value === 'number') return value.toLocaleString('en-US');
+  return value;
+}
+
+// Attribute model-supplied facts to the first document that contains the value verbatim.
+function attributeEntities(entities, sources, patternProvenance, documents) {
+  const provenance = {};
+  for (const field of ENTITY_FIELDS) {
+    if (sources[field] === 'pattern') {
+      provenance[field] = patternProvenance[field] || null;
+    } else if (sources[field] === 'model') {
+      const needle = String(valueText(getField(entities, field)) || '').toLowerCase();
+      const doc = needle && documents.find(d => d.text && !isPolicyDocument(d) && d.text.toLowerCase().includes(needle));
+      provenance[field] = doc ? doc.id : null;
+    } else {
+      provenance[field] = null;
+    }
+  }
+  return provenance;
+}
+
+// Per-document record stored on cla_letters.documents
+function describeDocuments(documents) {
+  return documents.map(doc => ({
+    id: doc.id,
+    role: doc.role,
+    roleLabel: roleLabel(doc.role),
+    name: doc.name,
+    type: doc.type || null,
+    method: doc.method || null,
+    textLength: doc.text ? doc.text.length : 0,
+    ocrConfidence: typeof doc.ocrConfidence === 'number' ? doc.ocrConfidence : null,
+    error: doc.error || null,
+    text: doc.text || '',
+  }));
+}
+
+module.exports = {
+  DOCUMENT_ROLES,
+  MAX_DOCUMENTS,
+  CaseDocumentsError,
+  POLICY_ROLE,
+  roleLabel,
+  isPolicyDocument,
+  normalizeDocuments,
+  combineDocuments,
+  extractCaseEntities,
+  attributeEntities,
+  describeDocuments,
+};
@@ -0,0 +1,371 @@
+// Claim entity extraction: pulls the identifying facts of a denial out of the letter text.
+// Stored as the typed JSONB block cla_letters.claim_entities and reused by generate-response.
+
+const { detectLanguage, readsDayFirst } = require('./_languages.js');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const SPANISH_MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+// English and numeric dates: "July 9, 2025", "07/09/2025", "2025-07-09"
+const NUMERIC_DATE_PATTERN = '(?:(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2})';
+// Dates written out in the other letter languages: "9 de julio de 2025", "ngày 9 tháng 7 năm 2025", "2025年7月9日"
+const LOCAL_DATE_FORMS = [
+  { source: `\\b(\\d{1,2}) de (${SPANISH_MONTHS.join('|')}|setiembre) (?:de |del )?(\\d{4})\\b`, parts: m => [m[3], m[2].toLowerCase() === 'setiembre' ? 9 : SPANISH_MONTHS.indexOf(m[2].toLowerCase()) + 1, m[1]] },
+  { source: '(?:ngày\\s+)?(\\d{1,2})\\s+tháng\\s+(\\d{1,2}),?\\s+năm\\s+(\\d{4})', parts: m => [m[3], m[2], m[1]] },
+  { source: '(\\d{4})\\s*年\\s*(\\d{1,2})\\s*月\\s*(\\d{1,2})\\s*日', parts: m => [m[1], m[2], m[3]] },
+];
+const DATE_PATTERN = `(?:${NUMERIC_DATE_PATTERN}|${LOCAL_DATE_FORMS.map(form => form.source).join('|')})`;
+
+// US ($1,250.00) and decimal-comma ($1.250,00) amounts
+const AMOUNT_NUMBER = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d{2})?|\\d{1,3}(?:\\.\\d{3})+(?:,\\d{2})?|\\d+(?:[.,]\\d{2})?)(?![\\d.,]\\d)';
+const AMOUNT_PATTERN = `\\$?\\s?${AMOUNT_NUMBER}`;
+// An amount in running text: a leading $, or a trailing USD, "đô la" or 美元
+const STATED_AMOUNT_PATTERN = new RegExp(`\\$\\s?${AMOUNT_NUMBER}|(?<![\\d.,])${AMOUNT_NUMBER}\\s?(?:USD|US\\$|đô la|美元)`, 'g');
+const ID_PATTERN = '(?=[A-Z-]*\\d)([A-Z0-9][A-Z0-9-]{3,})';
+const NUMBER_LABEL = '\\s*(?:number|no\\.?|#)';
+// Spanish labels used by Puerto Rico carriers: "Número de reclamación", "Póliza núm."
+const SPANISH_NUMBER_LABEL = '(?:\\s*(?:n[uú]m(?:ero)?\\.?|no\\.?|#))?';
+
+// A letterhead-style line: a capitalized name of at most eight words that includes a carrier word,
+// e.g. "Acme Mutual Insurance Company". Sentences such as "Your life insurance claim has been denied" don't match.
+const INSURER_NAME_PATTERN = /^[ \t]*((?=[A-Z])(?:(?:[A-Z][\w'.&-]*|of|and|the|&),?[ \t]+){0,6}(?:Insurance|Assurance|Mutual|Casualty|Indemnity|Underwriters|Health Plan|Life|HealthCare|Healthcare)\b(?:,?[ \t]+(?:[A-Z][\w'.&-]*|of|and|the|&)){0,6})[ \t]*$/m;
+const MAX_INSURER_WORDS = 8;
+const STREET_PATTERN = /^\s*(?:P\.?\s?O\.?\s+Box\s+\d+|\d+\s+[A-Za-z0-9 .'-]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Parkway|Pkwy|Plaza|Court|Ct|Suite|Ste)\b.*)$/i;
+const CITY_STATE_ZIP_PATTERN = /^\s*[A-Za-z .'-]+,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?\s*$/;
+const PHONE_PATTERN = /\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?:\s*(?:x|ext\.?)\s*\d+)?/i;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.]+/;
+
+const ENTITY_FIELDS = [
+  'claimNumber',
+  'policyNumber',
+  'insurerName',
+  'insurerAddress',
+  'adjusterName',
+  'adjusterPhone',
+  'adjusterEmail',
+  'dateOfLoss',
+  'denialDate',
+  'amountClaimed',
+  'amountPaid',
+  'policySections',
+];
+
+function emptyEntities() {
+  return {
+    claimNumber: null,
+    policyNumber: null,
+    insurer: { name: null, address: null },
+    adjuster: { name: null, phone: null, email: null },
+    dateOfLoss: null,
+    denialDate: null,
+    amountClaimed: null,
+    amountPaid: null,
+    policySections: [],
+  };
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// YYYY-MM-DD for a calendar day, or null when the parts don't make one (month 13, February 31)
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (Number.isNaN(date.getTime()) || date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Normalize a date string to YYYY-MM-DD, or null if it can't be read or isn't a real day. Numeric
+// dates are read month first, or day first with dayFirst (Spanish and Vietnamese letters); when that
+// order can't be a date (31/03/2024 month first) the other order is tried. Spanish, Vietnamese and
+// Chinese written-out dates are read too.
+function parseDate(value, { dayFirst = false } = {}) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+
+  let match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return isoDate(match[1], match[2], match[3]);
+
+  match = trimmed.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    const [month, day] = dayFirst ? [match[2], match[1]] : [match[1], match[2]];
+    return isoDate(year, month, day) || isoDate(year, day, month);
+  }
+
+  match = trimmed.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (match) {
+    const month = MONTHS.findIndex(m => m.startsWith(match[1].toLowerCase().slice(0, 3)));
+    if (month !== -1) return isoDate(match[3], month + 1, match[2]);
+  }
+
+  for (const { source, parts } of LOCAL_DATE_FORMS) {
+    match = trimmed.match(new RegExp(`^${source}$`, 'i'));
+    if (match) return isoDate(...parts(match));
+  }
+
+  return null;
+}
+
+// Every date in the text with where it was found: [{ text, index, date }], date as YYYY-MM-DD.
+// language decides how numeric dates are read.
+function dateMatches(text, { language = 'en' } = {}) {
+  const source = String(text || '');
+  const dateOptions = { dayFirst: readsDayFirst(language) };
+  const found = [];
+  for (const match of source.matchAll(new RegExp(`\\b${NUMERIC_DATE_PATTERN}\\b`, 'g'))) {
+    found.push({ text: match[0], index: match.index, date: parseDate(match[0], dateOptions) });
+  }
+  for (const { source: pattern, parts } of LOCAL_DATE_FORMS) {
+    for (const match of source.matchAll(new RegExp(pattern, 'gi'))) {
+      found.push({ text: match[0], index: match.index, date: isoDate(...parts(match)) });
+    }
+  }
+  return found.filter(item => item.date).sort((a, b) => a.index - b.index);
+}
+
+// Normalize a dollar amount to a number, or null if it can't be read. "1.250,00" and "250,00" are
+// decimal-comma amounts (Spanish and Vietnamese letters); everything else is read the US way.
+function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value || typeof value !== 'string') return null;
+  const cleaned = value.replace(/[$\s]/g, '');
+  const number = /^\d{1,3}(?:\.\d{3})+(?:,\d{2})?$|^\d+,\d{2}$/.test(cleaned)
+    ? parseFloat(cleaned.replace(/\./g, '').replace(',', '.'))
+    : parseFloat(cleaned.replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// Every dollar amount in the text: [{ text, index, amount }]
+function amountMatches(text) {
+  return [...String(text || '').matchAll(STATED_AMOUNT_PATTERN)]
+    .map(match => ({ text: match[0], index: match.index, amount: parseAmount(match[1] || match[2]) }))
+    .filter(item => item.amount !== null);
+}
+
+function firstMatch(text, labels, valuePattern) {
+  const regex = new RegExp(`(?:${labels.join('|')})\\s*[:#]?\\s*${valuePattern}`, 'i');
+  const match = text.match(regex);
+  return match ? match[1].trim() : null;
+}
+
+function extractInsurer(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const nameMatch = text.match(INSURER_NAME_PATTERN);
+  if (!nameMatch || nameMatch[1].trim().split(/\s+/).length > MAX_INSURER_WORDS) return { name: null, address: null };
+
+  const name = nameMatch[1].trim().replace(/\s{2,}/g, ' ');
+  const index = lines.indexOf(nameMatch[1].trim());
+  let address = null;
+  if (index !== -1) {
+    const addressLines = [];
+    for (const line of lines.slice(index + 1, index + 4)) {
+      if (STREET_PATTERN.test(line) || CITY_STATE_ZIP_PATTERN.test(line)) {
+        addressLines.push(line);
+        if (CITY_STATE_ZIP_PATTERN.test(line)) break;
+      } else if (addressLines.length) {
+        break;
+      }
+    }
+    if (addressLines.length) address = addressLines.join('\n');
+  }
+  return { name: name.length <= 120 ? name : null, address };
+}
+
+function extractAdjuster(text) {
+  const nameMatch = text.match(/(?:[Aa]djuster|[Cc]laims? (?:[Ee]xaminer|[Rr]epresentative|[Ss]pecialist|[Aa]nalyst))\s*[:,-]?\s*([A-Z][a-z]+(?:\s+[A-Z]\.)?(?:\s+[A-Z][a-zA-Z'-]+)+)/);
+  const adjuster = { name: nameMatch ? nameMatch[1].trim() : null, phone: null, email: null };
+
+  // Look for contact details near the adjuster's name, then anywhere in the letter
+  const anchor = nameMatch ? text.indexOf(nameMatch[0]) : -1;
+  const window = anchor !== -1 ? text.slice(anchor, anchor + 400) : text;
+  const phone = window.match(PHONE_PATTERN) || text.match(PHONE_PATTERN);
+  const email = window.match(EMAIL_PATTERN) || text.match(EMAIL_PATTERN);
+  adjuster.phone = phone ? phone[0].trim() : null;
+  adjuster.email = email ? email[0].trim() : null;
+  return adjuster;
+}
+
+function extractPolicySections(text) {
+  const regex = /\b(?:Section|Part|Coverage|Exclusion|Condition|Paragraph|Article)\s+(?:[A-Z]{1,3}|[IVX]+|\d+)(?:[.-]\d+[A-Za-z]?)*(?:\s*\([a-z0-9]{1,3}\))*/g;
+  const sections = new Set();
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    sections.add(match[0].replace(/\s+/g, ' ').trim());
+  }
+  return [...sections];
+}
+
+// Lines whose date is some other event's, never the letter's
+const OTHER_DATE_LINE = /\b(?:loss|service|accident|incident|death|birth|admission|discharge|injury|claim received|received|p[eé]rdida|siniestro|servicio|accidente|recibid[ao])\b/i;
+
+function extractDenialDate(text, dateOptions) {
+  const labelled = firstMatch(text, ['date of (?:this )?(?:letter|notice|denial|decision)', 'denial date', 'decision date', 'fecha de (?:esta |la )?(?:carta|notificaci[oó]n|denegaci[oó]n|decisi[oó]n)'], `(${DATE_PATTERN})`);
+  if (labelled) return parseDate(labelled, dateOptions);
+  // A line of its own labelled just "Date:"; "Loss Date" and "Date of Service" are not the letter's date
+  const dated = text.match(new RegExp(`^[ \\t]*(?:date|fecha)[ \\t]*:[ \\t]*(${DATE_PATTERN})`, 'im'));
+  if (dated) return parseDate(dated[1], dateOptions);
+  // Fall back to the first date in the letter heading that isn't on a loss or service line
+  const headingDate = text.slice(0, 500).split(/\r?\n/)
+    .filter(line => !OTHER_DATE_LINE.test(line))
+    .map(line => line.match(new RegExp(DATE_PATTERN, 'i')))
+    .find(Boolean);
+  return headingDate ? parseDate(headingDate[0], dateOptions) : null;
+}
+
+// Regex-based extraction from the letter text. Values are copied from the letter, never inferred.
+// language (detected from the text by default) decides how numeric dates are read.
+function extractClaimEntities(text = '', { language = null } = {}) {
+  const entities = emptyEntities();
+  if (!text) return entities;
+  const dateOptions = { dayFirst: readsDayFirst(language || detectLanguage(text).language) };
+
+  entities.claimNumber = firstMatch(text, [`claim${NUMBER_LABEL}`, `(?:n[uú]mero de )?reclamaci[oó]n${SPANISH_NUMBER_LABEL}`], ID_PATTERN);
+  entities.policyNumber = firstMatch(text, [`policy${NUMBER_LABEL}`, 'member id', `certificate${NUMBER_LABEL}`, `(?:n[uú]mero de )?p[oó]liza${SPANISH_NUMBER_LABEL}`], ID_PATTERN);
+  entities.insurer = extractInsurer(text);
+  entities.adjuster = extractAdjuster(text);
+  entities.dateOfLoss = parseDate(firstMatch(text, ['date of (?:loss|service|accident|incident|death)', 'loss date', 'service date', 'fecha de(?:l| la)? (?:p[eé]rdida|siniestro|servicio|accidente|incidente)'], `(${DATE_PATTERN})`), dateOptions);
+  entities.denialDate = extractDenialDate(text, dateOptions);
+  entities.amountClaimed = parseAmount(firstMatch(text, ['amount claimed', 'claimed amount', 'total claim(?:ed)?(?: amount)?', 'amount billed', 'billed amount', 'total charges', '(?:monto|cantidad) (?:total )?(?:reclamad[oa]|facturad[oa])', 'total de cargos'], AMOUNT_PATTERN));
+  entities.amountPaid = parseAmount(firstMatch(text, ['amount paid', 'paid amount', 'plan paid', 'payment amount', 'total paid', '(?:monto|cantidad) (?:total )?pagad[oa]', 'total pagado'], AMOUNT_PATTERN));
+  entities.policySections = extractPolicySections(text);
+  return entities;
+}
+
+// Coerce model-provided entities into the typed shape.
+function normalizeEntities(raw = {}) {
+  const entities = emptyEntities();
+  if (!raw || typeof raw !== 'object') return entities;
+  const str = value => (typeof value === 'string' && value.trim() && !/^\[.*\]$/.test(value.trim()) ? value.trim() : null);
+
+  entities.claimNumber = str(raw.claimNumber);
+  entities.policyNumber = str(raw.policyNumber);
+  entities.insurer = { name: str(raw.insurer?.name ?? raw.insurerName), address: str(raw.insurer?.address ?? raw.insurerAddress) };
+  entities.adjuster = {
+    name: str(raw.adjuster?.name ?? raw.adjusterName),
+    phone: str(raw.adjuster?.phone ?? raw.adjusterPhone),
+    email: str(raw.adjuster?.email ?? raw.adjusterEmail),
+  };
+  entities.dateOfLoss = parseDate(str(raw.dateOfLoss));
+  entities.denialDate = parseDate(str(raw.denialDate));
+  entities.amountClaimed = parseAmount(raw.amountClaimed);
+  entities.amountPaid = parseAmount(raw.amountPaid);
+  entities.policySections = Array.isArray(raw.policySections) ? raw.policySections.map(str).filter(Boolean) : [];
+  return entities;
+}
+
+function getField(entities, field) {
+  switch (field) {
+    case 'insurerName': return entities.insurer.name;
+    case 'insurerAddress': return entities.insurer.address;
+    case 'adjusterName': return entities.adjuster.name;
+    case 'adjusterPhone': return entities.adjuster.phone;
+    case 'adjusterEmail': return entities.adjuster.email;
+    case 'policySections': return entities.policySections.length ? entities.policySections : null;
+    default: return entities[field];
+  }
+}
+
+function setField(entities, field, value) {
+  switch (field) {
+    case 'insurerName': entities.insurer.name = value; break;
+    case 'insurerAddress': entities.insurer.address = value; break;
+    case 'adjusterName': entities.adjuster.name = value; break;
+    case 'adjusterPhone': entities.adjuster.phone = value; break;
+    case 'adjusterEmail': entities.adjuster.email = value; break;
+    default: entities[field] = value;
+  }
+}
+
+// Loose comparison key: case, spacing and punctuation don't count
+function comparable(value) {
+  if (Array.isArray(value)) return value.map(comparable).sort().join('|');
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// The pattern and the model read the same value when one contains the other ("Acme Insurance" and
+// "Acme Insurance Company")
+function sameValue(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  const [x, y] = [comparable(a), comparable(b)];
+  return x === y || (x.length >= 4 && y.length >= 4 && (x.includes(y) || y.includes(x)));
+}
+
+// Merge pattern and model extraction. Where both agree the verbatim pattern value is kept; where they
+// disagree the model wins, since a pattern can match the wrong line (a loss date for the denial
+// date); either fills the other's gaps. Policy sections from both are kept.
+// Returns the typed entities plus where each field came from.
+function mergeEntities(detected, modelRaw) {
+  const model = normalizeEntities(modelRaw);
+  const entities = emptyEntities();
+  const sources = {};
+
+  for (const field of ENTITY_FIELDS) {
+    const detectedValue = getField(detected, field);
+    const modelValue = getField(model, field);
+    const hasDetected = detectedValue !== null && detectedValue !== undefined;
+    const hasModel = modelValue !== null && modelValue !== undefined;
+    if (field === 'policySections' && hasDetected) {
+      const extra = hasModel ? modelValue.filter(section => !detectedValue.some(found => sameValue(found, section))) : [];
+      setField(entities, field, [...detectedValue, ...extra]);
+      sources[field] = 'pattern';
+    } else if (hasDetected && (!hasModel || sameValue(detectedValue, modelValue))) {
+      setField(entities, field, detectedValue);
+      sources[field] = 'pattern';
+    } else if (modelValue !== null && modelValue !== undefined) {
+      setField(entities, field, modelValue);
+      sources[field] = 'model';
+    } else {
+      sources[field] = 'missing';
+    }
+  }
+  if (!entities.policySections) entities.policySections = [];
+
+  return { entities, sources };
+}
+
+function formatAmount(amount) {
+  return typeof amount === 'number' ? `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : null;
+}
+
+// Plain-text fact sheet for prompts. Missing fields are listed so the model leaves them out.
+function describeEntities(entities = emptyEntities()) {
+  const rows = [
+    ['Claim number', entities.claimNumber],
+    ['Policy number', entities.policyNumber],
+    ['Insurer', entities.insurer?.name],
+    ['Insurer address', entities.insurer?.address?.replace(/\n/g, ', ')],
+    ['Adjuster', entities.adjuster?.name],
+    ['Adjuster phone', entities.adjuster?.phone],
+    ['Adjuster email', entities.adjuster?.email],
+    ['Date of loss', entities.dateOfLoss],
+    ['Denial date', entities.denialDate],
+    ['Amount claimed', formatAmount(entities.amountClaimed)],
+    ['Amount paid', formatAmount(entities.amountPaid)],
+    ['Policy sections cited', entities.policySections?.length ? entities.policySections.join('; ') : null],
+  ];
+  const known = rows.filter(([, value]) => value).map(([label, value]) => `- ${label}: ${value}`);
+  const missing = rows.filter(([, value]) => !value).map(([label]) => label);
+  let description = known.length ? known.join('\n') : '- No claim facts were extracted from the denial letter.';
+  if (missing.length) description += `\nNot available: ${missing.join(', ')}`;
+  return description;
+}
+
+module.exports = {
+  ENTITY_FIELDS,
+  emptyEntities,
+  isoDate,
+  parseDate,
+  dateMatches,
+  parseAmount,
+  amountMatches,
+  extractClaimEntities,
+  normalizeEntities,
+  mergeEntities,
+  getField,
+  setField,
+  formatAmount,
+  describeEntities,
+};
@@ -0,0 +1,133 @@
+// Evidence-based confidence scoring for analyze-letter.
+// Combines input quality (extracted text, OCR), entity coverage, classifier agreement and
+// schema completeness into an overall score plus a per-field breakdown for the UI.
+
+const REQUIRED_ENTITIES = ['claimNumber', 'policyNumber', 'insurerName', 'denialDate'];
+const NARRATIVE_FIELDS = ['letterType', 'summary', 'reason', 'requiredActions', 'nextSteps', 'urgency', 'estimatedResolution', 'appealRights'];
+
+// Relative weight of each signal in the overall score
+const SIGNAL_WEIGHTS = {
+  textCoverage: 0.2,
+  ocrQuality: 0.15,
+  entityCoverage: 0.25,
+  classifierAgreement: 0.2,
+  schemaCompleteness: 0.2,
+};
+
+const REVIEW_THRESHOLD = 0.6;
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function level(score) {
+  if (score >= 0.8) return 'high';
+  if (score >= REVIEW_THRESHOLD) return 'medium';
+  return 'low';
+}
+
+function field(score, reason) {
+  const rounded = round(clamp(score));
+  return { score: rounded, level: level(rounded), needsReview: rounded < REVIEW_THRESHOLD, reason };
+}
+
+// A typical denial letter runs 1,500+ characters; very short text usually means a failed extraction.
+function scoreTextCoverage(letterText = '') {
+  const length = letterText.replace(/\s+/g, ' ').trim().length;
+  return clamp((length - 150) / 1350);
+}
+
+// Tesseract reports 0-100; null when no image was OCR'd.
+function scoreOcrQuality(ocrConfidences = []) {
+  const values = ocrConfidences.filter(c => typeof c === 'number');
+  if (!values.length) return null;
+  return clamp(Math.min(...values) / 100);
+}
+
+function scoreEntityCoverage(entitySources = {}) {
+  const found = REQUIRED_ENTITIES.filter(name => entitySources[name] && entitySources[name] !== 'missing');
+  return found.length / REQUIRED_ENTITIES.length;
+}
+
+function agreementFor(modelKey, detectedKey) {
+  if (modelKey === 'unknown' && detectedKey === 'unknown') return { score: 0.2, reason: 'Neither the model nor the pattern classifier could classify the letter' };
+  if (modelKey === detectedKey) return { score: 0.95, reason: 'Model and pattern classifier agree' };
+  if (detectedKey === 'unknown') return { score: 0.7, reason: 'Model classification only; no supporting keywords found' };
+  if (modelKey === 'unknown') return { score: 0.6, reason: 'Keyword match only; the model did not classify' };
+  return { score: 0.4, reason: `Model (${modelKey}) and pattern classifier (${detectedKey}) disagree` };
+}
+
+function scoreSchemaCompleteness(fieldSources = {}) {
+  const fields = Object.keys(fieldSources);
+  if (!fields.length) return 0;
+  return fields.filter(name => fieldSources[name] !== 'default').length / fields.length;
+}
+
+function scoreConfidence({ letterText = '', ocrConfidences = [], classification = {}, entitySources = {}, fieldSources = {}, deadlines = null } = {}) {
+  const coverageAgreement = agreementFor(classification.model?.coverageLine || 'unknown', classification.detected?.coverageLine || 'unknown');
+  const categoryAgreement = agreementFor(classification.model?.denialCategory || 'unknown', classification.detected?.denialCategory || 'unknown');
+
+  const signals = {
+    textCoverage: scoreTextCoverage(letterText),
+    ocrQuality: scoreOcrQuality(ocrConfidences),
+    entityCoverage: scoreEntityCoverage(entitySources),
+    classifierAgreement: (coverageAgreement.score + categoryAgreement.score) / 2,
+    schemaCompleteness: scoreSchemaCompleteness(fieldSources),
+  };
+
+  // Signals that don't apply (no OCR) drop out and the remaining weights are renormalized
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, weight] of Object.entries(SIGNAL_WEIGHTS)) {
+    if (signals[name] === null) continue;
+    weighted += signals[name] * weight;
+    totalWeight += weight;
+  }
+  const overall = totalWeight ? weighted / totalWeight : 0;
+
+  // How much we trust anything read from the input at all
+  const inputQuality = signals.ocrQuality === null ? signals.textCoverage : Math.min(signals.textCoverage, signals.ocrQuality);
+  const inputFactor = 0.5 + inputQuality / 2;
+
+  const fields = {
+    coverageLine: field(coverageAgreement.score, coverageAgreement.reason),
+    denialCategory: field(categoryAgreement.score, categoryAgreement.reason),
+  };
+
+  for (const [name, source] of Object.entries(entitySources)) {
+    if (source === 'pattern') fields[name] = field(0.95 * inputFactor, 'Copied from the letter text');
+    else if (source === 'model') fields[name] = field(0.65 * inputFactor, 'Read by the model; not matched in the letter text');
+    else fields[name] = field(0, 'Not found in the letter');
+  }
+
+  for (const name of NARRATIVE_FIELDS) {
+    const source = fieldSources[name];
+    if (!source) continue;
+    if (source === 'default') fields[name] = field(0.1, 'Model output was missing or invalid; a default was used');
+    else if (source === 'deadlines') fields[name] = fields.denialDate ? field(fields.denialDate.score, 'Computed from the deadline rules table') : field(0.5, 'Computed from the deadline rules table');
+    else fields[name] = field(0.85 * inputFactor, 'Written by the model from the letter text');
+  }
+
+  if (deadlines) {
+    const deadlineInputs = [fields.denialDate?.score ?? 0, deadlines.state ? 1 : 0, fields.coverageLine.score];
+    fields.deadlines = field(Math.min(...deadlineInputs), deadlines.notes?.length ? deadlines.notes.join(' ') : 'Computed from the denial date, state and line of coverage');
+  }
+
+  return {
+    overall: Math.round(overall * 100),
+    signals: Object.fromEntries(Object.entries(signals).map(([name, value]) => [name, value === null ? null : round(value)])),
+    fields,
+    needsReview: Object.entries(fields).filter(([, value]) => value.needsReview).map(([name]) => name),
+  };
+}
+
+module.exports = {
+  REQUIRED_ENTITIES,
+  SIGNAL_WEIGHTS,
+  REVIEW_THRESHOLD,
+  scoreConfidence,
+};
@@ -0,0 +1,228 @@
+// Insurance denial taxonomy: line of coverage and denial category detection.
+// Keys are stable identifiers stored in cla_letters.analysis; labels are for display.
+
+const COVERAGE_LINES = {
+  homeowners: {
+    label: 'Homeowners',
+    patterns: [
+      /homeowners?/i,
+      /\bHO-?[2-8]\b/,
+      /dwelling|coverage\s+a\b/i,
+      /\b(roof|hail|windstorm|water damage|burst pipe|mold)\b/i,
+      /renters?\s+(insurance|policy)|condo(minium)?\s+unit/i,
+    ],
+  },
+  auto: {
+    label: 'Auto',
+    patterns: [
+      /\bauto(mobile)?\b/i,
+      /\bvehicle\b/i,
+      /collision|comprehensive coverage/i,
+      /uninsured motorist|underinsured motorist|\bUM\/UIM\b/i,
+      /personal injury protection|\bPIP\b/,
+      /\bVIN\b|driver'?s license|total loss/i,
+    ],
+  },
+  health: {
+    label: 'Health',
+    patterns: [
+      /health (plan|insurance|benefits?)/i,
+      /explanation of benefits|\bEOB\b/i,
+      /prior authori[sz]ation|pre-?certification/i,
+      /\bCPT\b|\bICD-?10\b|procedure code|diagnosis code/i,
+      /in-network|out-of-network|provider network/i,
+      /member (id|number)|group (number|plan)|ERISA/i,
+    ],
+  },
+  life: {
+    label: 'Life',
+    patterns: [
+      /life insurance/i,
+      /death benefit/i,
+      /beneficiar(y|ies)/i,
+      /\binsured'?s death\b|decedent|death certificate/i,
+      /contestab(le|ility) period|suicide (clause|exclusion)/i,
+    ],
+  },
+  disability: {
+    label: 'Disability',
+    patterns: [
+      /disability (insurance|income|benefits?|claim)/i,
+      /long[- ]term disability|short[- ]term disability|\bLTD\b|\bSTD\b/,
+      /own occupation|any occupation/i,
+      /elimination period/i,
+      /unable to perform the (material|substantial) duties/i,
+    ],
+  },
+  commercial: {
+    label: 'Commercial',
+    patterns: [
+      /commercial (property|general liability|auto|policy|package)/i,
+      /business (owners?|income|interruption)|\bBOP\b/i,
+      /general liability|\bCGL\b/i,
+      /workers'? compensation/i,
+      /named insured.*(LLC|Inc\.?|Corp(oration)?)\b/i,
+    ],
+  },
+};
+
+const DENIAL_CATEGORIES = {
+  policy_exclusion: {
+    label: 'Policy Exclusion',
+    patterns: [
+      /\bexclu(ded|sion|sions)\b/i,
+      /not a covered (loss|peril|service|benefit)/i,
+      /(is|are) not covered under/i,
+      /specifically excluded/i,
+    ],
+  },
+  lapse_nonpayment: {
+    label: 'Lapse for Non-Payment',
+    patterns: [
+      /lapse[ds]?\b/i,
+      /non-?payment of premium|premium (was )?not (paid|received)/i,
+      /policy (was )?(cancell?ed|terminated)/i,
+      /grace period/i,
+      /not in force/i,
+    ],
+  },
+  late_notice: {
+    label: 'Late Notice',
+    patterns: [
+      /late notice|untimely (notice|report|claim)/i,
+      /(failed|failure) to (provide|give) (prompt|timely) notice/i,
+      /prompt notice/i,
+      /not reported within/i,
+      /timely filing (limit|requirement)/i,
+    ],
+  },
+  pre_existing_condition: {
+    label: 'Pre-Existing Condition',
+    patterns: [
+      /pre-?existing (condition|illness|injury)/i,
+      /look-?back period/i,
+      /condition (existed|was diagnosed|was treated) (prior|before)/i,
+    ],
+  },
+  medical_necessity: {
+    label: 'Medical Necessity',
+    patterns: [
+      /medical(ly)? necess(ary|ity)/i,
+      /not medically necessary/i,
+      /experimental|investigational/i,
+      /clinical (criteria|guidelines)|utilization review/i,
+    ],
+  },
+  wear_and_tear: {
+    label: 'Wear and Tear',
+    patterns: [
+      /wear and tear/i,
+      /deteriorat(ion|ed)|gradual (damage|deterioration)/i,
+      /long-?term (leak|seepage)|repeated seepage/i,
+      /lack of maintenance|maintenance issue|age of the/i,
+      /\b(rust|rot|corrosion|settling)\b/i,
+    ],
+  },
+  insufficient_documentation: {
+    label: 'Insufficient Documentation',
+    patterns: [
+      /insufficient (documentation|information|evidence|proof)/i,
+      /(failed|failure) to (provide|submit) (the )?(requested|required)/i,
+      /proof of loss/i,
+      /unable to (verify|substantiate|confirm)/i,
+      /additional (documentation|information) (is )?(required|needed)/i,
+    ],
+  },
+  misrepresentation: {
+    label: 'Misrepresentation',
+    patterns: [
+      /misrepresent(ation|ed)/i,
+      /material(ly)? (misstatement|misrepresentation|fact)/i,
+      /concealment|concealed/i,
+      /\bfraud(ulent)?\b/i,
+      /rescind|rescission/i,
+    ],
+  },
+};
+
+const UNKNOWN = 'unknown';
+
+function scoreTable(table, text) {
+  let best = { key: UNKNOWN, score: 0, matches: [] };
+  for (const [key, entry] of Object.entries(table)) {
+    const matches = [];
+    for (const pattern of entry.patterns) {
+      const match = text.match(pattern);
+      if (match) matches.push(match[0]);
+    }
+    if (matches.length > best.score) {
+      best = { key, score: matches.length, matches };
+    }
+  }
+  return best;
+}
+
+function labelFor(table, key) {
+  return table[key]?.label || 'Unknown';
+}
+
+// Pattern-based classification of the raw letter text.
+function classifyDenial(text = '') {
+  const coverage = scoreTable(COVERAGE_LINES, text);
+  const category = scoreTable(DENIAL_CATEGORIES, text);
+  return {
+    coverageLine: coverage.key,
+    denialCategory: category.key,
+    matchedTerms: {
+      coverageLine: coverage.matches,
+      denialCategory: category.matches,
+    },
+  };
+}
+
+function normalizeKey(table, value) {
+  if (!value || typeof value !== 'string') return UNKNOWN;
+  const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (table[key]) return key;
+  // Accept labels as well as keys, e.g. "Wear and Tear"
+  const byLabel = Object.entries(table).find(([, entry]) => entry.label.toLowerCase() === value.trim().toLowerCase());
+  return byLabel ? byLabel[0] : UNKNOWN;
+}
+
+// Merge the model's classification with the pattern classification.
+// The model wins when it returns a recognized key; patterns fill the gaps.
+function resolveClassification(modelAnalysis = {}, detected = classifyDenial()) {
+  const modelCoverage = normalizeKey(COVERAGE_LINES, modelAnalysis.coverageLine);
+  const modelCategory = normalizeKey(DENIAL_CATEGORIES, modelAnalysis.denialCategory);
+  const coverageLine = modelCoverage !== UNKNOWN ? modelCoverage : detected.coverageLine;
+  const denialCategory = modelCategory !== UNKNOWN ? modelCategory : detected.denialCategory;
+
+  return {
+    coverageLine,
+    coverageLineLabel: labelFor(COVERAGE_LINES, coverageLine),
+    denialCategory,
+    denialCategoryLabel: labelFor(DENIAL_CATEGORIES, denialCategory),
+    model: { coverageLine: modelCoverage, denialCategory: modelCategory },
+    detected,
+  };
+}
+
+function describeClassification(classification) {
+  if (classification.coverageLine === UNKNOWN && classification.denialCategory === UNKNOWN) {
+    return 'Insurance Claim Denial';
+  }
+  const parts = [];
+  if (classification.coverageLine !== UNKNOWN) parts.push(classification.coverageLineLabel);
+  parts.push('Claim Denial');
+  if (classification.denialCategory !== UNKNOWN) parts.push(`(${classification.denialCategoryLabel})`);
+  return parts.join(' ');
+}
+
+module.exports = {
+  COVERAGE_LINES,
+  DENIAL_CATEGORIES,
+  UNKNOWN,
+  classifyDenial,
+  resolveClassification,
+  describeClassification,
+};
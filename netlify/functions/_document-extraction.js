@@ -0,0 +1,191 @@
+// Shared document text extraction used by every function that reads uploads.
+// File types are sniffed from content, not from names or declared MIME types.
+// Scanned PDFs (little or no text layer) are rasterized and OCR'd automatically.
+
+let fetch;
+try {
+  fetch = require('node-fetch');
+} catch (importError) {
+  fetch = globalThis.fetch;
+}
+
+const DEFAULT_OPTIONS = {
+  ocrLanguage: 'eng',
+  // Below this many characters per page the PDF is treated as scanned
+  minCharsPerPage: 40,
+  maxOcrPages: 10,
+  ocrScale: 2,
+};
+
+const TYPE_LABELS = {
+  pdf: 'PDF',
+  docx: 'Word document',
+  doc: 'Legacy Word document',
+  png: 'PNG image',
+  jpeg: 'JPEG image',
+  tiff: 'TIFF image',
+  heic: 'HEIC image',
+  text: 'Plain text',
+  unknown: 'Unknown',
+};
+
+const IMAGE_TYPES = ['png', 'jpeg', 'tiff', 'heic'];
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 4096);
+  if (!sample.length) return false;
+  let printable = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte === 9 || byte === 10 || byte === 13 || (byte >= 32 && byte !== 127)) printable++;
+  }
+  return printable / sample.length > 0.95;
+}
+
+// Identify a file from its leading bytes.
+function sniffType(buffer) {
+  if (!buffer || !buffer.length) return 'unknown';
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46])) return 'pdf'; // %PDF
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47])) return 'png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+  if (startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4)) {
+    const brand = buffer.subarray(8, 12).toString('ascii');
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    // DOCX is a ZIP whose entries include word/document.xml
+    return buffer.includes('word/') ? 'docx' : 'unknown';
+  }
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0])) return 'doc';
+  // Skip a UTF-8 byte order mark before checking for text
+  if (looksLikeText(startsWith(buffer, [0xef, 0xbb, 0xbf]) ? buffer.subarray(3) : buffer)) return 'text';
+  return 'unknown';
+}
+
+// Load a file from a data URL, an http(s) URL or raw base64 data.
+async function loadBuffer({ fileUrl, imageUrl, data } = {}) {
+  if (data) return Buffer.from(data, 'base64');
+  const url = fileUrl || imageUrl;
+  if (!url) throw new Error('No file provided');
+
+  if (url.startsWith('data:')) {
+    const [header, payload = ''] = url.split(',');
+    return header.includes(';base64') ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload), 'utf8');
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch file: ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function ocrImage(image, language) {
+  const Tesseract = require('tesseract.js');
+  const { data } = await Tesseract.recognize(image, language);
+  return { text: data.text || '', confidence: typeof data.confidence === 'number' ? data.confidence : null };
+}
+
+async function heicToPng(buffer) {
+  const convert = require('heic-convert');
+  return Buffer.from(await convert({ buffer, format: 'PNG' }));
+}
+
+function averageConfidence(values) {
+  const known = values.filter(v => typeof v === 'number');
+  return known.length ? Math.round(known.reduce((sum, v) => sum + v, 0) / known.length) : null;
+}
+
+async function extractPdf(buffer, options) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText();
+    const pages = result.total || result.pages.length || 1;
+    // Join page texts directly; result.text includes "-- 1 of N --" separators
+    const textPages = result.pages.map(page => page.text.trim());
+    const text = textPages.filter(Boolean).join('\n\n');
+    if (text.replace(/\s+/g, '').length >= options.minCharsPerPage * pages) {
+      return { text, method: 'pdf-text', pages, pageTexts: textPages, ocrConfidence: null, warnings: [] };
+    }
+
+    // Little or no text layer: render the pages and OCR them
+    const warnings = [];
+    const ocrPages = Math.min(pages, options.maxOcrPages);
+    if (pages > ocrPages) warnings.push(`Only the first ${ocrPages} of ${pages} scanned pages were OCR'd`);
+
+    const screenshots = await parser.getScreenshot({ first: ocrPages, scale: options.ocrScale, imageBuffer: true, imageDataUrl: false });
+    const pageTexts = [];
+    const confidences = [];
+    for (const page of screenshots.pages) {
+      const ocr = await ocrImage(Buffer.from(page.data), options.ocrLanguage);
+      pageTexts.push(ocr.text.trim());
+      confidences.push(ocr.confidence);
+    }
+    const ocrText = pageTexts.join('\n\n').trim();
+    // Keep whichever layer produced more text
+    return ocrText.length > text.length
+      ? { text: ocrText, method: 'pdf-ocr', pages, pageTexts, ocrConfidence: averageConfidence(confidences), warnings }
+      : { text, method: 'pdf-text', pages, pageTexts: textPages, ocrConfidence: null, warnings };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+// Extract text from a buffer. Returns { text, type, method, pages, pageTexts, ocrConfidence, warnings };
+// pageTexts holds one entry per page for PDFs and a single entry for everything else.
+async function extractText(buffer, overrides = {}) {
+  const result = await extractByType(buffer, overrides);
+  return { ...result, pageTexts: result.pageTexts || [result.text] };
+}
+
+async function extractByType(buffer, overrides) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const type = sniffType(buffer);
+
+  switch (type) {
+    case 'pdf':
+      return { type, ...(await extractPdf(buffer, options)) };
+    case 'docx': {
+      const mammoth = require('mammoth');
+      const { value } = await mammoth.extractRawText({ buffer });
+      return { type, text: value.trim(), method: 'docx', pages: null, ocrConfidence: null, warnings: [] };
+    }
+    case 'png':
+    case 'jpeg':
+    case 'tiff':
+    case 'heic': {
+      const image = type === 'heic' ? await heicToPng(buffer) : buffer;
+      const ocr = await ocrImage(image, options.ocrLanguage);
+      return { type, text: ocr.text.trim(), method: 'ocr', pages: 1, ocrConfidence: ocr.confidence, warnings: [] };
+    }
+    case 'text':
+      return { type, text: buffer.toString('utf8').replace(/^\uFEFF/, '').trim(), method: 'text', pages: null, ocrConfidence: null, warnings: [] };
+    case 'doc':
+      throw new Error('Legacy .doc files are not supported; save the file as .docx or PDF');
+    default:
+      throw new Error('Unsupported file type; upload a PDF, DOCX, image (PNG, JPEG, TIFF, HEIC) or text file');
+  }
+}
+
+// Load and extract in one step; accepts the same sources as loadBuffer.
+async function extractDocument(source, options) {
+  const buffer = await loadBuffer(source);
+  return extractText(buffer, options);
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  TYPE_LABELS,
+  IMAGE_TYPES,
+  sniffType,
+  loadBuffer,
+  heicToPng,
+  extractText,
+  extractDocument,
+};
@@ -0,0 +1,133 @@
+// Exhibits enclosed with a generated letter.
+// The case documents analyze-letter stored (denial letter, EOB, estimates) come first, then the
+// supporting evidence the user uploaded with a short description. Each gets a letter (Exhibit A, B, ...)
+// that the body cites inline and the enclosure index lists after the signature.
+
+const { DOCUMENT_ROLES, isPolicyDocument, roleLabel } = require('./_case-documents.js');
+const { DEFAULT_LANGUAGE, ENCLOSURE_HEADINGS, frameText } = require('./_languages.js');
+
+const EXHIBIT_CATEGORIES = {
+  photo: 'Photograph',
+  receipt: 'Receipt',
+  estimate: 'Estimate',
+  medical_record: 'Medical record',
+  report: 'Report',
+  correspondence: 'Correspondence',
+  other: 'Document',
+};
+
+const MAX_EXHIBITS = 26;
+const MAX_DESCRIPTION_CHARS = 200;
+
+// 0 -> A, 25 -> Z
+function exhibitLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+function cleanText(value, max) {
+  return typeof value === 'string' && value.trim() ? value.trim().replace(/\s+/g, ' ').slice(0, max) : null;
+}
+
+// Evidence sent with the request: [{ name, description, category, filePath | fileUrl }]
+function normalizeEvidence(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter(item => item && (cleanText(item.description, MAX_DESCRIPTION_CHARS) || cleanText(item.name, 120)))
+    .map(item => ({
+      source: 'upload',
+      category: EXHIBIT_CATEGORIES[item.category] ? item.category : 'other',
+      name: cleanText(item.name, 120),
+      description: cleanText(item.description, MAX_DESCRIPTION_CHARS),
+      filePath: cleanText(item.filePath, 500),
+      fileUrl: typeof item.fileUrl === 'string' && /^https?:\/\//.test(item.fileUrl) ? item.fileUrl : null,
+    }));
+}
+
+// Case documents stored on cla_letters.documents; the full policy is indexed, not enclosed
+function caseDocumentExhibits(documents) {
+  return (Array.isArray(documents) ? documents : [])
+    .filter(doc => doc && !isPolicyDocument(doc) && !doc.error)
+    .sort((a, b) => (DOCUMENT_ROLES[a.role] || DOCUMENT_ROLES.other).priority - (DOCUMENT_ROLES[b.role] || DOCUMENT_ROLES.other).priority)
+    .map(doc => ({
+      source: 'case',
+      documentId: doc.id,
+      category: doc.role === 'adjuster_estimate' ? 'estimate' : 'correspondence',
+      name: doc.name || null,
+      description: doc.role === 'denial_letter' ? 'Copy of the denial letter' : roleLabel(doc.role),
+      filePath: null,
+      fileUrl: null,
+    }));
+}
+
+// Lettered exhibit list: case documents first, then the user's evidence
+function buildExhibits({ documents = [], evidence = [] } = {}) {
+  const all = [...caseDocumentExhibits(documents), ...normalizeEvidence(evidence)];
+  if (all.length > MAX_EXHIBITS) {
+    throw new Error(`Too many exhibits: at most ${MAX_EXHIBITS} can be enclosed with one letter`);
+  }
+  return all.map((exhibit, index) => ({ letter: exhibitLetter(index), ...exhibit }));
+}
+
+function exhibitTitle(exhibit) {
+  const description = exhibit.description || EXHIBIT_CATEGORIES[exhibit.category];
+  return exhibit.name && exhibit.source === 'upload' ? `${description} (${exhibit.name})` : description;
+}
+
+// Prompt text: one line per exhibit
+function describeExhibits(exhibits) {
+  return exhibits
+    .map(exhibit => `- Exhibit ${exhibit.letter} [${EXHIBIT_CATEGORIES[exhibit.category]}]: ${exhibitTitle(exhibit)}`)
+    .join('\n');
+}
+
+// Enclosure index rendered after the signature; exhibits keep their "Exhibit A" labels in every
+// language so the inline citations can be checked
+function enclosureLines(exhibits, language = DEFAULT_LANGUAGE) {
+  if (!exhibits.length) return [];
+  return [frameText(language).enclosures, ...exhibits.map(exhibit => `    Exhibit ${exhibit.letter}: ${exhibitTitle(exhibit)}`)];
+}
+
+// "Exhibit B", or a plural list such as "Exhibits A and C" / "Exhibits B-D"
+const CITATION_PATTERN = /\bExhibit\s+([A-Z])\b|\bExhibits\s+([A-Z](?:\s*(?:,|and|&|through|-|–)\s*[A-Z])*)\b/g;
+
+const ENCLOSURE_PATTERN = new RegExp(`\\n\\s*(?:${ENCLOSURE_HEADINGS.map(heading => heading.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\s*\\n`);
+
+function expandRange(list) {
+  const refs = list.match(/\b[A-Z]\b/g) || [];
+  const range = list.match(/^([A-Z])\s*(?:through|-|–)\s*([A-Z])$/);
+  if (!range) return refs;
+  const expanded = [];
+  for (let code = range[1].charCodeAt(0); code <= range[2].charCodeAt(0); code++) expanded.push(String.fromCharCode(code));
+  return expanded;
+}
+
+// Which exhibits the letter cites, which it leaves out, and any it cites that don't exist
+function checkExhibitCitations(letter, exhibits) {
+  const known = new Set(exhibits.map(exhibit => exhibit.letter));
+  const cited = new Set();
+  const body = String(letter || '').split(ENCLOSURE_PATTERN)[0];
+  for (const match of body.matchAll(CITATION_PATTERN)) {
+    const refs = match[1] ? [match[1]] : expandRange(match[2]);
+    for (const letterRef of refs) cited.add(letterRef);
+  }
+  return {
+    cited: [...cited].filter(letterRef => known.has(letterRef)).sort(),
+    uncited: [...known].filter(letterRef => !cited.has(letterRef)),
+    unknown: [...cited].filter(letterRef => !known.has(letterRef)).sort(),
+  };
+}
+
+// Prompt text telling the model how to use the exhibits
+const EXHIBIT_INSTRUCTION = 'Cite exhibits inline where they support a point, e.g. "(see Exhibit B)", especially right where each denial reason is rebutted. Cite only the exhibits listed, by letter, and do not write an enclosure list; the exhibit index is added automatically after the signature. Keep the English word "Exhibit" and the letter in every citation, whatever language the letter is in.';
+
+module.exports = {
+  EXHIBIT_CATEGORIES,
+  MAX_EXHIBITS,
+  EXHIBIT_INSTRUCTION,
+  exhibitLetter,
+  normalizeEvidence,
+  buildExhibits,
+  exhibitTitle,
+  describeExhibits,
+  enclosureLines,
+  checkExhibitCitations,
+};
@@ -0,0 +1,242 @@
+// Fact consistency check for generated letters.
+// Every claim number, policy number, date, dollar amount and insurer name the letter body states is
+// compared with the claim facts extracted from the denial. A value that contradicts a known fact is a
+// mismatch; a value none of the sources support is unsupported. Either one has to be acknowledged by
+// the user before the letter can be downloaded, exported or emailed.
+
+const crypto = require('crypto');
+const { parseDate, dateMatches, amountMatches, formatAmount } = require('./_claim-entities.js');
+
+const ID_VALUE = '(?:is\\s+|of\\s+)?(?=[A-Z-]*\\d)([A-Z0-9][A-Z0-9-]{3,})';
+const NUMBER_LABEL = '\\s*(?:number|no\\.?|#)\\s*[:#]?\\s*';
+const SPANISH_NUMBER_LABEL = '(?:\\s*(?:n[uú]m(?:ero)?\\.?|no\\.?|#))?\\s*[:#]?\\s*';
+
+// Labelled identifiers in the letter, with the claim fact each one must equal
+const IDENTIFIERS = [
+  { field: 'claimNumber', label: 'Claim number', pattern: new RegExp(`(?:\\bclaim${NUMBER_LABEL}|(?:n[uú]mero de )?reclamaci[oó]n${SPANISH_NUMBER_LABEL})${ID_VALUE}`, 'gi') },
+  { field: 'policyNumber', label: 'Policy number', pattern: new RegExp(`\\b(?:policy${NUMBER_LABEL}|member\\s+id\\s*[:#]?\\s*|certificate${NUMBER_LABEL}|(?:n[uú]mero de )?p[oó]liza${SPANISH_NUMBER_LABEL})${ID_VALUE}`, 'gi') },
+];
+
+// Dates the letter ties to a specific claim fact
+const LABELLED_DATES = [
+  { field: 'dateOfLoss', label: 'Date of loss', pattern: /\b(?:date of (?:loss|service|accident|incident)|loss date|service date)\s*(?:of|was|on|:|,)?\s*$/i },
+  { field: 'denialDate', label: 'Denial date', pattern: /\b(?:denial (?:letter )?dated|letter dated|notice dated|decision dated|denial date\s*(?:of|was|:)?|denied (?:the claim )?on)\s*$/i },
+];
+
+const INSURER_PATTERN = /\b((?:[A-Z][A-Za-z&'.-]*\s+){0,5}(?:Insurance|Assurance|Mutual|Casualty|Indemnity|Underwriters|Health Plan|HealthCare|Healthcare)(?:\s+(?:Company|Co\.|Corporation|Corp\.|Group|Inc\.|LLC|of\s+[A-Z][a-z]+))*)\b/g;
+// Words before a name that aren't part of it; "State" and the like are left alone ("State Farm")
+const INSURER_FILLER = /^(?:The|Your|Our|My|This|That|Dear|To|From|Re|Attn)\s+/;
+
+// Words that make an insurer-looking phrase a generic term rather than a company name
+const GENERIC_INSURER_WORDS = /^(?:(?:the|your|my|our|this|homeowners|health|auto|life|property|state|department of)\s+)*(?:insurance|healthcare|health plan|mutual|casualty|indemnity)$/i;
+
+function normalizeId(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function normalizeName(value) {
+  return String(value || '').toLowerCase()
+    .replace(/\b(?:the|company|co|corporation|corp|inc|llc|group)\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function amountKey(amount) {
+  return typeof amount === 'number' ? amount.toFixed(2) : null;
+}
+
+function datesIn(text) {
+  return dateMatches(text).map(item => item.date);
+}
+
+function amountsIn(text) {
+  return amountMatches(text).map(item => amountKey(item.amount));
+}
+
+// Values a letter may state: the claim facts, the user's letter details, and anything printed in the
+// denial or the quoted policy (figures like a deductible, or dates of earlier correspondence)
+function knownFacts({ entities, details = {}, sourceTexts = [], letterDate = null }) {
+  const dates = new Set([entities.dateOfLoss, entities.denialDate, parseDate(letterDate)].filter(Boolean));
+  const amounts = new Set([entities.amountClaimed, entities.amountPaid].map(amountKey).filter(Boolean));
+  if (typeof entities.amountClaimed === 'number' && typeof entities.amountPaid === 'number') {
+    amounts.add(amountKey(entities.amountClaimed - entities.amountPaid));
+  }
+  for (const value of Object.values(details || {})) {
+    if (typeof value === 'number') amounts.add(amountKey(value));
+  }
+  for (const text of sourceTexts) {
+    datesIn(text).forEach(date => dates.add(date));
+    amountsIn(text).forEach(amount => amounts.add(amount));
+  }
+  return { dates, amounts };
+}
+
+function checkIdentifiers(body, entities, mismatches, unsupported) {
+  let checked = 0;
+  for (const { field, label, pattern } of IDENTIFIERS) {
+    const expected = entities[field];
+    const seen = new Set();
+    for (const match of body.matchAll(pattern)) {
+      const found = match[1];
+      if (seen.has(normalizeId(found))) continue;
+      seen.add(normalizeId(found));
+      checked++;
+      if (!expected) {
+        unsupported.push({ type: field, label, value: found });
+      } else if (normalizeId(found) !== normalizeId(expected)) {
+        mismatches.push({ field, label, found, expected });
+      }
+    }
+  }
+  return checked;
+}
+
+function checkDates(body, entities, known, mismatches, unsupported, language) {
+  let checked = 0;
+  const seen = new Set();
+  for (const { text, index, date } of dateMatches(body, { language })) {
+    checked++;
+
+    // A date introduced as the date of loss or the denial date must be that fact
+    const before = body.slice(Math.max(0, index - 60), index);
+    const labelled = LABELLED_DATES.find(({ pattern }) => pattern.test(before));
+    if (labelled && entities[labelled.field] && entities[labelled.field] !== date) {
+      mismatches.push({ field: labelled.field, label: labelled.label, found: text, expected: entities[labelled.field] });
+      continue;
+    }
+    if (!known.dates.has(date) && !seen.has(date)) {
+      seen.add(date);
+      unsupported.push({ type: 'date', label: 'Date', value: text });
+    }
+  }
+  return checked;
+}
+
+function checkAmounts(body, known, unsupported) {
+  let checked = 0;
+  const seen = new Set();
+  for (const { amount } of amountMatches(body)) {
+    checked++;
+    const key = amountKey(amount);
+    if (!known.amounts.has(key) && !seen.has(key)) {
+      seen.add(key);
+      unsupported.push({ type: 'amount', label: 'Dollar amount', value: formatAmount(amount) });
+    }
+  }
+  return checked;
+}
+
+function checkInsurerNames(body, entities, mismatches, unsupported) {
+  let checked = 0;
+  const expected = entities.insurer?.name || null;
+  const seen = new Set();
+  for (const match of body.matchAll(INSURER_PATTERN)) {
+    let name = match[1].trim();
+    while (INSURER_FILLER.test(name)) name = name.replace(INSURER_FILLER, '');
+    if (!name || GENERIC_INSURER_WORDS.test(name) || !/^[A-Z]/.test(name)) continue;
+    const key = normalizeName(name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    checked++;
+
+    // The extracted name may be longer or shorter than the one the letter uses ("Acme Mutual" vs "Acme Mutual Insurance Company")
+    const expectedKey = normalizeName(expected);
+    if (!expected) {
+      unsupported.push({ type: 'insurerName', label: 'Insurer name', value: name });
+    } else if (!expectedKey.includes(key) && !key.includes(expectedKey)) {
+      mismatches.push({ field: 'insurerName', label: 'Insurer name', found: name, expected });
+    }
+  }
+  return checked;
+}
+
+// Body of a stored full letter: between the salutation and the closing
+function letterBody(letter) {
+  const lines = String(letter || '').replace(/\r\n/g, '\n').split('\n');
+  const start = lines.findIndex(line => /^\s*(?:dear\b.*|to whom it may concern|estimad[oa]s?\b.*|kính gửi.*|尊敬的.*)[:,]?\s*$/i.test(line));
+  let end = lines.length;
+  for (let i = lines.length - 1; i > start; i--) {
+    if (/^\s*(?:sincerely|respectfully(?: submitted)?|regards|best regards|kind regards|yours truly|very truly yours|atentamente|cordialmente|trân trọng|此致(?:敬礼)?)[,.，]?\s*$/i.test(lines[i])) {
+      end = i;
+      break;
+    }
+  }
+  return lines.slice(start + 1, end).join('\n');
+}
+
+// Check the letter body (the letterhead and RE: block are rendered from the facts; use letterBody() for a full letter).
+// language is the letter's; it decides whether 9/7/2025 is read day first.
+// Returns { checked, mismatches: [{ field, label, found, expected }], unsupported: [{ type, label, value }], requiresAcknowledgement }.
+function checkFacts(body, { entities, details = {}, sourceTexts = [], letterDate = null, language = 'en' }) {
+  const text = String(body || '');
+  const known = knownFacts({ entities, details, sourceTexts, letterDate });
+  const mismatches = [];
+  const unsupported = [];
+  const checked = checkIdentifiers(text, entities, mismatches, unsupported)
+    + checkDates(text, entities, known, mismatches, unsupported, language)
+    + checkAmounts(text, known, unsupported)
+    + checkInsurerNames(text, entities, mismatches, unsupported);
+  return { checked, mismatches, unsupported, requiresAcknowledgement: mismatches.length + unsupported.length > 0 };
+}
+
+// Columns loaded to decide whether a stored letter may be downloaded
+const FACT_CHECK_COLUMNS = 'fact_check, fact_check_acknowledged_at';
+
+// The stored check if it still needs the user's acknowledgement, else null
+function pendingFactCheck(record) {
+  const factCheck = record?.fact_check;
+  if (!factCheck?.requiresAcknowledgement || record?.fact_check_acknowledged_at) return null;
+  return factCheck;
+}
+
+// Load the record's fact check; returns the unacknowledged check, or null when the letter may be released
+async function loadPendingFactCheck(supabase, recordId) {
+  const { data, error } = await supabase
+    .from('cla_letters')
+    .select(FACT_CHECK_COLUMNS)
+    .eq('id', recordId)
+    .single();
+  if (error) throw error;
+  return pendingFactCheck(data);
+}
+
+// SHA-256 of a letter as stored in letter_sha256 / reading_copy_sha256: trimmed, with \n line endings
+function letterHash(text) {
+  const normalized = String(text || '').replace(/\r\n/g, '\n').trim();
+  return crypto.createHash('sha256').update(normalized, 'utf8').digest('hex');
+}
+
+// Text sent for download without a recordId may still be a stored letter or reading copy; returns
+// the unacknowledged check of any record it matches, or null
+async function loadPendingFactCheckForText(supabase, text) {
+  const hash = letterHash(text);
+  const { data, error } = await supabase
+    .from('cla_letters')
+    .select(FACT_CHECK_COLUMNS)
+    .or(`letter_sha256.eq.${hash},reading_copy_sha256.eq.${hash}`);
+  if (error) throw error;
+  return (data || []).map(pendingFactCheck).find(Boolean) || null;
+}
+
+// Record the user's acknowledgement of the current letter's fact check
+async function acknowledgeFactCheck(supabase, recordId) {
+  const acknowledgedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('cla_letters')
+    .update({ fact_check_acknowledged_at: acknowledgedAt })
+    .eq('id', recordId)
+    .select(FACT_CHECK_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  FACT_CHECK_COLUMNS,
+  letterBody,
+  checkFacts,
+  pendingFactCheck,
+  loadPendingFactCheck,
+  letterHash,
+  loadPendingFactCheckForText,
+  acknowledgeFactCheck,
+};
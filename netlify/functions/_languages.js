@@ -0,0 +1,228 @@
+// Languages for denial analysis and letters.
+// analyze-letter detects the denial's language and writes the plain-language summary in the user's
+// preferred language; generate-response writes the letter in the denial's (the insurer's) language and
+// can add a translated reading copy. The letter frame (RE: block, salutation, closing) is rendered from
+// the text below, so it matches the body's language.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: {
+    label: 'English',
+    nativeLabel: 'English',
+    locale: 'en-US',
+    // Numeric dates: 7/9/2025 is July 9
+    dayFirst: false,
+    frame: {
+      re: 'RE:',
+      claimNumber: 'Claim Number',
+      policyNumber: 'Policy Number',
+      policyholderId: 'Policyholder ID',
+      insured: 'Insured',
+      dateOfLoss: 'Date of Loss',
+      denialDate: 'Denial Date',
+      amountClaimed: 'Amount Claimed',
+      attn: 'Attn',
+      claimsDepartment: 'Claims Department',
+      salutation: 'Dear Claims Review Department:',
+      regulatorSalutation: 'Dear Consumer Services Division:',
+      closing: 'Sincerely,',
+      policyholder: 'Policyholder',
+      enclosures: 'Enclosures:',
+      pageOf: 'Page {page} of {pages}',
+      readingCopyNotice: 'READING COPY: a translation for your reference only. Do not send this copy; send the original letter.',
+    },
+  },
+  es: {
+    label: 'Spanish',
+    nativeLabel: 'Español',
+    locale: 'es-US',
+    // 9/7/2025 is 9 July
+    dayFirst: true,
+    frame: {
+      re: 'Asunto:',
+      claimNumber: 'Número de reclamación',
+      policyNumber: 'Número de póliza',
+      policyholderId: 'Identificación del asegurado',
+      insured: 'Asegurado',
+      dateOfLoss: 'Fecha de la pérdida',
+      denialDate: 'Fecha de la denegación',
+      amountClaimed: 'Cantidad reclamada',
+      attn: 'Atención',
+      claimsDepartment: 'Departamento de Reclamaciones',
+      salutation: 'Estimado Departamento de Revisión de Reclamaciones:',
+      regulatorSalutation: 'Estimada División de Servicios al Consumidor:',
+      closing: 'Atentamente,',
+      policyholder: 'Asegurado',
+      enclosures: 'Anexos:',
+      pageOf: 'Página {page} de {pages}',
+      readingCopyNotice: 'COPIA DE LECTURA: traducción solo para su referencia. No envíe esta copia; envíe la carta original.',
+    },
+  },
+  vi: {
+    label: 'Vietnamese',
+    nativeLabel: 'Tiếng Việt',
+    locale: 'vi-VN',
+    dayFirst: true,
+    frame: {
+      re: 'V/v:',
+      claimNumber: 'Số hồ sơ bồi thường',
+      policyNumber: 'Số hợp đồng bảo hiểm',
+      policyholderId: 'Mã số người được bảo hiểm',
+      insured: 'Người được bảo hiểm',
+      dateOfLoss: 'Ngày xảy ra tổn thất',
+      denialDate: 'Ngày từ chối',
+      amountClaimed: 'Số tiền yêu cầu bồi thường',
+      attn: 'Người nhận',
+      claimsDepartment: 'Phòng Bồi thường',
+      salutation: 'Kính gửi Phòng Xem xét Bồi thường,',
+      regulatorSalutation: 'Kính gửi Bộ phận Dịch vụ Người tiêu dùng,',
+      closing: 'Trân trọng,',
+      policyholder: 'Người được bảo hiểm',
+      enclosures: 'Tài liệu đính kèm:',
+      pageOf: 'Trang {page}/{pages}',
+      readingCopyNotice: 'BẢN ĐỌC THAM KHẢO: bản dịch chỉ để quý vị tham khảo. Không gửi bản này; hãy gửi thư gốc.',
+    },
+  },
+  zh: {
+    label: 'Chinese (Simplified)',
+    nativeLabel: '中文',
+    locale: 'zh-CN',
+    dayFirst: false,
+    frame: {
+      re: '事由：',
+      claimNumber: '索赔编号',
+      policyNumber: '保单编号',
+      policyholderId: '投保人编号',
+      insured: '被保险人',
+      dateOfLoss: '损失日期',
+      denialDate: '拒赔日期',
+      amountClaimed: '索赔金额',
+      attn: '收件人',
+      claimsDepartment: '理赔部',
+      salutation: '尊敬的理赔审核部：',
+      regulatorSalutation: '尊敬的消费者服务部：',
+      closing: '此致敬礼',
+      policyholder: '投保人',
+      enclosures: '附件：',
+      pageOf: '第 {page} 页，共 {pages} 页',
+      readingCopyNotice: '阅读副本：本译文仅供您参考。请勿寄出此副本，请寄出原信。',
+    },
+  },
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// Closings and enclosure headings in every language, for finding the body of an assembled letter
+const CLOSINGS = LANGUAGE_CODES.map(code => LANGUAGES[code].frame.closing);
+const ENCLOSURE_HEADINGS = LANGUAGE_CODES.map(code => LANGUAGES[code].frame.enclosures);
+
+function isLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// null when the value is missing or supported, else an error message naming the field
+function validateLanguage(code, field = 'language') {
+  if (code === undefined || code === null || code === '') return null;
+  if (typeof code === 'string' && isLanguage(code)) return null;
+  return `Unknown ${field} "${String(code).slice(0, 40)}". Expected one of: ${LANGUAGE_CODES.join(', ')}`;
+}
+
+function frameText(code) {
+  return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).frame;
+}
+
+function localeFor(code) {
+  return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+}
+
+// Whether numeric dates in this language put the day before the month
+function readsDayFirst(code) {
+  return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).dayFirst;
+}
+
+const CJK_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+// Letters only Vietnamese uses among the supported languages (Spanish shares á, é, í, ó, ú)
+const VIETNAMESE_PATTERN = /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gi;
+const LETTER_PATTERN = /\p{L}/gu;
+
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'your', 'is', 'for', 'we', 'this', 'that', 'claim', 'policy', 'not', 'with', 'are'],
+  es: ['el', 'la', 'de', 'que', 'los', 'las', 'del', 'su', 'por', 'para', 'con', 'una', 'usted', 'reclamación', 'póliza', 'es', 'no'],
+};
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Pattern-based language detection: script for Chinese, letters for Vietnamese, stopwords for Spanish
+// vs English. Returns { language, confidence } with confidence 0-1; short or empty text reads as English.
+function detectLanguage(text = '') {
+  const sample = String(text || '').slice(0, 20000);
+  const letters = countMatches(sample, LETTER_PATTERN);
+  if (letters < 20) return { language: DEFAULT_LANGUAGE, confidence: 0 };
+
+  const cjkShare = countMatches(sample, CJK_PATTERN) / letters;
+  if (cjkShare > 0.2) return { language: 'zh', confidence: Math.min(1, Math.round(cjkShare * 150) / 100) };
+
+  const vietnameseShare = countMatches(sample, VIETNAMESE_PATTERN) / letters;
+  if (vietnameseShare > 0.02) return { language: 'vi', confidence: Math.min(1, Math.round(vietnameseShare * 1000) / 100) };
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(Object.entries(STOPWORDS).map(([code, list]) => {
+    const set = new Set(list);
+    return [code, words.filter(word => set.has(word)).length];
+  }));
+  const total = scores.en + scores.es;
+  if (!total) return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  const language = scores.es > scores.en ? 'es' : 'en';
+  return { language, confidence: Math.round((scores[language] / total) * 100) / 100 };
+}
+
+// Saved preference for the user with this email, or null
+async function loadPreferredLanguage(supabase, email) {
+  if (!email) return null;
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id')
+    .eq('email', email)
+    .maybeSingle();
+  if (userError) throw userError;
+  if (!user) return null;
+
+  const { data: preferences, error } = await supabase
+    .from('user_preferences')
+    .select('preferred_language')
+    .eq('user_id', user.id)
+    .maybeSingle();
+  if (error) throw error;
+  return isLanguage(preferences?.preferred_language) ? preferences.preferred_language : null;
+}
+
+// Prompt name for a language, e.g. "Spanish (Español)"
+function describeLanguage(code) {
+  const language = LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+  return language.label === language.nativeLabel ? language.label : `${language.label} (${language.nativeLabel})`;
+}
+
+// Public view for the language dropdowns
+function languageCatalog() {
+  return LANGUAGE_CODES.map(code => ({ value: code, label: LANGUAGES[code].label, nativeLabel: LANGUAGES[code].nativeLabel }));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_CODES,
+  CLOSINGS,
+  ENCLOSURE_HEADINGS,
+  isLanguage,
+  validateLanguage,
+  frameText,
+  localeFor,
+  readsDayFirst,
+  detectLanguage,
+  loadPreferredLanguage,
+  describeLanguage,
+  languageCatalog,
+};
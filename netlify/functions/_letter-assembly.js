@@ -0,0 +1,195 @@
+// Deterministic letter assembly around the model-written body.
+// The date, sender block, recipient block, RE: line, salutation and signature are rendered
+// from the user's profile and the extracted claim facts, so letters never carry placeholders.
+
+const { formatAmount } = require('./_claim-entities.js');
+const { DEFAULT_LANGUAGE, frameText, localeFor } = require('./_languages.js');
+
+const PROFILE_FIELDS = ['fullName', 'streetAddress', 'cityStateZip', 'phone', 'email', 'policyholderId'];
+
+// Column names in public.user_profiles
+const PROFILE_COLUMNS = {
+  fullName: 'full_name',
+  streetAddress: 'street_address',
+  cityStateZip: 'city_state_zip',
+  phone: 'phone',
+  email: 'email',
+  policyholderId: 'policyholder_id',
+};
+
+function clean(value) {
+  return typeof value === 'string' && value.trim() && !/^\[.*\]$/.test(value.trim()) ? value.trim() : null;
+}
+
+// Accepts the profile shape above or the userData/userInfo shape the pages send
+// ({ name, address, city, phone, email, policyholderId }).
+function normalizeProfile(raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return {
+    fullName: clean(source.fullName) || clean(source.name),
+    streetAddress: clean(source.streetAddress) || clean(source.address),
+    cityStateZip: clean(source.cityStateZip) || clean(source.city),
+    phone: clean(source.phone),
+    email: clean(source.email),
+    policyholderId: clean(source.policyholderId),
+  };
+}
+
+// Fill gaps in the first profile from the second (e.g. request fields over the saved profile)
+function mergeProfiles(primary, fallback) {
+  const merged = {};
+  for (const field of PROFILE_FIELDS) merged[field] = primary[field] || fallback[field] || null;
+  return merged;
+}
+
+function profileFromRow(row) {
+  if (!row) return normalizeProfile();
+  return normalizeProfile(Object.fromEntries(PROFILE_FIELDS.map(field => [field, row[PROFILE_COLUMNS[field]]])));
+}
+
+function profileToRow(profile) {
+  return Object.fromEntries(PROFILE_FIELDS.map(field => [PROFILE_COLUMNS[field], profile[field]]));
+}
+
+async function loadProfile(supabase, email) {
+  if (!email) return normalizeProfile();
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select(Object.values(PROFILE_COLUMNS).join(', '))
+    .eq('email', email)
+    .maybeSingle();
+  if (error) throw error;
+  return profileFromRow(data);
+}
+
+// Upsert by email; only the fields present in the profile overwrite the saved ones
+async function saveProfile(supabase, profile) {
+  if (!profile.email) return;
+  const row = Object.fromEntries(Object.entries(profileToRow(profile)).filter(([, value]) => value));
+  const { error } = await supabase.from('user_profiles').upsert(row, { onConflict: 'email' });
+  if (error) throw error;
+}
+
+function formatLetterDate(date = new Date(), language = DEFAULT_LANGUAGE) {
+  return date.toLocaleDateString(localeFor(language), { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// A YYYY-MM-DD date in the letter's language; null for anything that isn't a real day, so the RE:
+// block leaves the line out rather than printing "Invalid Date"
+function formatIsoDate(iso, language) {
+  const date = new Date(`${iso}T00:00:00Z`);
+  if (!iso || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso) return null;
+  return formatLetterDate(date, language);
+}
+
+// "PO Box 1234, Dallas, TX 75201" -> ["PO Box 1234", "Dallas, TX 75201"]
+function addressLines(address) {
+  if (!address) return [];
+  if (address.includes('\n')) return address.split('\n').map(line => line.trim()).filter(Boolean);
+  const match = address.match(/^(.*?),\s*([^,]+,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?)$/);
+  return match ? [match[1].trim(), match[2].trim()] : [address.trim()];
+}
+
+function senderBlock(profile) {
+  return [profile.fullName, profile.streetAddress, profile.cityStateZip, profile.phone, profile.email].filter(Boolean);
+}
+
+function recipientBlock(entities, text) {
+  const lines = [];
+  lines.push(entities.insurer?.name || text.claimsDepartment);
+  if (entities.adjuster?.name) lines.push(`${text.attn}: ${entities.adjuster.name}`);
+  lines.push(...addressLines(entities.insurer?.address));
+  return lines;
+}
+
+function referenceBlock(entities, profile, subject, text, language) {
+  const rows = [
+    [text.claimNumber, entities.claimNumber],
+    [text.policyNumber, entities.policyNumber],
+    [text.policyholderId, profile.policyholderId !== entities.policyNumber ? profile.policyholderId : null],
+    [text.insured, profile.fullName],
+    [text.dateOfLoss, formatIsoDate(entities.dateOfLoss, language)],
+    [text.denialDate, formatIsoDate(entities.denialDate, language)],
+    [text.amountClaimed, entities.amountClaimed !== null && entities.amountClaimed !== undefined ? formatAmount(entities.amountClaimed) : null],
+  ].filter(([, value]) => value);
+  return [`${text.re} ${subject}`, ...rows.map(([label, value]) => `    ${label}: ${value}`)];
+}
+
+// Only English letters address the adjuster by name; other languages use the department salutation
+function salutation(entities, text, language) {
+  const adjuster = entities.adjuster?.name;
+  return adjuster && language === DEFAULT_LANGUAGE ? `Dear ${adjuster}:` : text.salutation;
+}
+
+function signatureBlock(profile, text) {
+  return [text.closing, '', '', profile.fullName || text.policyholder];
+}
+
+// Everything above and below the body. header ends with the salutation and a blank line.
+// recipient ({ lines, salutation }) replaces the insurer block for letters addressed elsewhere;
+// enclosures are lines listed after the signature (see _exhibits.js). Labels, salutation, closing
+// and date follow language (see _languages.js).
+function renderFrame({ profile, entities, subject = 'Appeal of Claim Denial', recipient = null, enclosures = [], date = new Date(), language = DEFAULT_LANGUAGE }) {
+  const text = frameText(language);
+  const header = [
+    ...senderBlock(profile),
+    '',
+    formatLetterDate(date, language),
+    '',
+    ...(recipient ? recipient.lines : recipientBlock(entities, text)),
+    '',
+    ...referenceBlock(entities, profile, subject, text, language),
+    '',
+    recipient ? recipient.salutation : salutation(entities, text, language),
+    '',
+    '',
+  ].join('\n');
+  const footer = ['', '', ...signatureBlock(profile, text), ...(enclosures.length ? ['', '', ...enclosures] : [])].join('\n');
+  return { header, footer };
+}
+
+const CLOSING_LINE = /^(sincerely|respectfully|respectfully submitted|regards|best regards|kind regards|yours truly|very truly yours|thank you for your (prompt )?attention|atentamente|cordialmente|trân trọng|此致(敬礼)?)[,.，]?\s*$/i;
+const HEADER_LINE = /^(re|subject|date|asunto|fecha|v\/v)\s*:|^事由|^\[.*\]$|^(dear|to whom it may concern|estimad[oa]s?|kính gửi)\b|^尊敬的/i;
+const SALUTATION_LINE = /^(dear\b|to whom it may concern|estimad[oa]s?\b|kính gửi|尊敬的)/i;
+
+// Keep only the body the model wrote: drop any salutation, heading, closing or signature it added anyway
+function extractBody(text = '') {
+  let lines = String(text).replace(/\r\n/g, '\n').trim().split('\n');
+
+  const salutationIndex = lines.slice(0, 20).findIndex(line => SALUTATION_LINE.test(line.trim()));
+  if (salutationIndex !== -1) {
+    lines = lines.slice(salutationIndex + 1);
+  } else {
+    while (lines.length && (HEADER_LINE.test(lines[0].trim()) || !lines[0].trim())) lines.shift();
+  }
+
+  const tailStart = Math.max(0, lines.length - 12);
+  const closingIndex = lines.slice(tailStart).findIndex(line => CLOSING_LINE.test(line.trim()));
+  if (closingIndex !== -1) lines = lines.slice(0, tailStart + closingIndex);
+
+  return lines
+    .filter(line => !/^\s*\[[^\]]*\]\s*$/.test(line))
+    .join('\n')
+    .trim();
+}
+
+function assembleLetter(frame, body) {
+  return `${frame.header}${extractBody(body)}${frame.footer}`;
+}
+
+// Prompt text telling the model what it is responsible for
+const BODY_INSTRUCTION = 'Write only the body of the letter. The date, sender and recipient addresses, RE: line, salutation, closing and signature are added automatically, so do not write any of them and never use placeholders such as [Your Name] or [Address]. Start directly with the first paragraph and end with the last paragraph before the closing.';
+
+module.exports = {
+  PROFILE_FIELDS,
+  BODY_INSTRUCTION,
+  normalizeProfile,
+  mergeProfiles,
+  loadProfile,
+  saveProfile,
+  formatLetterDate,
+  addressLines,
+  renderFrame,
+  extractBody,
+  assembleLetter,
+};
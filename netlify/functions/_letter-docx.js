@@ -0,0 +1,329 @@
+// Letter layout for Word output (docx), the editable counterpart of _letter-pdf.js.
+// The letter text is converted into real DOCX structure instead of one block of text: the sender block
+// becomes a centered letterhead, the RE: line and reference rows, headings ("## ...", "**...**" on its
+// own line, or a line in capitals), numbered and bulleted lists, **bold** text and the enclosures list
+// each get their own paragraph style, and the closing is followed by a line for a wet signature above
+// the policyholder's name. Pages have 1-inch margins, the claim number in the header and
+// "Page X of Y" in the footer. Themes choose the font and size to match the PDF download.
+
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageNumber,
+  Paragraph,
+  TextRun,
+} = require("docx");
+const { DEFAULT_LANGUAGE, CLOSINGS, ENCLOSURE_HEADINGS, LANGUAGES, LANGUAGE_CODES, frameText, detectLanguage } = require("./_languages.js");
+const { THEMES, DEFAULT_THEME, findClaimNumber, splitLetterhead } = require("./_letter-pdf.js");
+
+// Word measures in twentieths of a point (twips) and font sizes in half points
+const INCH = 1440;
+const PARAGRAPH_SPACING = 200;
+const LIST_INDENT = 360;
+
+// Word fonts closest to each PDF theme's standard font
+const THEME_FONTS = {
+  standard: 'Arial',
+  classic: 'Times New Roman',
+  compact: 'Arial',
+};
+
+const NUMBERED_LIST = 'letter-numbered';
+const BULLETED_LIST = 'letter-bulleted';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const SUBJECT_LINE = new RegExp(`^(?:${LANGUAGE_CODES.map(code => escapeRegExp(LANGUAGES[code].frame.re)).join('|')})`, 'i');
+const CLOSING_LINES = new Set(CLOSINGS.map(closing => closing.toLowerCase()));
+const ENCLOSURE_LINES = new Set(ENCLOSURE_HEADINGS.map(heading => heading.toLowerCase()));
+const MARKDOWN_HEADING = /^#{1,6}\s+(.+?)\s*#*$/;
+const BOLD_HEADING = /^\*\*([^*]+)\*\*:?$/;
+// A short line in capitals ("BACKGROUND", "REQUEST FOR RECONSIDERATION")
+const CAPITALS_HEADING = /^(?=.*[A-Z]{3})[^a-z]{3,80}$/;
+const NUMBERED_ITEM = /^(\s*)(\d{1,2})[.)]\s+(.+)$/;
+const BULLETED_ITEM = /^(\s*)[-*•·]\s+(.+)$/;
+
+function indentWidth(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+// List nesting from the item's indent: two or more spaces per level, at most three levels
+function listLevel(indent) {
+  return Math.min(2, Math.floor(indent / 2));
+}
+
+// What one line of the letter is. Returns { type, text, level?, number? }. Lines in capitals are
+// headings only in the body (capitals: true), since the insurer's name in the address may be capitalized.
+function classifyLine(line, { capitals = true } = {}) {
+  const trimmed = line.trim();
+  const lower = trimmed.toLowerCase();
+  if (SUBJECT_LINE.test(trimmed)) return { type: 'subject', text: trimmed };
+  if (CLOSING_LINES.has(lower)) return { type: 'closing', text: trimmed };
+  if (ENCLOSURE_LINES.has(lower)) return { type: 'enclosures', text: trimmed };
+
+  const numbered = line.match(NUMBERED_ITEM);
+  if (numbered) return { type: 'numbered', text: numbered[3].trim(), level: listLevel(indentWidth(line)), number: parseInt(numbered[2], 10) };
+  const bulleted = line.match(BULLETED_ITEM);
+  if (bulleted && !/^\*\*/.test(trimmed)) return { type: 'bulleted', text: bulleted[2].trim(), level: listLevel(indentWidth(line)) };
+
+  const heading = trimmed.match(MARKDOWN_HEADING) || trimmed.match(BOLD_HEADING);
+  if (heading) return { type: 'heading', text: heading[1].trim() };
+  if (capitals && CAPITALS_HEADING.test(trimmed) && !/[.,;]$/.test(trimmed)) return { type: 'heading', text: trimmed };
+
+  return { type: 'text', text: trimmed, indented: indentWidth(line) > 0 };
+}
+
+// "**bold**" spans become bold runs; the markers are dropped
+function textRuns(text, { bold = false } = {}) {
+  return String(text).split(/(\*\*[^*]+\*\*)/).filter(Boolean).map((part) => {
+    const strong = /^\*\*[^*]+\*\*$/.test(part);
+    return new TextRun({ text: strong ? part.slice(2, -2) : part, bold: bold || strong });
+  });
+}
+
+// Several lines kept as one paragraph (addresses, reference rows), separated by line breaks
+function lineRuns(lines, options) {
+  return lines.flatMap((line, index) => {
+    const runs = textRuns(line, options);
+    return index === 0 ? runs : [new TextRun({ break: 1 }), ...runs];
+  });
+}
+
+function letterheadParagraphs(letterhead) {
+  const [name, ...contact] = letterhead;
+  // The contact line carries the rule under the letterhead, so it is kept even when empty
+  return [
+    new Paragraph({ style: 'LetterheadName', children: [new TextRun(name)] }),
+    new Paragraph({ style: 'LetterheadContact', children: contact.length ? [new TextRun(contact.join('  |  '))] : [] }),
+  ];
+}
+
+// The closing, space to sign, a signature line and the name(s) typed under it
+function signatureParagraphs(closing, nameLines) {
+  return [
+    new Paragraph({ style: 'Closing', children: textRuns(closing) }),
+    new Paragraph({ style: 'SignatureLine', children: [] }),
+    new Paragraph({ style: 'Signature', children: lineRuns(nameLines) }),
+  ];
+}
+
+// Convert the letter body into paragraphs. Runs of non-blank lines are blocks; within a block, list
+// items, headings and the RE: line are paragraphs of their own and other consecutive lines stay
+// together with line breaks.
+function bodyParagraphs(body) {
+  const blocks = [];
+  let current = null;
+  for (const line of body.split('\n')) {
+    if (!line.trim()) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = [];
+      blocks.push(current);
+    }
+    current.push(line);
+  }
+
+  const paragraphs = [];
+  let inBody = !blocks.some(block => block.some(line => SUBJECT_LINE.test(line.trim())));
+  let listInstance = 0;
+  let inEnclosures = false;
+  let signAfterClosing = null;
+
+  blocks.forEach((block) => {
+    // The name block after the closing goes under the signature line
+    if (signAfterClosing) {
+      paragraphs.push(...signatureParagraphs(signAfterClosing, block.map(line => line.trim())));
+      signAfterClosing = null;
+      return;
+    }
+
+    let pending = null;
+    const flush = () => {
+      if (!pending) return;
+      const style = inEnclosures ? 'Enclosure' : pending.indented ? 'ReferenceRows' : 'LetterText';
+      paragraphs.push(new Paragraph({ style, children: lineRuns(pending.lines) }));
+      pending = null;
+    };
+
+    for (const [index, line] of block.entries()) {
+      const item = classifyLine(line, { capitals: inBody });
+      if (item.type === 'text') {
+        if (pending && pending.indented !== item.indented) flush();
+        if (!pending) pending = { lines: [], indented: item.indented };
+        pending.lines.push(item.text);
+        continue;
+      }
+      flush();
+      switch (item.type) {
+        case 'subject':
+          inBody = true;
+          paragraphs.push(new Paragraph({ style: 'Subject', children: textRuns(item.text, { bold: true }) }));
+          break;
+        case 'heading':
+          paragraphs.push(new Paragraph({ heading: HeadingLevel.HEADING_2, children: textRuns(item.text.replace(/\*\*/g, '')) }));
+          break;
+        case 'enclosures':
+          inEnclosures = true;
+          paragraphs.push(new Paragraph({ style: 'EnclosuresHeading', children: textRuns(item.text) }));
+          break;
+        case 'closing': {
+          // The name may follow the closing in the same block ("Sincerely,\nJane Doe")
+          const names = block.slice(index + 1).map(entry => entry.trim());
+          if (names.length) paragraphs.push(...signatureParagraphs(item.text, names));
+          else signAfterClosing = item.text;
+          break;
+        }
+        case 'numbered':
+          // A list that starts again at 1 is a new list; otherwise numbering continues across blank lines
+          if ((item.number === 1 && item.level === 0) || !listInstance) listInstance++;
+          paragraphs.push(new Paragraph({ style: 'ListItem', numbering: { reference: NUMBERED_LIST, level: item.level, instance: listInstance }, children: textRuns(item.text) }));
+          break;
+        case 'bulleted':
+          paragraphs.push(new Paragraph({ style: 'ListItem', numbering: { reference: BULLETED_LIST, level: item.level }, children: textRuns(item.text) }));
+          break;
+        default:
+          break;
+      }
+      if (item.type === 'closing') break;
+    }
+    flush();
+  });
+
+  // A closing with no name after it still gets a line to sign on
+  if (signAfterClosing) paragraphs.push(...signatureParagraphs(signAfterClosing, []).slice(0, 2));
+  return paragraphs;
+}
+
+function listLevels(format, texts) {
+  return texts.map((text, level) => ({
+    level,
+    format,
+    text,
+    alignment: AlignmentType.LEFT,
+    style: { paragraph: { indent: { left: LIST_INDENT * (level + 2), hanging: LIST_INDENT } } },
+  }));
+}
+
+function paragraphStyles(font, size) {
+  const spaced = { spacing: { after: PARAGRAPH_SPACING } };
+  return [
+    { id: 'LetterText', name: 'Letter Text', basedOn: 'Normal', next: 'LetterText', quickFormat: true, paragraph: spaced },
+    { id: 'LetterheadName', name: 'Letterhead Name', basedOn: 'Normal', run: { bold: true, size: size + 8 }, paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 40 } } },
+    {
+      id: 'LetterheadContact',
+      name: 'Letterhead Contact',
+      basedOn: 'Normal',
+      run: { size: size - 4, color: '595959' },
+      paragraph: {
+        alignment: AlignmentType.CENTER,
+        spacing: { after: PARAGRAPH_SPACING * 2 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '595959', space: 4 } },
+      },
+    },
+    { id: 'Subject', name: 'Subject Line', basedOn: 'Normal', next: 'ReferenceRows', run: { bold: true }, paragraph: { keepNext: true } },
+    { id: 'ReferenceRows', name: 'Reference Rows', basedOn: 'Normal', paragraph: { indent: { left: INCH / 2 }, ...spaced } },
+    { id: 'ListItem', name: 'Letter List', basedOn: 'Normal', next: 'ListItem', paragraph: { spacing: { after: PARAGRAPH_SPACING / 2 } } },
+    { id: 'Closing', name: 'Closing', basedOn: 'Normal', paragraph: { keepNext: true, spacing: { before: PARAGRAPH_SPACING } } },
+    {
+      id: 'SignatureLine',
+      name: 'Signature Line',
+      basedOn: 'Normal',
+      paragraph: {
+        keepNext: true,
+        spacing: { before: PARAGRAPH_SPACING * 4, after: 40 },
+        indent: { right: INCH * 3.5 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '000000', space: 1 } },
+      },
+    },
+    { id: 'Signature', name: 'Signature', basedOn: 'Normal', paragraph: spaced },
+    { id: 'EnclosuresHeading', name: 'Enclosures Heading', basedOn: 'Normal', run: { bold: true }, paragraph: { keepNext: true, spacing: { before: PARAGRAPH_SPACING } } },
+    { id: 'Enclosure', name: 'Enclosure', basedOn: 'Normal', paragraph: { indent: { left: INCH / 2 }, spacing: { after: 40 } } },
+  ];
+}
+
+// "Page X of Y" with Word page fields in place of the numbers, in the letter's language
+function pageLabelRuns(language, runOptions) {
+  const parts = frameText(language).pageOf.split(/(\{page\}|\{pages\})/).filter(Boolean);
+  return [new TextRun({
+    ...runOptions,
+    children: parts.map(part => (part === '{page}' ? PageNumber.CURRENT : part === '{pages}' ? PageNumber.TOTAL_PAGES : part)),
+  })];
+}
+
+// Build an editable Word letter. Options match renderLetterPdf: theme is a THEMES key, claimNumber and
+// language default to what the letter itself shows, letterhead: true takes the sender block from the
+// top of the letter, an array supplies the lines, false prints the letter as written. Returns a Buffer.
+async function renderLetterDocx(text, { theme: themeName = DEFAULT_THEME, claimNumber = null, language = null, letterhead = true } = {}) {
+  const theme = THEMES[themeName] ? themeName : DEFAULT_THEME;
+  const font = THEME_FONTS[theme];
+  const size = THEMES[theme].fontSize * 2;
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const { letterhead: senderLines, body } = Array.isArray(letterhead)
+    ? { letterhead: letterhead.filter(Boolean), body: source }
+    : letterhead ? splitLetterhead(source) : { letterhead: null, body: source };
+  const headerLanguage = language || detectLanguage(source).language || DEFAULT_LANGUAGE;
+  const headerClaimNumber = claimNumber || findClaimNumber(source);
+  const labels = frameText(headerLanguage);
+
+  const doc = new Document({
+    creator: 'Claim Letter Help',
+    title: headerClaimNumber ? `${labels.claimNumber}: ${headerClaimNumber}` : 'Claim Letter',
+    styles: {
+      default: {
+        document: { run: { font, size } },
+        heading2: {
+          run: { font, size, bold: true, color: '000000' },
+          paragraph: { keepNext: true, spacing: { before: PARAGRAPH_SPACING, after: PARAGRAPH_SPACING / 2 } },
+        },
+      },
+      paragraphStyles: paragraphStyles(font, size),
+    },
+    numbering: {
+      config: [
+        { reference: NUMBERED_LIST, levels: listLevels(LevelFormat.DECIMAL, ['%1.', '%2.', '%3.']) },
+        { reference: BULLETED_LIST, levels: listLevels(LevelFormat.BULLET, ['•', '◦', '▪']) },
+      ],
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: 8.5 * INCH, height: 11 * INCH },
+          margin: { top: INCH, right: INCH, bottom: INCH, left: INCH, header: INCH / 2, footer: INCH / 2 },
+        },
+      },
+      headers: {
+        default: new Header({
+          children: headerClaimNumber
+            ? [new Paragraph({ alignment: AlignmentType.RIGHT, children: [new TextRun({ text: `${labels.claimNumber}: ${headerClaimNumber}`, size: size - 4, color: '595959' })] })]
+            : [],
+        }),
+      },
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({ alignment: AlignmentType.RIGHT, children: pageLabelRuns(headerLanguage, { size: size - 4, color: '595959' }) })],
+        }),
+      },
+      children: [
+        ...(senderLines && senderLines.length ? letterheadParagraphs(senderLines) : []),
+        ...bodyParagraphs(body.replace(/^\n+/, '')),
+      ],
+    }],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  classifyLine,
+  renderLetterDocx,
+};
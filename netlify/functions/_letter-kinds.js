@@ -0,0 +1,268 @@
+// Letter kinds generate-response can write. Each kind has its own recipient, RE: subject,
+// body structure and required fields. Required fields come from the claim facts, the sender
+// profile, the record's policyholder state, or the kind-specific letterDetails in the request.
+
+const { STATE_RULES, normalizeState } = require('./_appeal-deadlines.js');
+const { DEFAULT_LANGUAGE, frameText } = require('./_languages.js');
+const { getField, parseAmount, formatAmount } = require('./_claim-entities.js');
+
+const DEFAULT_KIND = 'internal_appeal';
+
+// Values only the user can supply, sent as letterDetails
+const DETAIL_FIELDS = {
+  proofOfLossAmount: { label: 'Amount on the sworn proof of loss', type: 'amount' },
+  appraiserName: { label: 'Your appraiser\'s name', type: 'text' },
+  appraiserContact: { label: 'Your appraiser\'s phone or email', type: 'text' },
+  disputedAmount: { label: 'Your estimate of the loss', type: 'amount' },
+  demandAmount: { label: 'Settlement demand amount', type: 'amount' },
+  responseDays: { label: 'Days the insurer has to respond', type: 'number' },
+  urgent: { label: 'Health or safety is at risk (expedited review)', type: 'boolean' },
+};
+
+// Claim facts, profile and record values a kind can require, with their labels
+const FACT_FIELDS = {
+  claimNumber: 'Claim number',
+  policyNumber: 'Policy number',
+  insurerName: 'Insurer name',
+  dateOfLoss: 'Date of loss',
+  denialDate: 'Denial date',
+  amountClaimed: 'Amount claimed',
+  fullName: 'Your full name',
+  policyholderState: 'Your state',
+};
+
+const LETTER_KINDS = {
+  internal_appeal: {
+    label: 'Internal appeal',
+    documentName: 'insurance appeal letter',
+    subject: 'Appeal of Claim Denial',
+    subjects: { es: 'Apelación de la denegación de la reclamación', vi: 'Khiếu nại quyết định từ chối bồi thường', zh: '对拒赔决定的申诉' },
+    recipient: 'insurer',
+    required: [],
+    details: [],
+    structure: [
+      'Acknowledge receipt of the denial letter and state that this is a formal appeal',
+      'Address each specific reason for denial raised by the insurance company, with clear, factual explanations and supporting details',
+      'Quote the relevant policy language from the POLICY EXCERPTS and cite the listed state or federal law where it applies',
+      'Refer to the supporting documentation being provided and offer additional documentation if required',
+      'Request specific relief: reversal of the denial and payment of the claim, or a detailed written explanation',
+      'Invite follow-up using the contact details in the letterhead and set a reasonable expectation for a response time',
+    ],
+  },
+  claim_file_request: {
+    label: 'Request for the complete claim file',
+    documentName: 'request for the complete claim file',
+    subject: 'Request for Complete Claim File',
+    subjects: { es: 'Solicitud del expediente completo de la reclamación', vi: 'Yêu cầu cung cấp toàn bộ hồ sơ bồi thường', zh: '申请调阅完整理赔档案' },
+    recipient: 'insurer',
+    required: ['claimNumber'],
+    details: [],
+    structure: [
+      'Identify the claim and state that the policyholder requests a complete copy of the claim file',
+      'List what the file must include: adjuster notes and claim log, photographs, estimates, engineer and expert reports, recorded statements, correspondence, the certified policy with all endorsements, and every document relied on for the decision',
+      'Ask for the file in electronic form within 30 days, or for a written explanation of anything withheld and why',
+      'Keep it short and neutral; do not argue the merits of the claim',
+    ],
+  },
+  external_review: {
+    label: 'Request for external (independent) review',
+    documentName: 'request for an independent external review',
+    subject: 'Request for External Review',
+    subjects: { es: 'Solicitud de revisión externa', vi: 'Yêu cầu xem xét độc lập', zh: '申请外部独立审查' },
+    recipient: 'insurer',
+    required: ['claimNumber', 'denialDate'],
+    details: ['urgent'],
+    policyTerms: 'external review independent review organization grievance',
+    structure: [
+      'State that the policyholder requests an independent external review of the adverse determination dated on the denial date',
+      'Identify the claim and the service or loss that was denied',
+      'Summarize in two or three paragraphs why the denial is wrong, relying on the claim facts and the policy excerpts',
+      'Ask the insurer to forward the complete file to the independent review organization and to confirm the assignment in writing',
+      'If LETTER DETAILS marks the request as urgent, ask for an expedited review and explain that delay would seriously jeopardize health or safety',
+    ],
+  },
+  doi_complaint: {
+    label: 'Complaint to the state Department of Insurance',
+    documentName: 'consumer complaint to the state Department of Insurance',
+    subject: 'Consumer Complaint',
+    subjects: { es: 'Queja del consumidor', vi: 'Đơn khiếu nại của người tiêu dùng', zh: '消费者投诉' },
+    recipient: 'regulator',
+    required: ['insurerName', 'claimNumber', 'policyholderState'],
+    details: [],
+    structure: [
+      'Introduce the policyholder and identify the insurer, policy number and claim number the complaint concerns',
+      'Give a dated timeline of the claim: the loss, the claim, the insurer\'s decisions and any appeal',
+      'Explain specifically what the insurer did wrong, in neutral and factual language',
+      'Describe what the policyholder has already done to resolve it with the insurer',
+      'State the resolution requested and ask the Department to open an inquiry and obtain the insurer\'s written response',
+      'Note that copies of the denial letter and supporting documents are available on request',
+    ],
+  },
+  proof_of_loss: {
+    label: 'Proof-of-loss cover letter',
+    documentName: 'cover letter for a sworn proof of loss',
+    subject: 'Sworn Proof of Loss',
+    subjects: { es: 'Prueba de pérdida jurada', vi: 'Bản kê khai tổn thất có tuyên thệ', zh: '经宣誓的损失证明' },
+    recipient: 'insurer',
+    required: ['claimNumber', 'dateOfLoss', 'proofOfLossAmount'],
+    details: ['proofOfLossAmount'],
+    policyTerms: 'proof of loss duties after loss sworn statement',
+    structure: [
+      'State that the enclosed sworn proof of loss is submitted for the claim, and give the amount claimed on it',
+      'Briefly describe the loss and list the supporting documents enclosed',
+      'Note that the submission is made within the time the policy allows, if the policy excerpts say so',
+      'Ask the insurer to acknowledge receipt in writing and to accept or reject the proof of loss within the time required by law',
+      'Reserve the policyholder\'s right to supplement the claim if further damage is found',
+    ],
+  },
+  appraisal_demand: {
+    label: 'Appraisal demand',
+    documentName: 'written demand for appraisal under the policy\'s appraisal clause',
+    subject: 'Demand for Appraisal',
+    subjects: { es: 'Solicitud de tasación', vi: 'Yêu cầu thẩm định tổn thất', zh: '要求进行损失评估' },
+    recipient: 'insurer',
+    required: ['claimNumber', 'policyNumber', 'appraiserName', 'disputedAmount'],
+    details: ['appraiserName', 'appraiserContact', 'disputedAmount'],
+    policyTerms: 'appraisal disagree amount of loss appraiser umpire',
+    structure: [
+      'State that the policyholder and the insurer disagree on the amount of loss and that the policyholder demands appraisal',
+      'Quote the appraisal clause from the POLICY EXCERPTS if it is there',
+      'Give the policyholder\'s estimate of the loss and the amount the insurer has offered or paid',
+      'Name the policyholder\'s appraiser and their contact details from LETTER DETAILS',
+      'Ask the insurer to name its appraiser in writing within the time the appraisal clause allows (20 days if the excerpts do not say)',
+      'Make clear that appraisal decides the amount of loss only and does not waive any other rights',
+    ],
+  },
+  bad_faith_demand: {
+    label: 'Pre-suit bad-faith demand',
+    documentName: 'pre-suit demand letter regarding the insurer\'s claim handling',
+    subject: 'Pre-Suit Demand',
+    subjects: { es: 'Reclamación previa a la demanda', vi: 'Yêu cầu trước khi khởi kiện', zh: '诉前索赔函' },
+    recipient: 'insurer',
+    required: ['claimNumber', 'policyNumber', 'denialDate', 'demandAmount', 'responseDays'],
+    details: ['demandAmount', 'responseDays'],
+    structure: [
+      'Identify the claim and state that this letter is a formal demand before legal action',
+      'Give a dated chronology of the claim and the insurer\'s handling of it',
+      'Set out the insurer\'s obligations under the policy, quoting the POLICY EXCERPTS, and each specific way the handling fell short (delay, inadequate investigation, misreading the policy, lowball offers)',
+      'Describe the harm the policyholder has suffered as a result',
+      'Demand payment of the settlement amount from LETTER DETAILS within the number of days given there',
+      'State that if the demand is not met the policyholder will pursue all available remedies, including civil action and a complaint to the Department of Insurance; make no other threats',
+    ],
+  },
+};
+
+function isLetterKind(kind) {
+  return Object.prototype.hasOwnProperty.call(LETTER_KINDS, kind);
+}
+
+function validateLetterKind(kind) {
+  if (kind === undefined || kind === null || kind === '') return null;
+  if (typeof kind === 'string' && isLetterKind(kind)) return null;
+  return `Unknown letterKind "${String(kind).slice(0, 40)}". Expected one of: ${Object.keys(LETTER_KINDS).join(', ')}`;
+}
+
+// Keep only the detail fields the kind uses, normalized by type
+function normalizeDetails(kind, raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const details = {};
+  for (const key of LETTER_KINDS[kind].details) {
+    const value = source[key];
+    const { type } = DETAIL_FIELDS[key];
+    if (type === 'boolean') {
+      details[key] = value === true || value === 'true';
+    } else if (type === 'amount') {
+      details[key] = typeof value === 'number' ? value : parseAmount(value);
+    } else if (type === 'number') {
+      const number = parseInt(value, 10);
+      details[key] = Number.isFinite(number) && number > 0 ? number : null;
+    } else {
+      details[key] = typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+  }
+  return details;
+}
+
+function fieldValue(field, { entities, profile, state, details }) {
+  if (DETAIL_FIELDS[field]) return details[field];
+  if (field === 'fullName') return profile.fullName;
+  if (field === 'policyholderState') return state;
+  return getField(entities, field);
+}
+
+// Labels of the required fields that are missing for this kind
+function missingFields(kind, context) {
+  return LETTER_KINDS[kind].required
+    .filter(field => {
+      const value = fieldValue(field, context);
+      return value === null || value === undefined || value === '';
+    })
+    .map(field => DETAIL_FIELDS[field]?.label || FACT_FIELDS[field] || field);
+}
+
+// Recipient block and salutation for kinds that don't go to the insurer. The agency's name stays in
+// English; the salutation follows the letter's language.
+function recipientFor(kind, { state, language = DEFAULT_LANGUAGE }) {
+  if (LETTER_KINDS[kind].recipient !== 'regulator') return null;
+  const code = normalizeState(state);
+  const department = code ? `${STATE_RULES[code].name} Department of Insurance` : 'State Department of Insurance';
+  return { lines: [department, 'Consumer Services Division'], salutation: frameText(language).regulatorSalutation };
+}
+
+// Insurer name appended to complaint subjects, in each language's word order
+const AGAINST = {
+  en: (subject, insurer) => `${subject} Against ${insurer}`,
+  es: (subject, insurer) => `${subject} contra ${insurer}`,
+  vi: (subject, insurer) => `${subject} đối với ${insurer}`,
+  zh: (subject, insurer) => `针对${insurer}的${subject}`,
+};
+
+function subjectFor(kind, entities, language = DEFAULT_LANGUAGE) {
+  const subject = LETTER_KINDS[kind].subjects[language] || LETTER_KINDS[kind].subject;
+  if (kind === 'doi_complaint' && entities.insurer?.name) return (AGAINST[language] || AGAINST.en)(subject, entities.insurer.name);
+  return subject;
+}
+
+// Prompt text for the kind-specific values the user supplied
+function describeDetails(kind, details) {
+  return LETTER_KINDS[kind].details
+    .filter(key => details[key] !== null && details[key] !== undefined && details[key] !== false)
+    .map(key => {
+      const { label, type } = DETAIL_FIELDS[key];
+      const value = type === 'amount' ? formatAmount(details[key]) : type === 'boolean' ? 'Yes' : details[key];
+      return `- ${label}: ${value}`;
+    })
+    .join('\n');
+}
+
+function describeStructure(kind) {
+  return LETTER_KINDS[kind].structure.map(step => `   - ${step}`).join('\n');
+}
+
+// Public view of the catalog for the letter type dropdown
+function kindCatalog() {
+  return Object.entries(LETTER_KINDS).map(([value, kind]) => ({
+    value,
+    label: kind.label,
+    detailFields: kind.details.map(key => ({
+      key,
+      label: DETAIL_FIELDS[key].label,
+      type: DETAIL_FIELDS[key].type,
+      required: kind.required.includes(key),
+    })),
+  }));
+}
+
+module.exports = {
+  DEFAULT_KIND,
+  LETTER_KINDS,
+  isLetterKind,
+  validateLetterKind,
+  normalizeDetails,
+  missingFields,
+  recipientFor,
+  subjectFor,
+  describeDetails,
+  describeStructure,
+  kindCatalog,
+};
@@ -0,0 +1,474 @@
+// Letter typesetting for PDF output (pdf-lib), shared by every PDF producer: generate-pdf downloads,
+// export-pdf and the send-email attachment all call renderLetterPdf, so the same letter and options
+// give the same file.
+// The letter text is laid out line by line: every newline and blank line is kept, long lines wrap at
+// word boundaries (between characters for Chinese), and wrapped lines keep the source line's indent.
+// Pages break with widow/orphan control, short lead-in lines ("Dear ...:", "Sincerely,") stay with
+// what follows, the sender block becomes a letterhead on the first page, and every page gets a
+// "Page X of Y" footer with the claim number. Themes set the fonts, sizes and margins.
+// Archival output is PDF/A-2b (see _pdfa.js): the fonts are embedded instead of the standard ones.
+
+const fs = require("fs");
+const path = require("path");
+const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+const fontkit = require("@pdf-lib/fontkit");
+const { DEFAULT_LANGUAGE, LANGUAGES, LANGUAGE_CODES, frameText, localeFor, detectLanguage } = require("./_languages.js");
+const { makeArchival, sha256 } = require("./_pdfa.js");
+
+const PAGE = {
+  width: 612, // US Letter
+  height: 792,
+  footerY: 40,
+};
+
+// Page and type settings; archival copies embed the bundled archivalFonts in place of the standard
+// fonts, and the Unicode font replaces both faces when the text needs it
+const THEMES = {
+  standard: {
+    label: 'Standard (Helvetica 11pt)',
+    fonts: { regular: StandardFonts.Helvetica, bold: StandardFonts.HelveticaBold },
+    archivalFonts: { regular: 'NotoSans-Regular.ttf', bold: 'NotoSans-Bold.ttf' },
+    margin: 72,
+    fontSize: 11,
+    lineHeight: 15,
+    letterheadNameSize: 15,
+    letterheadContactSize: 9,
+    footerSize: 9,
+  },
+  classic: {
+    label: 'Classic (Times 12pt)',
+    fonts: { regular: StandardFonts.TimesRoman, bold: StandardFonts.TimesRomanBold },
+    archivalFonts: { regular: 'NotoSerif-Regular.ttf', bold: 'NotoSerif-Bold.ttf' },
+    margin: 72,
+    fontSize: 12,
+    lineHeight: 16,
+    letterheadNameSize: 16,
+    letterheadContactSize: 10,
+    footerSize: 9,
+  },
+  compact: {
+    label: 'Compact (Helvetica 10pt, narrow margins)',
+    fonts: { regular: StandardFonts.Helvetica, bold: StandardFonts.HelveticaBold },
+    archivalFonts: { regular: 'NotoSans-Regular.ttf', bold: 'NotoSans-Bold.ttf' },
+    margin: 54,
+    fontSize: 10,
+    lineHeight: 13,
+    letterheadNameSize: 13,
+    letterheadContactSize: 8,
+    footerSize: 8,
+  },
+};
+
+const DEFAULT_THEME = 'standard';
+
+// Written into every file instead of the current time, so repeated renders are identical
+const FIXED_DATE = new Date('2000-01-01T00:00:00Z');
+
+const PRODUCER = 'Claim Letter Help';
+
+const BLACK = rgb(0, 0, 0);
+const GRAY = rgb(0.35, 0.35, 0.35);
+
+// Lines on either side of a page break inside a paragraph
+const MIN_LINES = 2;
+// A leading block of at most this many short lines is the sender block
+const LETTERHEAD_MAX_LINES = 6;
+const LETTERHEAD_MAX_LENGTH = 60;
+
+// The text needs a font Helvetica can't provide; handlers return 422
+class PdfFontError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfFontError';
+    this.statusCode = 422;
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const CLAIM_NUMBER_LINE = new RegExp(`^\\s*(?:${LANGUAGE_CODES.map(code => escapeRegExp(LANGUAGES[code].frame.claimNumber)).join('|')})\\s*[:：]\\s*(\\S+)`, 'im');
+const SUBJECT_LINE = new RegExp(`^(?:${LANGUAGE_CODES.map(code => escapeRegExp(LANGUAGES[code].frame.re)).join('|')})`, 'i');
+// Salutations, closings and headings: one short line ending in ":" or "," introduces what follows
+const LEAD_IN_LINE = /^.{1,60}[:,：，]$/;
+// Chinese characters (and full-width punctuation) can break anywhere; other text breaks at spaces
+const TOKEN_PATTERN = /[\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]|[^\s\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]+|\s+/g;
+
+// Fonts shipped with the functions (netlify/functions/fonts, bundled through included_files in
+// netlify.toml). The bundle may sit elsewhere than the source, so the deployed path is tried too.
+const FONT_DIRECTORIES = [path.join(__dirname, 'fonts'), path.join(process.cwd(), 'netlify', 'functions', 'fonts')];
+
+function bundledFont(file) {
+  const directory = FONT_DIRECTORIES.find(candidate => fs.existsSync(path.join(candidate, file)));
+  return directory ? path.join(directory, file) : null;
+}
+
+// Noto Sans SC covers Vietnamese and Chinese; PDF_UNICODE_FONT_PATH replaces it
+function unicodeFontPath() {
+  return process.env.PDF_UNICODE_FONT_PATH || bundledFont('NotoSansSC-Regular.ttf');
+}
+
+function canEncode(font, text) {
+  try {
+    font.encodeText(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Fonts embedded in archival copies: PDF_ARCHIVAL_FONT_PATH (and PDF_ARCHIVAL_BOLD_FONT_PATH), else
+// the theme's bundled Noto Sans or Noto Serif. Returns file paths.
+function archivalFontPaths(theme) {
+  if (process.env.PDF_ARCHIVAL_FONT_PATH) {
+    return { regular: process.env.PDF_ARCHIVAL_FONT_PATH, bold: process.env.PDF_ARCHIVAL_BOLD_FONT_PATH || process.env.PDF_ARCHIVAL_FONT_PATH };
+  }
+  const regular = bundledFont(theme.archivalFonts.regular);
+  const bold = bundledFont(theme.archivalFonts.bold);
+  if (!regular || !bold) throw new Error('The archival PDF fonts are missing from netlify/functions/fonts. Set PDF_ARCHIVAL_FONT_PATH to a TrueType font.');
+  return { regular, bold };
+}
+
+function coversText(fontBytes, text) {
+  const font = fontkit.create(fontBytes);
+  return [...new Set(text.replace(/\s+/g, ''))].every(char => font.hasGlyphForCodePoint(char.codePointAt(0)));
+}
+
+// PDF/A allows no unembedded fonts, so archival copies embed the archival fonts, or the Unicode font
+// for text they can't show
+async function embedArchivalFonts(pdfDoc, text, theme) {
+  pdfDoc.registerFontkit(fontkit);
+  const paths = archivalFontPaths(theme);
+  const regular = fs.readFileSync(paths.regular);
+  if (coversText(regular, text)) {
+    return {
+      regular: await pdfDoc.embedFont(regular, { subset: true }),
+      bold: await pdfDoc.embedFont(fs.readFileSync(paths.bold), { subset: true }),
+    };
+  }
+  const fontPath = unicodeFontPath();
+  if (!fontPath) {
+    throw new PdfFontError('This letter uses characters the archival PDF font cannot show. Set PDF_UNICODE_FONT_PATH to a Unicode font.');
+  }
+  const unicode = await pdfDoc.embedFont(fs.readFileSync(fontPath), { subset: true });
+  return { regular: unicode, bold: unicode };
+}
+
+// The theme's standard fonts cover English and Spanish. Vietnamese and Chinese letters (and reading
+// copies) use the Unicode font. Returns { regular, bold }.
+async function embedFonts(pdfDoc, text, theme, { archival = false } = {}) {
+  if (archival) return embedArchivalFonts(pdfDoc, text, theme);
+  const regular = await pdfDoc.embedFont(theme.fonts.regular);
+  if (canEncode(regular, text.replace(/\s+/g, ' '))) {
+    return { regular, bold: await pdfDoc.embedFont(theme.fonts.bold) };
+  }
+  const fontPath = unicodeFontPath();
+  if (!fontPath) {
+    throw new PdfFontError('This letter uses characters the built-in PDF font cannot show. Download it as DOCX instead, or set PDF_UNICODE_FONT_PATH to a Unicode font.');
+  }
+  pdfDoc.registerFontkit(fontkit);
+  const unicode = await pdfDoc.embedFont(fs.readFileSync(fontPath), { subset: true });
+  return { regular: unicode, bold: unicode };
+}
+
+// Claim number from the letter's RE: block, in any supported language
+function findClaimNumber(text) {
+  const match = String(text || '').match(CLAIM_NUMBER_LINE);
+  return match ? match[1] : null;
+}
+
+// Split the sender block (the letter's first lines, up to the first blank line) from the rest.
+// Returns { letterhead: [lines] or null, body }.
+function splitLetterhead(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const end = lines.findIndex(line => !line.trim());
+  const block = end === -1 ? [] : lines.slice(0, end);
+  const isSenderBlock = block.length > 0
+    && block.length <= LETTERHEAD_MAX_LINES
+    && block.every(line => line.trim().length <= LETTERHEAD_MAX_LENGTH);
+  if (!isSenderBlock) return { letterhead: null, body: lines.join('\n') };
+  return { letterhead: block.map(line => line.trim()), body: lines.slice(end + 1).join('\n') };
+}
+
+// Wrap one source line to the width; continuation lines keep its indent
+function wrapLine(line, font, fontSize, width) {
+  const indentText = line.match(/^\s*/)[0];
+  const indent = font.widthOfTextAtSize(indentText.replace(/\t/g, '    '), fontSize);
+  const available = Math.max(width - indent, fontSize * 4);
+  const measure = value => font.widthOfTextAtSize(value, fontSize);
+
+  const rows = [];
+  let current = '';
+  for (const token of line.slice(indentText.length).match(TOKEN_PATTERN) || []) {
+    if (/^\s+$/.test(token)) {
+      if (current) current += ' ';
+      continue;
+    }
+    if (measure(current + token) <= available) {
+      current += token;
+      continue;
+    }
+    if (current.trim()) rows.push(current.trimEnd());
+    current = '';
+    // A single token wider than the line is broken between characters
+    for (const char of token) {
+      if (current && measure(current + char) > available) {
+        rows.push(current);
+        current = '';
+      }
+      current += char;
+    }
+  }
+  if (current.trim() || !rows.length) rows.push(current.trimEnd());
+  return rows.map(text => ({ text, indent }));
+}
+
+// Paragraphs: runs of non-blank lines, each with the number of blank lines before it
+function parseBlocks(body, fonts, width, theme) {
+  const blocks = [];
+  let gap = 0;
+  let current = null;
+  for (const line of body.split('\n')) {
+    if (!line.trim()) {
+      gap++;
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { gap, lines: [], keepWithNext: false };
+      blocks.push(current);
+      gap = 0;
+    }
+    const bold = SUBJECT_LINE.test(line.trim());
+    const font = bold ? fonts.bold : fonts.regular;
+    current.lines.push(...wrapLine(line, font, theme.fontSize, width).map(row => ({ ...row, bold })));
+  }
+  for (const block of blocks) {
+    block.keepWithNext = block.lines.length === 1 && LEAD_IN_LINE.test(block.lines[0].text.trim());
+  }
+  return blocks;
+}
+
+// Assign every line to a page and row. capacities(pageIndex) is the number of rows on that page.
+// A paragraph splits only with MIN_LINES on each side of the break; otherwise it moves to the next
+// page whole. Blank lines at the top of a page are dropped.
+function paginate(blocks, capacities) {
+  const pages = [[]];
+  let used = 0;
+  let capacity = capacities(0);
+  const pageIsEmpty = () => pages[pages.length - 1].length === 0;
+  const newPage = () => {
+    pages.push([]);
+    used = 0;
+    capacity = capacities(pages.length - 1);
+  };
+  const place = (lines) => {
+    for (const line of lines) pages[pages.length - 1].push({ ...line, row: used++ });
+  };
+
+  blocks.forEach((block, index) => {
+    let gap = pageIsEmpty() ? 0 : block.gap;
+    if (used + gap >= capacity) {
+      newPage();
+      gap = 0;
+    }
+    used += gap;
+
+    let lines = block.lines;
+    const next = blocks[index + 1];
+    const keep = block.keepWithNext && next ? next.gap + Math.min(MIN_LINES, next.lines.length) : 0;
+    const unsplittable = block.keepWithNext || lines.length < MIN_LINES * 2;
+    if ((unsplittable || keep) && used + lines.length + keep > capacity && !pageIsEmpty() && lines.length + keep <= capacities(pages.length)) {
+      newPage();
+    }
+
+    while (lines.length) {
+      const room = capacity - used;
+      if (lines.length <= room) {
+        place(lines);
+        break;
+      }
+      const split = Math.min(room, lines.length - MIN_LINES);
+      if (split >= MIN_LINES || (pageIsEmpty() && room > 0)) {
+        const count = split >= MIN_LINES ? split : room;
+        place(lines.slice(0, count));
+        lines = lines.slice(count);
+      }
+      newPage();
+    }
+  });
+  return pages;
+}
+
+function formatPageLabel(language, page, pages) {
+  return frameText(language).pageOf.replace('{page}', page).replace('{pages}', pages);
+}
+
+// Sender name, a line of contact details and a rule, centered at the top of the first page.
+// Returns the height it takes.
+function drawLetterhead(page, letterhead, fonts, theme) {
+  const [name, ...contact] = letterhead;
+  const centerX = (size, font, text) => (PAGE.width - font.widthOfTextAtSize(text, size)) / 2;
+  let y = PAGE.height - theme.margin;
+  page.drawText(name, { x: centerX(theme.letterheadNameSize, fonts.bold, name), y, size: theme.letterheadNameSize, font: fonts.bold, color: BLACK });
+  y -= theme.letterheadNameSize + 4;
+  if (contact.length) {
+    const line = contact.join('  |  ');
+    const size = Math.min(theme.letterheadContactSize, theme.letterheadContactSize * (PAGE.width - 2 * theme.margin) / fonts.regular.widthOfTextAtSize(line, theme.letterheadContactSize));
+    page.drawText(line, { x: centerX(size, fonts.regular, line), y, size, font: fonts.regular, color: GRAY });
+    y -= theme.letterheadContactSize + 4;
+  }
+  page.drawLine({ start: { x: theme.margin, y }, end: { x: PAGE.width - theme.margin, y }, thickness: 0.75, color: GRAY });
+  return PAGE.height - theme.margin - y + theme.lineHeight;
+}
+
+function drawFooter(page, { pageNumber, pageCount, claimNumber, language, font, theme }) {
+  const label = formatPageLabel(language, pageNumber, pageCount);
+  const size = theme.footerSize;
+  if (claimNumber) {
+    page.drawText(`${frameText(language).claimNumber}: ${claimNumber}`, { x: theme.margin, y: PAGE.footerY, size, font, color: GRAY });
+  }
+  page.drawText(label, { x: PAGE.width - theme.margin - font.widthOfTextAtSize(label, size), y: PAGE.footerY, size, font, color: GRAY });
+}
+
+// null when the theme is missing or known, else an error message
+function validateTheme(name) {
+  if (name === undefined || name === null || name === '') return null;
+  if (typeof name === 'string' && Object.prototype.hasOwnProperty.call(THEMES, name)) return null;
+  return `Unknown theme "${String(name).slice(0, 40)}". Expected one of: ${Object.keys(THEMES).join(', ')}`;
+}
+
+// Public view for a theme dropdown
+function themeCatalog() {
+  return Object.entries(THEMES).map(([value, { label }]) => ({ value, label }));
+}
+
+// Columns renderOptionsFor reads from cla_letters
+const RENDER_COLUMNS = 'ai_response, claim_entities, letter_language, reading_copy, created_at';
+
+// The stored document to render and its options. document is 'letter' (ai_response) or 'readingCopy'.
+// Returns { text, options } with text null when the record has no such document.
+function renderOptionsFor(record, { document = 'letter', theme = DEFAULT_THEME } = {}) {
+  const readingCopy = document === 'readingCopy' ? record?.reading_copy : null;
+  return {
+    text: document === 'readingCopy' ? readingCopy?.letter || null : record?.ai_response || null,
+    options: {
+      theme,
+      claimNumber: record?.claim_entities?.claimNumber || null,
+      language: (readingCopy ? readingCopy.language : record?.letter_language) || null,
+      createdAt: record?.created_at || null,
+    },
+  };
+}
+
+// Download and attachment name, e.g. "Claim_Letter_CLM-2024-001.pdf" or "Appeal_Packet_CLM-2024-001.pdf"
+const FILE_NAMES = {
+  letter: 'Claim_Letter',
+  readingCopy: 'Claim_Letter_Reading_Copy',
+  packet: 'Appeal_Packet',
+  envelope: 'Envelope',
+  label: 'Address_Label',
+  faxCover: 'Fax_Cover',
+  mailLog: 'Certified_Mail_Record',
+};
+
+function letterFileName(claimNumber = null, { document = 'letter', extension = 'pdf', archival = false } = {}) {
+  const base = FILE_NAMES[document] || FILE_NAMES.letter;
+  const suffix = claimNumber ? `_${String(claimNumber).replace(/[^A-Za-z0-9-]/g, '')}` : '';
+  return `${base}${suffix}${archival ? '_PDFA' : ''}.${extension}`;
+}
+
+// A download name the caller asked for, cut down to characters that can't break out of the quoted
+// Content-Disposition filename (quotes, CR/LF, path separators); fallback when nothing usable is left
+function downloadFileName(fileName, fallback) {
+  const cleaned = String(fileName || '').replace(/[^A-Za-z0-9._-]/g, '').replace(/^\.+/, '').slice(0, 120);
+  return cleaned || fallback;
+}
+
+// Typeset a letter. theme is a THEMES key; claimNumber and language default to what the letter itself
+// shows; letterhead: true takes the sender block from the top of the letter, an array supplies the
+// lines, false prints the letter as written. createdAt (the record's) is the file's creation date.
+// archival ({ policyNumber, letterVersion, generatedAt }) makes a PDF/A-2b copy dated generatedAt,
+// with the case fields in its XMP metadata.
+// Returns the PDF bytes; throws PdfFontError when the text needs a Unicode font and none is configured.
+async function renderLetterPdf(text, { theme: themeName = DEFAULT_THEME, claimNumber = null, language = null, letterhead = true, createdAt = null, archival = null } = {}) {
+  const theme = THEMES[themeName] || THEMES[DEFAULT_THEME];
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const { letterhead: senderLines, body } = Array.isArray(letterhead)
+    ? { letterhead: letterhead.filter(Boolean), body: source }
+    : letterhead ? splitLetterhead(source) : { letterhead: null, body: source };
+  const footerLanguage = language || detectLanguage(source).language || DEFAULT_LANGUAGE;
+  const footerClaimNumber = claimNumber || findClaimNumber(source);
+
+  const pdfDoc = await PDFDocument.create();
+  const dated = archival ? archival.generatedAt : createdAt;
+  const date = dated && !Number.isNaN(new Date(dated).getTime()) ? new Date(dated) : FIXED_DATE;
+  const title = footerClaimNumber ? `${frameText(footerLanguage).claimNumber}: ${footerClaimNumber}` : null;
+  pdfDoc.setCreationDate(date);
+  pdfDoc.setModificationDate(date);
+  pdfDoc.setProducer(PRODUCER);
+  pdfDoc.setCreator(PRODUCER);
+  if (title) pdfDoc.setTitle(title);
+
+  const fonts = await embedFonts(pdfDoc, [source, ...(senderLines || [])].join('\n'), theme, { archival: Boolean(archival) });
+  const width = PAGE.width - 2 * theme.margin;
+  const blocks = parseBlocks(body.replace(/^\n+/, ''), fonts, width, theme);
+
+  const firstPage = pdfDoc.addPage([PAGE.width, PAGE.height]);
+  const letterheadHeight = senderLines && senderLines.length ? drawLetterhead(firstPage, senderLines, fonts, theme) : 0;
+  const rows = (height) => Math.max(1, Math.floor(height / theme.lineHeight));
+  const usable = PAGE.height - 2 * theme.margin;
+  const layout = paginate(blocks, (index) => rows(index === 0 ? usable - letterheadHeight : usable));
+
+  const pages = layout.map((_, index) => (index === 0 ? firstPage : pdfDoc.addPage([PAGE.width, PAGE.height])));
+  layout.forEach((lines, index) => {
+    const top = PAGE.height - theme.margin - theme.fontSize - (index === 0 ? letterheadHeight : 0);
+    for (const line of lines) {
+      pages[index].drawText(line.text, {
+        x: theme.margin + line.indent,
+        y: top - line.row * theme.lineHeight,
+        size: theme.fontSize,
+        font: line.bold ? fonts.bold : fonts.regular,
+        color: BLACK,
+      });
+    }
+    drawFooter(pages[index], { pageNumber: index + 1, pageCount: pages.length, claimNumber: footerClaimNumber, language: footerLanguage, font: fonts.regular, theme });
+  });
+
+  if (!archival) return pdfDoc.save();
+  makeArchival(pdfDoc, {
+    title,
+    producer: PRODUCER,
+    creator: PRODUCER,
+    date,
+    locale: localeFor(footerLanguage),
+    fields: {
+      claimNumber: footerClaimNumber,
+      policyNumber: archival.policyNumber || null,
+      generatedAt: date,
+      letterVersion: archival.letterVersion || null,
+      textSha256: sha256(source),
+    },
+  });
+  // A classic cross-reference table keeps the file identifier in a plain trailer
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+module.exports = {
+  PAGE,
+  THEMES,
+  DEFAULT_THEME,
+  FIXED_DATE,
+  PRODUCER,
+  RENDER_COLUMNS,
+  PdfFontError,
+  validateTheme,
+  themeCatalog,
+  findClaimNumber,
+  splitLetterhead,
+  renderOptionsFor,
+  letterFileName,
+  downloadFileName,
+  renderLetterPdf,
+};
@@ -0,0 +1,168 @@
+// Tone, approach and writing-style presets for appeal letters.
+// Clients only ever send a preset value; the prompt text for each value lives here, so nothing
+// from the request body reaches the system prompt. resource.html builds its dropdowns from
+// presetCatalog() via the letter-presets function.
+
+const LETTER_PRESETS = {
+  tone: {
+    label: 'Tone',
+    default: 'professional',
+    options: {
+      professional: {
+        label: 'Professional & Formal',
+        prompt: 'Use formal language, proper titles and official insurance terminology throughout.',
+      },
+      conversational: {
+        label: 'Conversational & Friendly',
+        prompt: 'Use plain, approachable language while staying respectful and professional.',
+      },
+      assertive: {
+        label: 'Assertive & Direct',
+        prompt: 'Be firm and direct. State what the insurer got wrong and what you expect it to do, without hedging.',
+      },
+      conciliatory: {
+        label: 'Conciliatory & Diplomatic',
+        prompt: 'Use diplomatic language that acknowledges the insurer\'s position and looks for common ground.',
+      },
+    },
+  },
+  approach: {
+    label: 'Approach',
+    default: 'cooperative',
+    options: {
+      defensive: {
+        label: 'Defensive & Protective',
+        prompt: 'Focus on protecting the policyholder\'s rights and challenging each position the insurer has taken.',
+      },
+      cooperative: {
+        label: 'Cooperative & Collaborative',
+        prompt: 'Work with the insurer to resolve the claim amicably, offering information that helps it reconsider.',
+      },
+      challenging: {
+        label: 'Challenging & Questioning',
+        prompt: 'Question the insurer\'s findings and ask for a detailed explanation and the evidence behind each one.',
+      },
+      explanatory: {
+        label: 'Explanatory & Educational',
+        prompt: 'Explain the policyholder\'s position step by step so a reviewer new to the claim can follow it.',
+      },
+    },
+  },
+  style: {
+    label: 'Writing Style',
+    default: 'detailed',
+    options: {
+      detailed: {
+        label: 'Detailed & Comprehensive',
+        prompt: 'Give full explanations and supporting details for every point.',
+      },
+      concise: {
+        label: 'Concise & To-the-Point',
+        prompt: 'Keep the letter short: one focused paragraph per point, no repetition.',
+      },
+      technical: {
+        label: 'Technical & Legal-Focused',
+        prompt: 'Use precise legal and insurance terminology and cite the applicable policy provisions and the listed state insurance law.',
+      },
+      personal: {
+        label: 'Personal & Relatable',
+        prompt: 'Describe how the denial affects the policyholder in first person, using plain, relatable language.',
+      },
+    },
+  },
+};
+
+const PRESET_KINDS = Object.keys(LETTER_PRESETS);
+
+// user_preferences columns holding each kind's default
+const PREFERENCE_COLUMNS = {
+  tone: 'preferred_response_style',
+  approach: 'preferred_approach',
+  style: 'preferred_writing_style',
+};
+
+// Values written to preferred_response_style before the catalog existed
+const LEGACY_VALUES = {
+  tone: { casual: 'conversational', formal: 'professional' },
+};
+
+function isPresetValue(kind, value) {
+  return Object.prototype.hasOwnProperty.call(LETTER_PRESETS[kind].options, value);
+}
+
+// Check the presets a request asked for. Missing values are fine (defaults fill them);
+// anything else that is not in the catalog is an error.
+function validatePresets(input = {}) {
+  const values = {};
+  const errors = [];
+  for (const kind of PRESET_KINDS) {
+    const value = input[kind];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'string' && isPresetValue(kind, value)) {
+      values[kind] = value;
+    } else {
+      errors.push(`Unknown ${kind} "${String(value).slice(0, 40)}". Expected one of: ${Object.keys(LETTER_PRESETS[kind].options).join(', ')}`);
+    }
+  }
+  return { values, errors };
+}
+
+// Saved defaults for the user with this email; stored values outside the catalog are ignored
+async function loadPreferredPresets(supabase, email) {
+  if (!email) return {};
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id')
+    .eq('email', email)
+    .maybeSingle();
+  if (userError) throw userError;
+  if (!user) return {};
+
+  const { data: preferences, error } = await supabase
+    .from('user_preferences')
+    .select(Object.values(PREFERENCE_COLUMNS).join(', '))
+    .eq('user_id', user.id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!preferences) return {};
+
+  const preferred = {};
+  for (const kind of PRESET_KINDS) {
+    const stored = preferences[PREFERENCE_COLUMNS[kind]];
+    const value = LEGACY_VALUES[kind]?.[stored] || stored;
+    if (value && isPresetValue(kind, value)) preferred[kind] = value;
+  }
+  return preferred;
+}
+
+// Request values win, then the user's saved defaults, then the catalog defaults
+function resolvePresets(requested = {}, preferred = {}) {
+  return Object.fromEntries(PRESET_KINDS.map(kind => [kind, requested[kind] || preferred[kind] || LETTER_PRESETS[kind].default]));
+}
+
+// Public view of the catalog for building dropdowns (no prompt text)
+function presetCatalog() {
+  return Object.fromEntries(PRESET_KINDS.map(kind => [kind, {
+    label: LETTER_PRESETS[kind].label,
+    default: LETTER_PRESETS[kind].default,
+    options: Object.entries(LETTER_PRESETS[kind].options).map(([value, { label }]) => ({ value, label })),
+  }]));
+}
+
+// System prompt section for resolved presets
+function presetInstructions(values) {
+  return PRESET_KINDS.map(kind => {
+    const option = LETTER_PRESETS[kind].options[values[kind]];
+    return `**${LETTER_PRESETS[kind].label.toUpperCase()}: ${option.label}**\n- ${option.prompt}`;
+  }).join('\n\n');
+}
+
+module.exports = {
+  LETTER_PRESETS,
+  PRESET_KINDS,
+  validatePresets,
+  loadPreferredPresets,
+  resolvePresets,
+  presetCatalog,
+  presetInstructions,
+};
@@ -0,0 +1,107 @@
+// Version history for generated letters (public.cla_letter_versions).
+// Every generation, revision and restore adds a version; cla_letters.ai_response always holds
+// the latest one. Versions are never updated or deleted, so any earlier letter can be restored.
+
+const { letterHash } = require('./_fact-check.js');
+
+const VERSION_SOURCES = ['generate', 'revise', 'restore'];
+
+const VERSION_COLUMNS = 'id, letter_id, version_number, content, author, source, instruction, restored_from, created_at';
+
+async function latestVersionNumber(supabase, letterId) {
+  const { data, error } = await supabase
+    .from('cla_letter_versions')
+    .select('version_number')
+    .eq('letter_id', letterId)
+    .order('version_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? data.version_number : 0;
+}
+
+// Postgres unique_violation: another request took the same (letter_id, version_number)
+const UNIQUE_VIOLATION = '23505';
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+// Two saves at once read the same latest number; the unique index rejects the second insert,
+// which then takes the next number
+async function insertVersion(supabase, row) {
+  for (let attempt = 1; ; attempt++) {
+    const versionNumber = (await latestVersionNumber(supabase, row.letter_id)) + 1;
+    const { data, error } = await supabase
+      .from('cla_letter_versions')
+      .insert({ ...row, version_number: versionNumber })
+      .select(VERSION_COLUMNS)
+      .single();
+    if (!error) return data;
+    if (error.code !== UNIQUE_VIOLATION || attempt >= MAX_NUMBERING_ATTEMPTS) throw error;
+  }
+}
+
+// Store a new version and make it the current letter
+async function recordVersion(supabase, { letterId, content, author = null, source, instruction = null, restoredFrom = null }) {
+  if (!VERSION_SOURCES.includes(source)) throw new Error(`Unknown version source: ${source}`);
+
+  const data = await insertVersion(supabase, {
+    letter_id: letterId,
+    content,
+    author,
+    source,
+    instruction,
+    restored_from: restoredFrom,
+  });
+
+  const { error: letterError } = await supabase
+    .from('cla_letters')
+    .update({ ai_response: content, letter_sha256: letterHash(content), status: 'responded' })
+    .eq('id', letterId);
+  if (letterError) throw letterError;
+
+  return data;
+}
+
+// Newest first; content is left out of the list to keep it small
+async function listVersions(supabase, letterId) {
+  const { data, error } = await supabase
+    .from('cla_letter_versions')
+    .select('id, version_number, author, source, instruction, restored_from, created_at')
+    .eq('letter_id', letterId)
+    .order('version_number', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getVersion(supabase, letterId, versionId) {
+  const { data, error } = await supabase
+    .from('cla_letter_versions')
+    .select(VERSION_COLUMNS)
+    .eq('letter_id', letterId)
+    .eq('id', versionId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Restoring copies the old content into a new version rather than rewinding history
+async function restoreVersion(supabase, { letterId, versionId, author = null }) {
+  const version = await getVersion(supabase, letterId, versionId);
+  if (!version) return null;
+  return recordVersion(supabase, {
+    letterId,
+    content: version.content,
+    author,
+    source: 'restore',
+    instruction: `Restored version ${version.version_number}`,
+    restoredFrom: version.id,
+  });
+}
+
+module.exports = {
+  VERSION_SOURCES,
+  latestVersionNumber,
+  recordVersion,
+  listVersions,
+  getVersion,
+  restoreVersion,
+};
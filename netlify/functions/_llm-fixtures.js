@@ -0,0 +1,66 @@
+// Fixture replies for the mock LLM provider (see _llm.js).
+// Each task's fixture is a function of the request messages and always returns the same text for the
+// same input, so the pipeline can run in development and tests with no network access. Facts come
+// from the same pattern extraction analyze-letter uses, never from made-up values.
+
+const { extractClaimEntities } = require('./_claim-entities.js');
+const { classifyDenial, UNKNOWN } = require('./_denial-taxonomy.js');
+
+function messageText(messages, role) {
+  return messages.filter(message => message.role === role).map(message => String(message.content || '')).join('\n\n');
+}
+
+// Structured analysis matching _analysis-schema.js, built from the case text the user message carries
+function analysisFixture({ messages }) {
+  const caseText = messageText(messages, 'user');
+  const { coverageLine, denialCategory } = classifyDenial(caseText);
+  const entities = extractClaimEntities(caseText);
+  return JSON.stringify({
+    letterType: 'Insurance Claim Denial',
+    coverageLine: coverageLine || UNKNOWN,
+    denialCategory: denialCategory || UNKNOWN,
+    summary: 'Your insurer has denied all or part of this claim. This summary was produced by the offline mock provider from the letter text.',
+    reason: 'The denial reason is taken from the letter; review the original for the exact wording.',
+    requiredActions: 'Gather the denial letter, your policy and any photos, estimates or records that support the claim.',
+    nextSteps: '1. Request the complete claim file. 2. Compare the denial reason with your policy. 3. File a written appeal before the deadline.',
+    urgency: 'Medium',
+    estimatedResolution: '30-60 days',
+    appealRights: null,
+    entities,
+  });
+}
+
+// Letter body with no figures of its own, so the quote, citation and fact checks have nothing to flag
+function letterFixture() {
+  return [
+    'I am writing to formally appeal the denial of this claim and to ask that the decision be reconsidered.',
+    'The denial does not reflect the facts of the loss or the coverage the policy provides. The supporting documents enclosed with this letter show that the loss is covered and that the claim was submitted as the policy requires.',
+    'Please reverse the denial and pay the claim, or send a detailed written explanation of the specific policy language and evidence relied on.',
+    'I look forward to your written response within 30 days.',
+  ].join('\n\n');
+}
+
+// Revisions return the current letter unchanged
+function revisionFixture({ messages }) {
+  const request = messageText(messages, 'user');
+  const marker = request.indexOf('CURRENT LETTER:');
+  return marker === -1 ? request : request.slice(marker + 'CURRENT LETTER:'.length).trim();
+}
+
+// Translations return the text unchanged
+function translationFixture({ messages }) {
+  return messageText(messages, 'user').trim();
+}
+
+const FIXTURES = {
+  analysis: analysisFixture,
+  analysis_repair: analysisFixture,
+  letter: letterFixture,
+  revision: revisionFixture,
+  translation: translationFixture,
+  readiness: () => 'OK',
+};
+
+module.exports = {
+  FIXTURES,
+};
@@ -0,0 +1,297 @@
+// LLM provider layer shared by every function that calls a model.
+// Callers name a task ("analysis", "letter", ...) instead of a model. Each task has its own model,
+// timeout and retry budget, and runs on a chain of providers: a provider that fails with a retryable
+// error (timeout, rate limit, 5xx, network) is retried with backoff, then the next provider is tried.
+//
+// Configuration (environment):
+//   LLM_PROVIDERS            comma-separated chain, default "openai"; "mock" is the offline fixture provider
+//   LLM_MODEL                model for every task; LLM_MODEL_<TASK> (e.g. LLM_MODEL_LETTER) overrides one task
+//   LLM_TIMEOUT_MS           per-attempt timeout for every task; LLM_TIMEOUT_MS_<TASK> overrides one task
+//   LLM_MAX_RETRIES          retries per provider after the first attempt; LLM_MAX_RETRIES_<TASK> overrides one task
+//   LLM_BUDGET_MS            time for all attempts, backoff and fallbacks of one call; LLM_BUDGET_MS_<TASK> overrides one task
+//
+// Netlify stops a synchronous function after 10 seconds unless the site's limit is raised (at most 26),
+// so every call has to fit in its budget: an attempt never runs past it, and no retry or fallback is
+// started once less than MIN_ATTEMPT_MS is left.
+
+const { FIXTURES } = require('./_llm-fixtures.js');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const LLM_TASKS = {
+  analysis: { timeoutMs: 20000, maxRetries: 1, budgetMs: 24000 },
+  analysis_repair: { timeoutMs: 10000, maxRetries: 0, budgetMs: 10000 },
+  letter: { timeoutMs: 22000, maxRetries: 1, budgetMs: 24000 },
+  revision: { timeoutMs: 20000, maxRetries: 1, budgetMs: 24000 },
+  translation: { timeoutMs: 15000, maxRetries: 1, budgetMs: 20000 },
+  readiness: { timeoutMs: 5000, maxRetries: 0, budgetMs: 5000 },
+};
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 4000;
+// A retry or fallback with less time than this left would only time out
+const MIN_ATTEMPT_MS = 2000;
+
+// A model call that failed; retryable errors are retried and then passed to the next provider
+class LLMError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+function envValue(name, task) {
+  const value = process.env[`${name}_${task.toUpperCase()}`] ?? process.env[name];
+  return value === undefined || value === '' ? null : value;
+}
+
+function envNumber(name, task, fallback) {
+  const number = parseInt(envValue(name, task), 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Model, timeout, retries and time budget for a task, with environment overrides applied
+function taskConfig(task) {
+  const defaults = LLM_TASKS[task];
+  if (!defaults) throw new Error(`Unknown LLM task: ${task}`);
+  return {
+    task,
+    model: envValue('LLM_MODEL', task) || DEFAULT_MODEL,
+    timeoutMs: envNumber('LLM_TIMEOUT_MS', task, defaults.timeoutMs),
+    maxRetries: envNumber('LLM_MAX_RETRIES', task, defaults.maxRetries),
+    budgetMs: envNumber('LLM_BUDGET_MS', task, defaults.budgetMs),
+  };
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+// Map an SDK or network error onto LLMError
+function toLLMError(error, provider) {
+  if (error instanceof LLMError) return error;
+  const status = typeof error?.status === 'number' ? error.status : null;
+  const network = !status && (error?.name === 'AbortError' || /timeout|timed out|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|Connection error/i.test(error?.message || ''));
+  return new LLMError(error?.message || String(error), {
+    provider,
+    status,
+    retryable: status ? isRetryableStatus(status) : network,
+    cause: error,
+  });
+}
+
+function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY, baseURL = process.env.OPENAI_BASE_URL } = {}) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      const OpenAI = require('openai');
+      // Retries and timeouts are handled here, not by the SDK
+      client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}), maxRetries: 0 });
+    }
+    return client;
+  };
+  return {
+    name: 'openai',
+    available: () => Boolean(apiKey),
+    async complete({ task, model, messages, signal, ...options }) {
+      const completion = await getClient().chat.completions.create({ ...options, model, messages }, { signal });
+      return { content: completion.choices?.[0]?.message?.content || '', usage: completion.usage || null };
+    },
+    async stream({ task, model, messages, signal, ...options }) {
+      const stream = await getClient().chat.completions.create({ ...options, model, messages, stream: true }, { signal });
+      return (async function* () {
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content || '';
+          if (delta) yield delta;
+        }
+      })();
+    },
+  };
+}
+
+// Deterministic offline provider: replies come from fixtures keyed by task
+function createMockProvider({ fixtures = FIXTURES } = {}) {
+  const reply = (task, request) => {
+    const fixture = fixtures[task];
+    if (fixture === undefined) throw new LLMError(`No mock fixture for task: ${task}`, { provider: 'mock' });
+    return typeof fixture === 'function' ? fixture(request) : String(fixture);
+  };
+  return {
+    name: 'mock',
+    // Reported instead of the task's model, so results never look like they came from a real one
+    model: 'mock',
+    available: () => true,
+    async complete({ task, ...request }) {
+      return { content: reply(task, request), usage: null };
+    },
+    async stream({ task, ...request }) {
+      const content = reply(task, request);
+      return (async function* () {
+        // Word-sized chunks, like a real stream
+        for (const piece of content.match(/\S+\s*|\s+/g) || []) yield piece;
+      })();
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+function registerProvider(name, factory) {
+  PROVIDER_FACTORIES[name] = factory;
+}
+
+// Providers named in LLM_PROVIDERS, in order; unknown names are an error, unconfigured ones are skipped
+function providerChain(names = process.env.LLM_PROVIDERS || 'openai') {
+  return String(names).split(',').map(name => name.trim()).filter(Boolean).map(name => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown LLM provider: ${name}`);
+    return factory();
+  });
+}
+
+// True when at least one provider in the chain can be called
+function isConfigured(providers = providerChain()) {
+  return providers.some(provider => provider.available());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function timeoutError(provider, timeoutMs, cause = null) {
+  return new LLMError(`${provider.name} timed out after ${timeoutMs} ms`, { provider: provider.name, retryable: true, cause });
+}
+
+// Rejects when the attempt times out, so a provider that ignores the abort signal can't hang the call
+function whenAborted(controller, provider, timeoutMs) {
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(timeoutError(provider, timeoutMs)), { once: true });
+  });
+  aborted.catch(() => {});
+  return aborted;
+}
+
+// Deltas from a provider stream until it ends. The attempt's timer keeps running while the stream is
+// read: on timeout the request is aborted and the reader gets an LLMError.
+async function* guardStream(stream, { provider, controller, timer, timeoutMs }) {
+  const iterator = stream[Symbol.asyncIterator]();
+  const aborted = whenAborted(controller, provider, timeoutMs);
+  let finished = false;
+  try {
+    while (true) {
+      const { value, done } = await Promise.race([iterator.next(), aborted]);
+      if (done) {
+        finished = true;
+        return;
+      }
+      yield value;
+    }
+  } catch (error) {
+    finished = true;
+    if (controller.signal.aborted) throw timeoutError(provider, timeoutMs, error);
+    throw toLLMError(error, provider.name);
+  } finally {
+    clearTimeout(timer);
+    // The reader stopped early or timed out: close the provider's stream
+    if (!finished || controller.signal.aborted) {
+      controller.abort();
+      iterator.return?.().catch?.(() => {});
+    }
+  }
+}
+
+// One attempt with a timeout; the abort signal is passed to the provider so the request is cancelled.
+// A stream keeps its timer until it has been read to the end.
+async function attempt(provider, method, request, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let streaming = false;
+  try {
+    const result = await Promise.race([
+      provider[method]({ ...request, signal: controller.signal }),
+      whenAborted(controller, provider, timeoutMs),
+    ]);
+    if (method !== 'stream') return result;
+    streaming = true;
+    return guardStream(result, { provider, controller, timer, timeoutMs });
+  } catch (error) {
+    if (controller.signal.aborted) throw timeoutError(provider, timeoutMs, error);
+    throw toLLMError(error, provider.name);
+  } finally {
+    if (!streaming) clearTimeout(timer);
+  }
+}
+
+// Run method on each provider in turn, retrying retryable failures with backoff, within the task's budget
+async function runChain(task, method, request, { providers = providerChain() } = {}) {
+  const config = taskConfig(task);
+  const callable = providers.filter(provider => provider.available());
+  if (!callable.length) throw new LLMError('No LLM provider is configured (set OPENAI_API_KEY or LLM_PROVIDERS)');
+
+  const deadline = Date.now() + config.budgetMs;
+  let lastError = null;
+  for (const [index, provider] of callable.entries()) {
+    for (let tries = 0; tries <= config.maxRetries; tries++) {
+      const delay = tries > 0 ? backoffDelay(tries - 1) : 0;
+      const remaining = deadline - Date.now() - delay;
+      const first = index === 0 && tries === 0;
+      if (!first && remaining < MIN_ATTEMPT_MS) {
+        throw lastError || new LLMError(`LLM ${task} ran out of time`, { provider: provider.name, retryable: true });
+      }
+      if (delay) await sleep(delay);
+      const model = provider.model || config.model;
+      try {
+        const result = await attempt(provider, method, { ...request, task, model }, Math.max(1, Math.min(config.timeoutMs, remaining)));
+        return { result, provider: provider.name, model };
+      } catch (error) {
+        lastError = error;
+        console.error(`LLM ${task} via ${provider.name} failed (attempt ${tries + 1}):`, error.message);
+        if (!error.retryable) break;
+      }
+    }
+    // Bad requests would fail the same way on the next provider
+    if (lastError && !lastError.retryable && lastError.status && lastError.status < 500) throw lastError;
+  }
+  throw lastError;
+}
+
+// Chat completion for a task. options are passed to the provider (temperature, top_p, response_format, max_tokens).
+// Returns { content, usage, provider, model }.
+async function complete(task, { messages, ...options }, chainOptions) {
+  const { result, provider, model } = await runChain(task, 'complete', { messages, ...options }, chainOptions);
+  return { ...result, provider, model };
+}
+
+// Streaming chat completion for a task. Retries and fallback apply until the stream opens; the attempt's
+// timeout covers reading it too, and a stream that times out throws an LLMError.
+// Returns { stream, provider, model }, where stream yields text deltas.
+async function stream(task, { messages, ...options }, chainOptions) {
+  const { result, provider, model } = await runChain(task, 'stream', { messages, ...options }, chainOptions);
+  return { stream: result, provider, model };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  LLM_TASKS,
+  LLMError,
+  taskConfig,
+  createOpenAIProvider,
+  createMockProvider,
+  registerProvider,
+  providerChain,
+  isConfigured,
+  complete,
+  stream,
+};
@@ -0,0 +1,442 @@
+// Mailing and fax output for sending a letter: a #10 envelope or an address label, a fax cover sheet
+// with the page count, and a certified-mail log page for the user's records. The recipient is the
+// insurer name and address extracted from the denial (claim_entities.insurer), the return address
+// is the user's saved profile. Certified Mail tracking numbers the user records are kept on
+// cla_letters.mailings, so the proof of mailing stays with the case.
+
+const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+const { PAGE, FIXED_DATE, PRODUCER, splitLetterhead, renderLetterPdf } = require("./_letter-pdf.js");
+const { printable, wrapText, buildAppealPacket } = require("./_appeal-packet.js");
+const { addressLines, formatLetterDate } = require("./_letter-assembly.js");
+const { exhibitTitle } = require("./_exhibits.js");
+
+const BLACK = rgb(0, 0, 0);
+const GRAY = rgb(0.35, 0.35, 0.35);
+
+const ENVELOPE = { width: 684, height: 297 }; // #10 envelope, 9.5 x 4.125 in
+const LABEL = { width: 288, height: 144 }; // 4 x 2 in address label
+const MARGIN = 72;
+// Height of the mail log's mailing section (date, tracking, return receipt, delivery rows) and the
+// tracking notice under it; they are kept together on the log's last page
+const MAILING_SECTION_HEIGHT = 270;
+
+const MAILING_DOCUMENTS = ['envelope', 'label', 'faxCover', 'mailLog'];
+
+// Columns the mailing documents read from cla_letters, besides RENDER_COLUMNS
+const MAILING_COLUMNS = 'user_email, letter_text, deadlines, exhibits, documents, mailings';
+
+const CERTIFIED_ENDORSEMENT = 'CERTIFIED MAIL - RETURN RECEIPT REQUESTED';
+const CONFIDENTIALITY_NOTICE = 'CONFIDENTIALITY NOTICE: The pages that follow contain personal, financial or health information about the sender. If you received this fax in error, please notify the sender at the phone number above and destroy every page.';
+
+const PHONE = /\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/;
+const FAX_PATTERN = /\b(?:fax|facsimile)(?:\s*(?:no\.?|number|#))?\s*[:.]?\s*(\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4})/i;
+const SUBJECT_PATTERN = /^\s*(?:re|subject|asunto|v\/v)\s*:\s*(.+)$/im;
+
+// USPS Certified Mail numbers (Intelligent Mail package barcode) are 20 to 22 digits
+const TRACKING_PATTERN = /^\d{20,22}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_MESSAGE_LENGTH = 600;
+
+// The recipient can't be printed; handlers return 422
+class MailingAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailingAddressError';
+    this.statusCode = 422;
+  }
+}
+
+function isLines(value) {
+  return Array.isArray(value) && value.length <= 6 && value.every(line => typeof line === 'string' && line.length <= 80);
+}
+
+// Error messages for the render options, empty when they are valid
+function validateMailingOptions({ document, certified, faxNumber, pages, recipient, message }) {
+  return [
+    MAILING_DOCUMENTS.includes(document) ? null : `Unknown document "${String(document).slice(0, 40)}". Expected ${MAILING_DOCUMENTS.join(', ')}`,
+    certified === undefined || typeof certified === 'boolean' ? null : 'certified must be true or false',
+    faxNumber === undefined || faxNumber === null || (typeof faxNumber === 'string' && PHONE.test(faxNumber)) ? null : 'faxNumber must be a phone number',
+    pages === undefined || pages === null || (Number.isInteger(pages) && pages >= 1 && pages <= 999) ? null : 'pages must be a whole number from 1 to 999',
+    recipient === undefined || recipient === null || isLines(recipient) ? null : 'recipient must be a list of up to 6 address lines',
+    message === undefined || message === null || (typeof message === 'string' && message.length <= MAX_MESSAGE_LENGTH) ? null : `message must be text of at most ${MAX_MESSAGE_LENGTH} characters`,
+  ].filter(Boolean);
+}
+
+function normalizeTrackingNumber(value) {
+  return String(value || '').replace(/[\s-]/g, '');
+}
+
+// "9407 1000 0000 0000 0000 00"
+function formatTrackingNumber(value) {
+  return normalizeTrackingNumber(value).replace(/(\d{4})(?=\d)/g, '$1 ');
+}
+
+// null when the tracking details are valid, else an error message. mailedOn is YYYY-MM-DD and must be a
+// real day ("2025-02-30" doesn't read back as itself).
+function validateTracking({ trackingNumber, mailedOn }) {
+  if (!TRACKING_PATTERN.test(normalizeTrackingNumber(trackingNumber))) {
+    return 'trackingNumber must be a USPS Certified Mail number (20 to 22 digits)';
+  }
+  if (mailedOn === undefined || mailedOn === null) return null;
+  const date = new Date(`${mailedOn}T00:00:00Z`);
+  if (typeof mailedOn !== 'string' || !DATE_PATTERN.test(mailedOn) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== mailedOn) {
+    return 'mailedOn must be a date (YYYY-MM-DD)';
+  }
+  if (date.getTime() > Date.now() + 24 * 60 * 60 * 1000) return 'mailedOn can\'t be in the future';
+  return null;
+}
+
+// Save a tracking number on the case; recording the same number again updates its entry.
+// Returns the case's mailings, oldest first, or null when the record doesn't exist.
+async function recordMailing(supabase, recordId, { trackingNumber, mailedOn = null }) {
+  const { data: record, error } = await supabase
+    .from('cla_letters')
+    .select('mailings')
+    .eq('id', recordId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!record) return null;
+
+  const entry = {
+    method: 'certified_mail',
+    trackingNumber: normalizeTrackingNumber(trackingNumber),
+    mailedOn: mailedOn || new Date().toISOString().slice(0, 10),
+    recordedAt: new Date().toISOString(),
+  };
+  const mailings = [...(Array.isArray(record.mailings) ? record.mailings : []).filter(item => item.trackingNumber !== entry.trackingNumber), entry];
+  const { error: updateError } = await supabase
+    .from('cla_letters')
+    .update({ mailings })
+    .eq('id', recordId);
+  if (updateError) throw updateError;
+  return mailings;
+}
+
+// Insurer fax number as printed in the denial, e.g. "Fax: (555) 010-2000"
+function findFaxNumber(text) {
+  const match = String(text || '').match(FAX_PATTERN);
+  return match ? match[1].trim() : null;
+}
+
+// Return address: the saved profile, else the letterhead of the letter without its phone and email lines
+function returnAddress(profile, letterText) {
+  const lines = [profile.fullName, profile.streetAddress, profile.cityStateZip].filter(Boolean);
+  if (profile.streetAddress) return lines;
+  const letterhead = splitLetterhead(letterText || '').letterhead || [];
+  return letterhead.filter(line => !line.includes('@') && !PHONE.test(line)).slice(0, 4);
+}
+
+// Recipient: the lines given, else the insurer and its address from the denial. Empty when the
+// denial had no address for the insurer.
+function insurerAddress(entities, recipient = null) {
+  if (recipient) return recipient.map(line => line.trim()).filter(Boolean);
+  const address = addressLines(entities?.insurer?.address);
+  if (!address.length) return [];
+  return [
+    entities?.insurer?.name,
+    entities?.adjuster?.name ? `Attn: ${entities.adjuster.name}` : null,
+    ...address,
+  ].filter(Boolean);
+}
+
+function requireAddress(lines) {
+  if (lines.length < 2) {
+    throw new MailingAddressError('No mailing address for the insurer was found in the denial letter. Enter the address to print it.');
+  }
+  return lines;
+}
+
+// The letter's RE: line, used as the fax subject
+function letterSubject(text) {
+  const match = String(text || '').match(SUBJECT_PATTERN);
+  return match ? match[1].trim() : null;
+}
+
+async function countPages(text, options) {
+  const document = await PDFDocument.load(await renderLetterPdf(text, options));
+  return document.getPageCount();
+}
+
+async function createDocument(title) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(title);
+  pdfDoc.setCreationDate(FIXED_DATE);
+  pdfDoc.setModificationDate(FIXED_DATE);
+  pdfDoc.setProducer(PRODUCER);
+  pdfDoc.setCreator(PRODUCER);
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+  };
+  return { pdfDoc, fonts };
+}
+
+// Largest size up to `size` at which every line fits in width
+function fitSize(lines, font, size, width) {
+  const widest = Math.max(0, ...lines.map(line => font.widthOfTextAtSize(line, size)));
+  return widest > width ? Math.floor((size * width) / widest * 10) / 10 : size;
+}
+
+function drawLines(page, lines, { x, y, size, font, lineHeight = size * 1.25, color = BLACK }) {
+  lines.forEach((line, index) => page.drawText(line, { x, y: y - index * lineHeight, size, font, color }));
+  return y - lines.length * lineHeight;
+}
+
+// #10 envelope: return address top left, the endorsement below it, the address in the middle. The
+// top right stays clear for postage and the Certified Mail label.
+async function renderEnvelope({ sender, recipient, certified = true }) {
+  const { pdfDoc, fonts } = await createDocument('Envelope');
+  const page = pdfDoc.addPage([ENVELOPE.width, ENVELOPE.height]);
+  const from = sender.map(line => printable(fonts.regular, line));
+  const to = requireAddress(recipient).map(line => printable(fonts.regular, line));
+
+  let y = drawLines(page, from, { x: 18, y: ENVELOPE.height - 27, size: 9, font: fonts.regular, lineHeight: 11 });
+  if (certified) page.drawText(CERTIFIED_ENDORSEMENT, { x: 18, y: y - 8, size: 8, font: fonts.bold, color: BLACK });
+
+  const x = 270;
+  const size = fitSize(to, fonts.regular, 12, ENVELOPE.width - x - 36);
+  drawLines(page, to, { x, y: 170, size, font: fonts.regular, lineHeight: size + 3 });
+  return pdfDoc.save();
+}
+
+// 4 x 2 in label for a printer or label sheet: a small return address above the address
+async function renderLabel({ sender, recipient, certified = true }) {
+  const { pdfDoc, fonts } = await createDocument('Address label');
+  const page = pdfDoc.addPage([LABEL.width, LABEL.height]);
+  const from = sender.map(line => printable(fonts.regular, line));
+  const to = requireAddress(recipient).map(line => printable(fonts.regular, line));
+
+  drawLines(page, from.slice(0, 3), { x: 12, y: LABEL.height - 18, size: 7, font: fonts.regular, lineHeight: 8.5 });
+  if (certified) {
+    const endorsement = 'CERTIFIED MAIL';
+    page.drawText(endorsement, { x: LABEL.width - 12 - fonts.bold.widthOfTextAtSize(endorsement, 7), y: LABEL.height - 18, size: 7, font: fonts.bold, color: BLACK });
+  }
+  const size = fitSize(to, fonts.regular, 10, LABEL.width - 36 - 12);
+  drawLines(page, to, { x: 36, y: 84, size, font: fonts.regular, lineHeight: size + 2 });
+  return pdfDoc.save();
+}
+
+// Label and value rows; an empty value gets a line to write on
+function drawRows(page, rows, { y, fonts, valueX = MARGIN + 120, size = 11, lineHeight = 20 }) {
+  const valueWidth = PAGE.width - MARGIN - valueX;
+  for (const [label, value] of rows) {
+    if (label === null) {
+      y -= lineHeight / 2;
+      continue;
+    }
+    page.drawText(label, { x: MARGIN, y, size, font: fonts.bold, color: BLACK });
+    const text = printable(fonts.regular, value);
+    if (text) {
+      const lines = wrapText(text, fonts.regular, size, valueWidth);
+      y = drawLines(page, lines, { x: valueX, y, size, font: fonts.regular, lineHeight: size + 3 }) + size + 3 - lineHeight;
+    } else {
+      page.drawLine({ start: { x: valueX, y: y - 2 }, end: { x: PAGE.width - MARGIN, y: y - 2 }, thickness: 0.5, color: GRAY });
+      y -= lineHeight;
+    }
+  }
+  return y;
+}
+
+function drawRule(page, y) {
+  page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE.width - MARGIN, y }, thickness: 1, color: BLACK });
+}
+
+function drawParagraph(page, text, { y, font, size, color = BLACK }) {
+  return drawLines(page, wrapText(printable(font, text), font, size, PAGE.width - 2 * MARGIN), { x: MARGIN, y, size, font, lineHeight: size + 4, color });
+}
+
+// Fax cover sheet. pages is the total including this sheet.
+async function renderFaxCover({ to, from, claimNumber, policyNumber, subject, pages, date, message }) {
+  const { pdfDoc, fonts } = await createDocument('Fax cover sheet');
+  const page = pdfDoc.addPage([PAGE.width, PAGE.height]);
+
+  let y = PAGE.height - MARGIN - 36;
+  page.drawText('FAX', { x: MARGIN, y, size: 36, font: fonts.bold, color: BLACK });
+  if (from.name) page.drawText(printable(fonts.regular, from.name), { x: MARGIN, y: y - 22, size: 12, font: fonts.regular, color: GRAY });
+  y -= 40;
+  drawRule(page, y);
+  y -= 30;
+
+  y = drawRows(page, [
+    ['To:', to.name],
+    ['Attention:', to.attention],
+    ['Fax:', to.fax],
+    ['Phone:', to.phone],
+    [null],
+    ['From:', from.name],
+    ['Phone:', from.phone],
+    ['Email:', from.email],
+    [null],
+    ['Date:', date],
+    ['Re:', subject],
+    ['Claim number:', claimNumber],
+    ['Policy number:', policyNumber],
+    ['Pages:', `${pages} (including this cover sheet)`],
+  ], { y, fonts });
+
+  y -= 10;
+  drawRule(page, y);
+  y -= 28;
+  page.drawText('Message', { x: MARGIN, y, size: 12, font: fonts.bold, color: BLACK });
+  drawParagraph(page, message || 'Please deliver the following pages to the person named above and add them to the claim file. Please confirm that they were received.', { y: y - 20, font: fonts.regular, size: 11 });
+
+  drawParagraph(page, CONFIDENTIALITY_NOTICE, { y: MARGIN + 30, font: fonts.regular, size: 8.5, color: GRAY });
+  return pdfDoc.save();
+}
+
+function drawCheckbox(page, label, { x, y, font, checked = false }) {
+  page.drawRectangle({ x, y: y - 1, width: 9, height: 9, borderWidth: 0.75, borderColor: BLACK });
+  if (checked) page.drawText('X', { x: x + 1.6, y: y + 0.4, size: 8, font, color: BLACK });
+  page.drawText(label, { x: x + 14, y, size: 10, font, color: BLACK });
+  return x + 14 + font.widthOfTextAtSize(label, 10) + 18;
+}
+
+// Certified-mail log page, kept with the user's copy of the letter. A recorded mailing fills in the
+// date and tracking number; anything else is left blank to write in. A long contents list (up to 26
+// exhibits) continues on another page.
+async function renderMailLog({ sender, recipient, claimNumber, policyNumber, appealDue, contents, mailing }) {
+  const { pdfDoc, fonts } = await createDocument('Certified mail record');
+  let page = pdfDoc.addPage([PAGE.width, PAGE.height]);
+  const continuePage = () => {
+    page = pdfDoc.addPage([PAGE.width, PAGE.height]);
+    page.drawText('Certified Mail Record (continued)', { x: MARGIN, y: PAGE.height - MARGIN - 20, size: 14, font: fonts.bold, color: BLACK });
+    return PAGE.height - MARGIN - 50;
+  };
+
+  let y = PAGE.height - MARGIN - 20;
+  page.drawText('Certified Mail Record', { x: MARGIN, y, size: 20, font: fonts.bold, color: BLACK });
+  page.drawText('Keep this page with your copy of the letter and the mailing receipt.', { x: MARGIN, y: y - 18, size: 10, font: fonts.regular, color: GRAY });
+  y -= 34;
+  drawRule(page, y);
+  y -= 24;
+
+  const columnX = PAGE.width / 2 + 10;
+  page.drawText('Sent to', { x: MARGIN, y, size: 11, font: fonts.bold, color: BLACK });
+  page.drawText('From', { x: columnX, y, size: 11, font: fonts.bold, color: BLACK });
+  const to = recipient.map(line => printable(fonts.regular, line));
+  const from = sender.map(line => printable(fonts.regular, line));
+  const bottom = Math.min(
+    drawLines(page, to, { x: MARGIN, y: y - 16, size: 10, font: fonts.regular, lineHeight: 13 }),
+    drawLines(page, from, { x: columnX, y: y - 16, size: 10, font: fonts.regular, lineHeight: 13 }),
+  );
+  if (!to.length) {
+    [0, 1, 2].forEach(index => page.drawLine({ start: { x: MARGIN, y: y - 30 - index * 18 }, end: { x: columnX - 20, y: y - 30 - index * 18 }, thickness: 0.5, color: GRAY }));
+  }
+  y = Math.min(bottom, y - 70) - 16;
+
+  y = drawRows(page, [
+    ['Claim number:', claimNumber],
+    ['Policy number:', policyNumber],
+    ['Appeal due by:', appealDue],
+  ], { y, fonts, size: 10, lineHeight: 18 });
+  y -= 8;
+
+  page.drawText('Contents', { x: MARGIN, y, size: 11, font: fonts.bold, color: BLACK });
+  y -= 16;
+  for (const line of contents) {
+    for (const wrapped of wrapText(printable(fonts.regular, line), fonts.regular, 10, PAGE.width - 2 * MARGIN - 12)) {
+      if (y < MARGIN) y = continuePage();
+      page.drawText(wrapped, { x: MARGIN + 12, y, size: 10, font: fonts.regular, color: BLACK });
+      y -= 13;
+    }
+  }
+  if (y - MAILING_SECTION_HEIGHT < MARGIN) y = continuePage();
+  y -= 14;
+  drawRule(page, y);
+  y -= 26;
+
+  y = drawRows(page, [
+    ['Date mailed:', mailing?.mailedOn || null],
+    ['Tracking number:', mailing?.trackingNumber ? formatTrackingNumber(mailing.trackingNumber) : null],
+    ['Post office:', null],
+    ['Postage paid:', null],
+  ], { y, fonts, valueX: MARGIN + 130 });
+
+  page.drawText('Return receipt:', { x: MARGIN, y, size: 11, font: fonts.bold, color: BLACK });
+  let x = MARGIN + 130;
+  x = drawCheckbox(page, 'Green card (PS Form 3811)', { x, y, font: fonts.regular });
+  drawCheckbox(page, 'Electronic', { x, y, font: fonts.regular });
+  y -= 28;
+
+  y = drawRows(page, [
+    ['Delivered on:', null],
+    ['Signed for by:', null],
+    ['Receipt returned:', null],
+    ['Notes:', null],
+    ['', null],
+  ], { y, fonts, valueX: MARGIN + 130 });
+
+  drawParagraph(page, 'Track delivery at usps.com with the tracking number, and save the number on your case so it stays with the letter.', { y: MARGIN, font: fonts.regular, size: 9, color: GRAY });
+  return pdfDoc.save();
+}
+
+// Pages faxed after the cover: the letter's, or the appeal packet's when the case has exhibits, since
+// the packet is what gets sent. storage is { supabase, userId } for the exhibits' stored files.
+async function faxedPages(record, letter, storage) {
+  const exhibits = Array.isArray(record.exhibits) ? record.exhibits : [];
+  if (!exhibits.length) return countPages(letter.text, letter.options);
+  const documents = Array.isArray(record.documents) ? record.documents : [];
+  return (await buildAppealPacket({ letter, exhibits, documents, storage })).pageCount;
+}
+
+// Build one mailing document for a stored letter. letter is renderOptionsFor(record); profile is the
+// user's saved profile. faxNumber, pages (pages sent after the cover, default the letter's or the
+// appeal packet's), recipient (address lines) and message override what the case provides.
+// Returns { bytes, pages } where pages is the fax page count for a fax cover, else null.
+async function buildMailingDocument(document, { record, letter, profile, certified = true, faxNumber = null, pages = null, recipient = null, message = null, storage = {} }) {
+  const entities = record.claim_entities || {};
+  const sender = returnAddress(profile, letter.text);
+  const address = insurerAddress(entities, recipient);
+
+  if (document === 'envelope') return { bytes: await renderEnvelope({ sender, recipient: address, certified }), pages: null };
+  if (document === 'label') return { bytes: await renderLabel({ sender, recipient: address, certified }), pages: null };
+
+  if (document === 'faxCover') {
+    const total = 1 + (pages || await faxedPages(record, letter, storage));
+    const bytes = await renderFaxCover({
+      to: {
+        name: entities.insurer?.name || null,
+        attention: entities.adjuster?.name || null,
+        fax: faxNumber || findFaxNumber(record.letter_text),
+        phone: entities.adjuster?.phone || null,
+      },
+      from: { name: profile.fullName || sender[0] || null, phone: profile.phone, email: profile.email },
+      claimNumber: entities.claimNumber || null,
+      policyNumber: entities.policyNumber || null,
+      subject: letterSubject(letter.text),
+      pages: total,
+      date: formatLetterDate(new Date()),
+      message,
+    });
+    return { bytes, pages: total };
+  }
+
+  const letterPages = await countPages(letter.text, letter.options);
+  const exhibits = Array.isArray(record.exhibits) ? record.exhibits : [];
+  const mailings = Array.isArray(record.mailings) ? record.mailings : [];
+  const bytes = await renderMailLog({
+    sender,
+    recipient: address,
+    claimNumber: entities.claimNumber || null,
+    policyNumber: entities.policyNumber || null,
+    appealDue: record.deadlines?.internalAppeal?.date || null,
+    contents: [
+      `Appeal letter (${letterPages} ${letterPages === 1 ? 'page' : 'pages'})`,
+      ...exhibits.map(exhibit => `Exhibit ${exhibit.letter}: ${exhibitTitle(exhibit)}`),
+    ],
+    mailing: mailings[mailings.length - 1] || null,
+  });
+  return { bytes, pages: null };
+}
+
+module.exports = {
+  MAILING_DOCUMENTS,
+  MAILING_COLUMNS,
+  MailingAddressError,
+  validateMailingOptions,
+  validateTracking,
+  formatTrackingNumber,
+  recordMailing,
+  findFaxNumber,
+  buildMailingDocument,
+};
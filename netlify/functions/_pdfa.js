@@ -0,0 +1,214 @@
+// PDF/A-2b archival copies (ISO 19005-2, level B: the pages look the same wherever they are opened).
+// renderLetterPdf typesets the letter with embedded fonts only, then calls makeArchival to add what the
+// standard requires: an sRGB output intent for the document's colours, XMP metadata that matches the
+// document information dictionary, and a file identifier. The case fields (claim number, policy number,
+// generated date, letter version and a hash of the letter text) are written under an XMP extension
+// schema, so the file itself says which letter it holds.
+
+const crypto = require("crypto");
+const { PDFHexString, PDFName, PDFString } = require("pdf-lib");
+
+const PDFA_PART = 2;
+const PDFA_CONFORMANCE = 'B';
+const PDFA_LABEL = 'PDF/A-2b';
+
+const CASE_NAMESPACE = 'https://www.claimletter.ai/ns/case/1.0/';
+const CASE_PREFIX = 'claimLetter';
+
+// Extension schema properties, in the order they are written
+const CASE_PROPERTIES = [
+  { name: 'claimNumber', valueType: 'Text', description: 'Insurer claim number the letter is about' },
+  { name: 'policyNumber', valueType: 'Text', description: 'Policy number the letter is about' },
+  { name: 'generatedAt', valueType: 'Date', description: 'When this archival copy was generated' },
+  { name: 'letterVersion', valueType: 'Integer', description: 'Letter version number in the case history' },
+  { name: 'textSha256', valueType: 'Text', description: 'SHA-256 of the letter text, hex encoded' },
+];
+
+const SRGB_CONDITION = 'sRGB IEC61966-2.1';
+const D50 = [0.9642, 1.0, 0.8249];
+// sRGB primaries adapted to the D50 profile connection space
+const SRGB_PRIMARIES = {
+  rXYZ: [0.4361, 0.2225, 0.0139],
+  gXYZ: [0.3851, 0.7169, 0.0971],
+  bXYZ: [0.1431, 0.0606, 0.7141],
+};
+const SRGB_GAMMA = 2.2;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// XMP dates carry no milliseconds, matching the D:YYYYMMDDHHmmSSZ dates pdf-lib writes
+function xmpDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function padded(buffer) {
+  return buffer.length % 4 ? Buffer.concat([buffer, Buffer.alloc(4 - (buffer.length % 4))]) : buffer;
+}
+
+function s15Fixed16(value) {
+  return Math.round(value * 65536);
+}
+
+function xyzTag(values) {
+  const tag = Buffer.alloc(20);
+  tag.write('XYZ ', 0, 'ascii');
+  values.forEach((value, index) => tag.writeInt32BE(s15Fixed16(value), 8 + index * 4));
+  return tag;
+}
+
+function curveTag(gamma) {
+  const tag = Buffer.alloc(14);
+  tag.write('curv', 0, 'ascii');
+  tag.writeUInt32BE(1, 8);
+  tag.writeUInt16BE(Math.round(gamma * 256), 12);
+  return tag;
+}
+
+function textTag(value) {
+  return Buffer.concat([Buffer.from('text\0\0\0\0', 'ascii'), Buffer.from(`${value}\0`, 'ascii')]);
+}
+
+// ICC v2 textDescriptionType: the ASCII description, then empty Unicode and ScriptCode parts
+function descriptionTag(value) {
+  const head = Buffer.alloc(12);
+  head.write('desc', 0, 'ascii');
+  head.writeUInt32BE(value.length + 1, 8);
+  return Buffer.concat([head, Buffer.from(`${value}\0`, 'ascii'), Buffer.alloc(4 + 4 + 2 + 1 + 67)]);
+}
+
+// A small ICC v2 display profile for sRGB (matrix and gamma curves), built here instead of shipping
+// a profile file
+function srgbProfile() {
+  const tags = [
+    ['desc', descriptionTag(SRGB_CONDITION)],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyzTag(D50)],
+    ...Object.entries(SRGB_PRIMARIES).map(([signature, values]) => [signature, xyzTag(values)]),
+    ...['rTRC', 'gTRC', 'bTRC'].map(signature => [signature, curveTag(SRGB_GAMMA)]),
+  ];
+
+  const table = Buffer.alloc(4 + tags.length * 12);
+  table.writeUInt32BE(tags.length, 0);
+  let offset = 128 + table.length;
+  const data = tags.map(([signature, tag], index) => {
+    table.write(signature, 4 + index * 12, 'ascii');
+    table.writeUInt32BE(offset, 8 + index * 12);
+    table.writeUInt32BE(tag.length, 12 + index * 12);
+    const block = padded(tag);
+    offset += block.length;
+    return block;
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8); // version 2.1
+  header.write('mntrRGB XYZ ', 12, 'ascii');
+  [2000, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+  header.write('acsp', 36, 'ascii');
+  D50.forEach((value, index) => header.writeInt32BE(s15Fixed16(value), 68 + index * 4));
+  return Buffer.concat([header, table, ...data]);
+}
+
+function caseProperties(fields) {
+  return CASE_PROPERTIES
+    .filter(({ name }) => fields[name] !== null && fields[name] !== undefined && fields[name] !== '')
+    .map(({ name, valueType }) => {
+      const value = valueType === 'Date' ? xmpDate(new Date(fields[name])) : fields[name];
+      return `      <${CASE_PREFIX}:${name}>${xmlEscape(value)}</${CASE_PREFIX}:${name}>`;
+    })
+    .join('\n');
+}
+
+function extensionSchema() {
+  const properties = CASE_PROPERTIES.map(({ name, valueType, description }) => `              <rdf:li rdf:parseType="Resource">
+                <pdfaProperty:name>${name}</pdfaProperty:name>
+                <pdfaProperty:valueType>${valueType}</pdfaProperty:valueType>
+                <pdfaProperty:category>external</pdfaProperty:category>
+                <pdfaProperty:description>${xmlEscape(description)}</pdfaProperty:description>
+              </rdf:li>`).join('\n');
+  return `      <pdfaExtension:schemas>
+        <rdf:Bag>
+          <rdf:li rdf:parseType="Resource">
+            <pdfaSchema:schema>Claim Letter Help case</pdfaSchema:schema>
+            <pdfaSchema:namespaceURI>${CASE_NAMESPACE}</pdfaSchema:namespaceURI>
+            <pdfaSchema:prefix>${CASE_PREFIX}</pdfaSchema:prefix>
+            <pdfaSchema:property>
+              <rdf:Seq>
+${properties}
+              </rdf:Seq>
+            </pdfaSchema:property>
+          </rdf:li>
+        </rdf:Bag>
+      </pdfaExtension:schemas>`;
+}
+
+// The XMP packet. title, producer, creator and date must equal the information dictionary's values.
+function xmpPacket({ title, producer, creator, date, language, fields }) {
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+        xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+        xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#"
+        xmlns:${CASE_PREFIX}="${CASE_NAMESPACE}">
+      <pdfaid:part>${PDFA_PART}</pdfaid:part>
+      <pdfaid:conformance>${PDFA_CONFORMANCE}</pdfaid:conformance>
+      <dc:format>application/pdf</dc:format>
+      ${title ? `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(title)}</rdf:li></rdf:Alt></dc:title>` : ''}
+      ${language ? `<dc:language><rdf:Bag><rdf:li>${xmlEscape(language)}</rdf:li></rdf:Bag></dc:language>` : ''}
+      <xmp:CreatorTool>${xmlEscape(creator)}</xmp:CreatorTool>
+      <xmp:CreateDate>${xmpDate(date)}</xmp:CreateDate>
+      <xmp:ModifyDate>${xmpDate(date)}</xmp:ModifyDate>
+      <xmp:MetadataDate>${xmpDate(date)}</xmp:MetadataDate>
+      <pdf:Producer>${xmlEscape(producer)}</pdf:Producer>
+${caseProperties(fields)}
+${extensionSchema()}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// Add the output intent, XMP metadata, document language and file identifier to a document whose
+// fonts are all embedded. fields: { claimNumber, policyNumber, generatedAt, letterVersion, textSha256 }.
+// title, producer, creator and date are the values already set on the document.
+function makeArchival(pdfDoc, { title, producer, creator, date, locale = null, fields = {} }) {
+  const { context, catalog } = pdfDoc;
+
+  const profile = context.register(context.flateStream(srgbProfile(), { N: 3 }));
+  catalog.set(PDFName.of('OutputIntents'), context.obj([context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of(SRGB_CONDITION),
+    Info: PDFString.of(SRGB_CONDITION),
+    RegistryName: PDFString.of('http://www.color.org'),
+    DestOutputProfile: profile,
+  })]));
+
+  // The metadata stream is left uncompressed, as the standard requires
+  const xmp = Buffer.from(xmpPacket({ title, producer, creator, date, language: locale, fields }), 'utf8');
+  catalog.set(PDFName.of('Metadata'), context.register(context.stream(xmp, { Type: 'Metadata', Subtype: 'XML' })));
+  if (locale) catalog.set(PDFName.of('Lang'), PDFString.of(locale));
+
+  const id = PDFHexString.of(sha256(`${fields.textSha256 || ''}:${xmpDate(date)}`).slice(0, 32));
+  context.trailerInfo.ID = context.obj([id, id]);
+}
+
+module.exports = {
+  PDFA_LABEL,
+  CASE_NAMESPACE,
+  sha256,
+  srgbProfile,
+  makeArchival,
+};
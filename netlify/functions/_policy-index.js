@@ -0,0 +1,258 @@
+// Policy document indexing and clause retrieval.
+// A full policy is split into sections by heading, indexed locally (BM25 over section text and
+// headings), and searched for the exclusions and conditions a denial cites. Quotes are always
+// verbatim excerpts of the policy text with their section path and page numbers.
+
+const { DENIAL_CATEGORIES } = require('./_denial-taxonomy.js');
+
+const MAX_SECTION_CHARS = 1500;
+const MAX_QUOTE_CHARS = 600;
+
+const STOPWORDS = new Set(('a an and are as at be by for from has have if in is it its not of on or our ' +
+  'such that the this to under was we were which will with you your any all may this these those').split(' '));
+
+// Top-level headings: "SECTION I - PROPERTY COVERAGES", "PART B", or a short all-caps line
+const TOP_HEADING = /^(?:SECTION|PART|ARTICLE|CHAPTER)\s+(?:[IVXLC]+|\d+|[A-Z])\b.{0,70}$/i;
+// Numbered or lettered headings: "2. Water Damage", "B. Coverage B - Other Structures", "(c) Mold"
+const NUMBERED_HEADING = /^\(?([A-Z]|\d{1,2}|[a-z])[.)]\s+([A-Z].{2,76})$/;
+
+function isCapsHeading(line) {
+  return line.length >= 4 && line.length <= 80 && /[A-Z]{3}/.test(line) && line === line.toUpperCase() &&
+    !/[.,;]$/.test(line) && !/^[\d\s$.,/-]+$/.test(line);
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text = '') {
+  return (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+    .map(stem);
+}
+
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Split page texts into sections. Long sections are chunked so quotes stay focused.
+function splitSections(pageTexts = []) {
+  const raw = [];
+  let top = null;
+  let current = { heading: null, number: null, path: [], lines: [] };
+
+  const start = (heading, number, path) => {
+    if (current.lines.length) raw.push(current);
+    current = { heading, number, path, lines: [] };
+  };
+
+  pageTexts.forEach((pageText, index) => {
+    for (const rawLine of String(pageText || '').split('\n')) {
+      const line = rawLine.trim();
+      if (!line) continue;
+      const numbered = line.match(NUMBERED_HEADING);
+      if (TOP_HEADING.test(line) || (isCapsHeading(line) && !numbered)) {
+        top = collapse(line);
+        start(top, null, [top]);
+      } else if (numbered && !/[,;]$/.test(line)) {
+        const heading = collapse(line);
+        start(heading, numbered[1], top ? [top, heading] : [heading]);
+      } else {
+        current.lines.push({ page: index + 1, text: line });
+      }
+    }
+  });
+  if (current.lines.length) raw.push(current);
+
+  const sections = [];
+  for (const section of raw) {
+    let chunk = [];
+    let length = 0;
+    const flush = () => {
+      if (!chunk.length) return;
+      sections.push({
+        id: `P${sections.length + 1}`,
+        heading: section.heading,
+        number: section.number,
+        path: section.path,
+        page: chunk[0].page,
+        pageEnd: chunk[chunk.length - 1].page,
+        text: chunk.map(line => line.text).join('\n'),
+      });
+      chunk = [];
+      length = 0;
+    };
+    for (const line of section.lines) {
+      if (length + line.text.length > MAX_SECTION_CHARS && chunk.length) flush();
+      chunk.push(line);
+      length += line.text.length + 1;
+    }
+    flush();
+  }
+  return sections;
+}
+
+// Sections for several policy documents, numbered P1, P2, ... across all of them
+function splitDocuments(documents = []) {
+  const sections = documents.flatMap(doc => splitSections(doc.pageTexts || [doc.text]).map(section => ({ ...section, documentId: doc.id || null })));
+  return sections.map((section, index) => ({ ...section, id: `P${index + 1}` }));
+}
+
+// In-memory index over the sections; cheap enough to rebuild per request from stored sections
+function buildIndex(sections = []) {
+  const docFreq = {};
+  const entries = sections.map(section => {
+    const terms = {};
+    for (const term of tokenize(section.text)) terms[term] = (terms[term] || 0) + 1;
+    const headingTerms = new Set(tokenize(section.path.join(' ')));
+    for (const term of new Set([...Object.keys(terms), ...headingTerms])) docFreq[term] = (docFreq[term] || 0) + 1;
+    return { section, terms, headingTerms, length: Object.values(terms).reduce((sum, n) => sum + n, 0) };
+  });
+  const avgLength = entries.length ? entries.reduce((sum, e) => sum + e.length, 0) / entries.length : 0;
+  return { entries, docFreq, avgLength, size: entries.length };
+}
+
+// Weighted query from the sections the insurer cites, the denial category and the stated reason
+function buildPolicyQuery({ citedSections = [], denialCategory = null, reason = '' } = {}) {
+  const weights = {};
+  const add = (text, weight) => {
+    for (const term of tokenize(text)) weights[term] = Math.max(weights[term] || 0, weight);
+  };
+  add(reason, 1);
+  if (DENIAL_CATEGORIES[denialCategory]) add(DENIAL_CATEGORIES[denialCategory].label, 2);
+  citedSections.forEach(citation => add(citation, 3));
+  return { weights, citations: citedSections.map(collapse).filter(Boolean) };
+}
+
+// "Exclusion 2" matches heading "2. Water Damage" under "SECTION I - EXCLUSIONS"
+function matchesCitation(section, citation) {
+  const path = section.path.join(' ').toLowerCase();
+  if (path.includes(citation.toLowerCase())) return true;
+  const parts = citation.match(/^([A-Za-z]+)\s+([A-Za-z0-9]+)/);
+  if (!parts || !section.number) return false;
+  const kind = stem(parts[1].toLowerCase());
+  return section.number.toLowerCase() === parts[2].toLowerCase() && path.includes(kind);
+}
+
+function retrieveClauses(index, query, { limit = 5 } = {}) {
+  const k1 = 1.2;
+  const b = 0.75;
+  const results = [];
+
+  for (const entry of index.entries) {
+    let score = 0;
+    const matchedTerms = [];
+    for (const [term, weight] of Object.entries(query.weights)) {
+      const tf = entry.terms[term] || 0;
+      const inHeading = entry.headingTerms.has(term);
+      if (!tf && !inHeading) continue;
+      const idf = Math.log(1 + (index.size - index.docFreq[term] + 0.5) / (index.docFreq[term] + 0.5));
+      const norm = tf ? (tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * entry.length) / (index.avgLength || 1))) : 0;
+      score += weight * idf * (norm + (inHeading ? 1.5 : 0));
+      matchedTerms.push(term);
+    }
+    if (query.citations.some(citation => matchesCitation(entry.section, citation))) score += 10;
+    if (/exclusion|condition|limitation/i.test(entry.section.path.join(' '))) score *= 1.2;
+    if (score > 0) results.push({ section: entry.section, score, matchedTerms });
+  }
+
+  // Drop weak matches, e.g. sections that only share the word "exclusion" with the query
+  results.sort((x, y) => y.score - x.score);
+  const floor = results.length ? results[0].score * 0.2 : 0;
+  return results.filter(result => result.score >= floor).slice(0, limit);
+}
+
+// Verbatim excerpt around the sentences that best match the query; "…" marks cut text
+function quoteSection(section, terms = [], maxChars = MAX_QUOTE_CHARS) {
+  const text = collapse(section.text);
+  if (text.length <= maxChars) return text;
+
+  const wanted = new Set(terms);
+  const sentences = [];
+  const regex = /[^.!?]+(?:[.!?]+|$)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (!match[0].trim()) break;
+    const hits = tokenize(match[0]).filter(term => wanted.has(term)).length;
+    sentences.push({ start: match.index, end: match.index + match[0].length, hits });
+  }
+
+  let best = 0;
+  sentences.forEach((sentence, i) => { if (sentence.hits > sentences[best].hits) best = i; });
+  let first = best;
+  let last = best;
+  while (true) {
+    const before = first > 0 ? sentences[first - 1] : null;
+    const after = last < sentences.length - 1 ? sentences[last + 1] : null;
+    if (after && after.end - sentences[first].start <= maxChars) last++;
+    else if (before && sentences[last].end - before.start <= maxChars) first--;
+    else break;
+  }
+
+  const start = sentences[first].start;
+  const end = Math.min(sentences[last].end, start + maxChars);
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end).trim()}${end < text.length ? ' …' : ''}`;
+}
+
+function policyCitation(section) {
+  const pages = section.pageEnd && section.pageEnd !== section.page ? `pages ${section.page}-${section.pageEnd}` : `page ${section.page}`;
+  return `${section.path.length ? section.path.join(' › ') : 'Policy'} (${pages})`;
+}
+
+// Retrieve and quote in one step; the shape stored on analysis.policyQuotes
+function findPolicyQuotes(sections, queryInput, options) {
+  if (!sections || !sections.length) return [];
+  const query = buildPolicyQuery(queryInput);
+  return retrieveClauses(buildIndex(sections), query, options).map(({ section, score, matchedTerms }) => ({
+    id: section.id,
+    heading: section.heading,
+    path: section.path,
+    page: section.page,
+    pageEnd: section.pageEnd,
+    citation: policyCitation(section),
+    quote: quoteSection(section, Object.keys(query.weights)),
+    score: Math.round(score * 100) / 100,
+    matchedTerms,
+  }));
+}
+
+// Prompt block listing the retrieved clauses
+function describePolicyQuotes(quotes = []) {
+  return quotes.map(quote => `[${quote.id}] ${quote.citation}:\n"${quote.quote}"`).join('\n\n');
+}
+
+function normalizeForMatch(text) {
+  return collapse(String(text || '').toLowerCase().replace(/[“”]/g, '"').replace(/[‘’]/g, "'"));
+}
+
+// Check that passages quoted in a letter appear verbatim in the policy (or another source text).
+// Quotes shorter than 40 characters are ignored; "…" splits a quote into fragments checked separately.
+function verifyQuotes(letter, sourceTexts = []) {
+  const haystack = normalizeForMatch(sourceTexts.join('\n'));
+  const verified = [];
+  const unverified = [];
+  const regex = /["“]([^"“”]{40,})["”]/g;
+  let match;
+  while ((match = regex.exec(letter || '')) !== null) {
+    const fragments = match[1].split(/…|\.\.\./).map(normalizeForMatch).filter(fragment => fragment.length >= 20);
+    if (!fragments.length) continue;
+    (fragments.every(fragment => haystack.includes(fragment)) ? verified : unverified).push(collapse(match[1]));
+  }
+  return { checked: verified.length + unverified.length, verified, unverified };
+}
+
+module.exports = {
+  MAX_SECTION_CHARS,
+  splitSections,
+  splitDocuments,
+  buildIndex,
+  buildPolicyQuery,
+  retrieveClauses,
+  quoteSection,
+  policyCitation,
+  findPolicyQuotes,
+  describePolicyQuotes,
+  verifyQuotes,
+};
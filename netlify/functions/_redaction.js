@@ -0,0 +1,188 @@
+// PII redaction for text sent to the LLM.
+// Sensitive values are swapped for stable tokens such as {{SSN_1}} before any model call and
+// restored in the model's output on our side. The same value always maps to the same token
+// within a vault, so the model can still refer to it consistently.
+
+const crypto = require('crypto');
+
+const PII_TYPES = {
+  ssn: { label: 'Social Security number', token: 'SSN' },
+  date_of_birth: { label: 'Date of birth', token: 'DOB' },
+  member_id: { label: 'Member, subscriber or patient ID', token: 'MEMBER_ID' },
+  bank_account: { label: 'Bank account number', token: 'BANK_ACCOUNT' },
+  routing_number: { label: 'Bank routing number', token: 'ROUTING_NUMBER' },
+  card_number: { label: 'Payment card number', token: 'CARD_NUMBER' },
+  diagnosis: { label: 'Medical diagnosis', token: 'DIAGNOSIS' },
+};
+
+const DATE = '(?:[A-Za-z]{3,9}\\.? \\d{1,2}, \\d{4}|\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2})';
+const LABEL_END = '\\s*(?:[:#]\\s*)?';
+
+// Each pattern captures the sensitive value in group 1; the label around it stays readable
+const PII_PATTERNS = [
+  { type: 'ssn', regex: new RegExp(`\\b(?:SSN|Social Security(?: Number| No\\.?)?)${LABEL_END}(\\d{3}[- ]?\\d{2}[- ]?\\d{4})\\b`, 'gi') },
+  { type: 'ssn', regex: /\b(\d{3}-\d{2}-\d{4})\b/g },
+  { type: 'date_of_birth', regex: new RegExp(`\\b(?:Date of Birth|DOB|Birth ?date)${LABEL_END}(${DATE})`, 'gi') },
+  { type: 'member_id', regex: new RegExp(`\\b(?:(?:Member|Subscriber|Patient|Beneficiary|Medical Record)\\s*(?:ID|Identification|Number|No\\.?|#)|MRN)${LABEL_END}([A-Z0-9-]*\\d[A-Z0-9-]*)`, 'gi') },
+  { type: 'routing_number', regex: new RegExp(`\\b(?:Routing|ABA)(?:\\s*(?:Transit\\s*)?(?:Number|No\\.?|#))?${LABEL_END}(\\d{9})\\b`, 'gi') },
+  { type: 'bank_account', regex: new RegExp(`\\b(?:(?:Bank|Checking|Savings)\\s+)?(?:Account|Acct\\.?)\\s*(?:Number|No\\.?|#)${LABEL_END}(\\d[\\d -]{3,}\\d)\\b`, 'gi') },
+  { type: 'card_number', regex: /\b(\d(?:[ -]?\d){12,18})\b/g, check: luhn },
+  { type: 'diagnosis', regex: /\b(?:Diagnos(?:is|es)(?: Codes?)?|Dx|ICD-?10(?:-CM)?(?: Codes?)?)\s*:\s*([^\n]{2,160})/gi },
+  { type: 'diagnosis', regex: /\bdiagnosed with ([^.;\n]{2,80})/gi },
+  // Dotted ICD-10 codes (e.g. M54.5) anywhere in the text
+  { type: 'diagnosis', regex: /\b([A-TV-Z]\d{2}\.\d{1,4}[A-Z]?)\b/g },
+];
+
+const TOKEN_PATTERN = /\{\{\s*([A-Z_]+_\d+)\s*\}\}/g;
+
+function luhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Short, irreversible fingerprint so audits can prove what was redacted without storing it
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+function createVault() {
+  return { tokens: {}, byValue: {}, counters: {}, occurrences: {} };
+}
+
+// Register a value and return its token; the same value always gets the same token
+function addValue(vault, type, value) {
+  const clean = String(value || '').trim().replace(/[\s,;:]+$/, '');
+  if (!clean || !PII_TYPES[type]) return null;
+  if (vault.byValue[clean]) return vault.byValue[clean];
+  vault.counters[type] = (vault.counters[type] || 0) + 1;
+  const token = `{{${PII_TYPES[type].token}_${vault.counters[type]}}}`;
+  vault.tokens[token] = { type, value: clean };
+  vault.byValue[clean] = token;
+  vault.occurrences[token] = 0;
+  return token;
+}
+
+// Find PII in text, register it, and return the text with every occurrence tokenized
+function redactText(vault, text) {
+  if (typeof text !== 'string' || !text) return text || '';
+
+  for (const { type, regex, check } of PII_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (check && !check(match[1])) continue;
+      addValue(vault, type, match[1]);
+    }
+  }
+
+  // Longest values first so a value containing another is replaced whole
+  const values = Object.keys(vault.byValue).sort((a, b) => b.length - a.length);
+  let redacted = text;
+  for (const value of values) {
+    const token = vault.byValue[value];
+    redacted = redacted.replace(new RegExp(escapeRegExp(value), 'g'), () => {
+      vault.occurrences[token]++;
+      return token;
+    });
+  }
+  return redacted;
+}
+
+// Put the real values back; tokens the vault doesn't know are left untouched
+function restoreText(vault, text) {
+  if (typeof text !== 'string') return text;
+  return text.replace(TOKEN_PATTERN, (match, name) => {
+    const entry = vault.tokens[`{{${name}}}`];
+    return entry ? entry.value : match;
+  });
+}
+
+// Restore a streamed reply chunk by chunk. A token split across chunks ("{{SS" + "N_1}}") is held
+// back until it is complete, so the browser never sees a raw token.
+function createStreamRestorer(vault) {
+  let pending = '';
+  return {
+    push(chunk) {
+      pending += chunk;
+      const open = pending.lastIndexOf('{');
+      const tail = open === -1 ? '' : pending.slice(open > 0 && pending[open - 1] === '{' ? open - 1 : open);
+      const partial = tail && /^\{\{?\s*[A-Z_0-9]*\s*\}?$/.test(tail) && tail.length <= 40;
+      const ready = partial ? pending.slice(0, pending.length - tail.length) : pending;
+      pending = partial ? tail : '';
+      return restoreText(vault, ready);
+    },
+    flush() {
+      const rest = restoreText(vault, pending);
+      pending = '';
+      return rest;
+    },
+  };
+}
+
+// Restore every string inside a parsed model reply
+function restoreDeep(vault, value) {
+  if (typeof value === 'string') return restoreText(vault, value);
+  if (Array.isArray(value)) return value.map(item => restoreDeep(vault, item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreDeep(vault, item)]));
+  }
+  return value;
+}
+
+// Register values whose fingerprints an earlier audit recorded, e.g. a member ID that
+// analyze-letter redacted and that now appears as the policy number in the claim facts
+function addKnownValues(vault, values, audit) {
+  const known = {};
+  for (const entry of [].concat(audit || [])) {
+    for (const item of entry?.items || []) known[item.fingerprint] = item.type;
+  }
+  for (const value of values) {
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const type = known[fingerprint(value)];
+    if (type) addValue(vault, type, value);
+  }
+}
+
+// Audit entry for one model call: what was redacted, never the values themselves
+function auditRecord(vault, stage) {
+  const items = Object.entries(vault.tokens).filter(([token]) => vault.occurrences[token] > 0).map(([token, { type, value }]) => ({
+    token,
+    type,
+    label: PII_TYPES[type].label,
+    occurrences: vault.occurrences[token],
+    fingerprint: fingerprint(value),
+  }));
+  const counts = {};
+  for (const item of items) counts[item.type] = (counts[item.type] || 0) + 1;
+  return { stage, redactedAt: new Date().toISOString(), total: items.length, counts, items };
+}
+
+// Prompt text telling the model how to treat the tokens
+const TOKEN_INSTRUCTION = 'Some personal data has been replaced with tokens such as {{SSN_1}} or {{MEMBER_ID_1}}. Copy a token exactly as written wherever you need that value; never guess, alter or explain it.';
+
+module.exports = {
+  PII_TYPES,
+  TOKEN_INSTRUCTION,
+  fingerprint,
+  createVault,
+  addValue,
+  redactText,
+  restoreText,
+  restoreDeep,
+  createStreamRestorer,
+  addKnownValues,
+  auditRecord,
+};
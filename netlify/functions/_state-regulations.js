@@ -0,0 +1,494 @@
+// State insurance regulation knowledge base: unfair claims settlement practices acts, prompt-payment
+// rules, bad-faith remedies and appeal rights, with the citation for each. Only the entries for the
+// policyholder's state and line of coverage go into the prompt, and every statute the model cites is
+// checked against them afterwards. The table is local and versioned like the deadline rules in
+// _appeal-deadlines.js; bump REGULATIONS_VERSION whenever an entry changes.
+
+const { STATE_RULES, normalizeState } = require('./_appeal-deadlines.js');
+
+const REGULATIONS_VERSION = '2026-10';
+
+const TOPICS = {
+  unfair_claims: 'Unfair claims settlement practices',
+  prompt_payment: 'Prompt payment',
+  bad_faith: 'Bad-faith and fee-shifting remedies',
+  appeal_rights: 'Appeal and review rights',
+  suit_limitation: 'Time to sue',
+};
+
+const PROPERTY = ['homeowners', 'commercial'];
+const PROPERTY_AUTO = ['homeowners', 'commercial', 'auto'];
+const HEALTH = ['health'];
+const EMPLOYER_PLANS = ['health', 'disability', 'life'];
+
+// lines: coverage lines the entry applies to; null means every line
+const FEDERAL_REGULATIONS = [
+  { citation: '29 C.F.R. § 2560.503-1', topic: 'appeal_rights', lines: EMPLOYER_PLANS, summary: 'ERISA claims procedure: employer-sponsored plans must give a full and fair review of a denied claim, state the specific reasons and plan provisions relied on, and provide the relevant documents free of charge on request.' },
+  { citation: '45 C.F.R. § 147.136', topic: 'appeal_rights', lines: HEALTH, summary: 'Non-grandfathered health plans and issuers must provide an internal appeal and an independent external review of adverse benefit determinations.' },
+  { citation: '42 U.S.C. § 300gg-19', topic: 'appeal_rights', lines: HEALTH, summary: 'Affordable Care Act requirement that health coverage provide an effective internal appeals process and external review.' },
+];
+
+const STATE_REGULATIONS = {
+  AL: [
+    { citation: 'Ala. Admin. Code r. 482-1-125', topic: 'unfair_claims', lines: null, summary: 'Unfair claims settlement practices regulation: sets standards for acknowledging, investigating and deciding claims.' },
+  ],
+  AK: [
+    { citation: 'Alaska Stat. § 21.36.125', topic: 'unfair_claims', lines: null, summary: 'Prohibits unfair claim settlement practices, including misrepresenting policy provisions and refusing to pay without a reasonable investigation.' },
+  ],
+  AZ: [
+    { citation: 'Ariz. Rev. Stat. § 20-461', topic: 'unfair_claims', lines: null, summary: 'Prohibits unfair claim settlement practices, including failing to adopt reasonable standards for prompt investigation and denying claims without a reasonable explanation.' },
+  ],
+  AR: [
+    { citation: 'Ark. Code Ann. § 23-66-206(13)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claims settlement practices as unfair trade practices in the business of insurance.' },
+    { citation: 'Ark. Code Ann. § 23-79-208', topic: 'bad_faith', lines: null, summary: 'An insurer that fails to pay a covered loss within the time specified after demand is liable for a 12% penalty and reasonable attorney\'s fees.' },
+  ],
+  CA: [
+    { citation: 'Cal. Ins. Code § 790.03(h)', topic: 'unfair_claims', lines: null, summary: 'Prohibits unfair claims settlement practices, including failing to affirm or deny coverage within a reasonable time and failing to explain a denial.' },
+    { citation: 'Cal. Code Regs. tit. 10, § 2695.7', topic: 'prompt_payment', lines: null, summary: 'Fair claims settlement regulations: the insurer must accept or deny a claim within 40 days of proof of claim and explain any denial in writing with the policy provisions relied on.' },
+    { citation: 'Cal. Ins. Code § 2071', topic: 'suit_limitation', lines: PROPERTY, summary: 'Standard fire policy: suit must be brought within 12 months of the loss, tolled while the claim is under review.' },
+    { citation: 'Cal. Health & Safety Code § 1374.30', topic: 'appeal_rights', lines: HEALTH, summary: 'Independent Medical Review of health plan denials based on medical necessity or experimental treatment.' },
+    { citation: 'Cal. Ins. Code § 10169', topic: 'appeal_rights', lines: HEALTH, summary: 'Independent Medical Review for disputed health insurance claims.' },
+  ],
+  CO: [
+    { citation: 'Colo. Rev. Stat. § 10-3-1104(1)(h)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices, including refusing to pay claims without a reasonable investigation.' },
+    { citation: 'Colo. Rev. Stat. § 10-3-1115', topic: 'bad_faith', lines: null, summary: 'An insurer may not unreasonably delay or deny payment of a claim for benefits owed.' },
+    { citation: 'Colo. Rev. Stat. § 10-3-1116', topic: 'bad_faith', lines: null, summary: 'A claimant whose benefits were unreasonably delayed or denied may recover attorney fees and two times the covered benefit.' },
+  ],
+  CT: [
+    { citation: 'Conn. Gen. Stat. § 38a-816(6)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices, including failing to affirm or deny coverage within a reasonable time after proof of loss.' },
+    { citation: 'Conn. Gen. Stat. § 38a-307', topic: 'suit_limitation', lines: PROPERTY, summary: 'Standard fire policy: suit must be brought within 2 years after the loss.' },
+  ],
+  DE: [
+    { citation: 'Del. Code Ann. tit. 18, § 2304(16)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices among unfair practices in the business of insurance.' },
+  ],
+  DC: [
+    { citation: 'D.C. Code § 31-2231.17', topic: 'unfair_claims', lines: null, summary: 'Prohibits unfair claim settlement practices.' },
+  ],
+  FL: [
+    { citation: 'Fla. Stat. § 626.9541(1)(i)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices, including denying claims without a reasonable investigation and failing to explain a denial.' },
+    { citation: 'Fla. Stat. § 627.70131', topic: 'prompt_payment', lines: PROPERTY, summary: 'Property insurers must acknowledge communications promptly and pay or deny a claim within the statutory period after receiving notice of it.' },
+    { citation: 'Fla. Stat. § 624.155', topic: 'bad_faith', lines: null, summary: 'Civil remedy for an insurer\'s failure to settle in good faith; a civil remedy notice gives the insurer 60 days to cure.' },
+    { citation: 'Fla. Stat. § 627.7015', topic: 'appeal_rights', lines: PROPERTY, summary: 'State-sponsored mediation program for disputed residential property claims.' },
+  ],
+  GA: [
+    { citation: 'Ga. Code Ann. § 33-6-34', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claims settlement practices.' },
+    { citation: 'Ga. Code Ann. § 33-4-6', topic: 'bad_faith', lines: null, summary: 'An insurer that refuses in bad faith to pay a covered loss within 60 days after a demand is liable for a penalty and attorney\'s fees.' },
+  ],
+  HI: [
+    { citation: 'Haw. Rev. Stat. § 431:13-103(a)(11)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices among unfair methods of competition and deceptive acts.' },
+  ],
+  ID: [
+    { citation: 'Idaho Code § 41-1329', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Idaho Code § 41-1839', topic: 'bad_faith', lines: null, summary: 'An insurer that fails to pay the amount justly due within 30 days after proof of loss is liable for reasonable attorney\'s fees in a suit on the policy.' },
+  ],
+  IL: [
+    { citation: '215 ILCS 5/154.6', topic: 'unfair_claims', lines: null, summary: 'Lists improper claims practices, including failing to affirm or deny coverage within a reasonable time.' },
+    { citation: '215 ILCS 5/155', topic: 'bad_faith', lines: null, summary: 'Allows attorney fees and an additional award when an insurer\'s delay or refusal to pay is vexatious and unreasonable.' },
+    { citation: '215 ILCS 5/143.1', topic: 'suit_limitation', lines: PROPERTY, summary: 'The policy\'s suit-limitation period is tolled from the proof of loss until the claim is denied.' },
+    { citation: '215 ILCS 180', topic: 'appeal_rights', lines: HEALTH, summary: 'Health Carrier External Review Act: independent external review of adverse determinations.' },
+  ],
+  IN: [
+    { citation: 'Ind. Code § 27-4-1-4.5', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+  ],
+  IA: [
+    { citation: 'Iowa Code § 507B.4', topic: 'unfair_claims', lines: null, summary: 'Defines unfair practices in the business of insurance, including unfair claims settlement practices.' },
+  ],
+  KS: [
+    { citation: 'Kan. Stat. Ann. § 40-2404(9)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Kan. Stat. Ann. § 40-256', topic: 'bad_faith', lines: null, summary: 'Attorney fees are allowed when an insurer refuses to pay the full amount of a loss without just cause or excuse.' },
+  ],
+  KY: [
+    { citation: 'Ky. Rev. Stat. § 304.12-230', topic: 'unfair_claims', lines: null, summary: 'Unfair Claims Settlement Practices Act.' },
+    { citation: 'Ky. Rev. Stat. § 304.12-235', topic: 'prompt_payment', lines: null, summary: 'Claims must be paid within 30 days of notice and proof of claim, or interest is owed on the amount due.' },
+  ],
+  LA: [
+    { citation: 'La. Rev. Stat. § 22:1973', topic: 'bad_faith', lines: null, summary: 'Insurer\'s duty of good faith and fair dealing; penalties for failing to pay within 60 days after satisfactory proof of loss when the failure is arbitrary or capricious.' },
+    { citation: 'La. Rev. Stat. § 22:1892', topic: 'prompt_payment', lines: PROPERTY_AUTO, summary: 'Property claims must be paid within 30 days after satisfactory proof of loss; arbitrary failure to pay carries penalties and attorney fees.' },
+    { citation: 'La. Rev. Stat. § 22:868', topic: 'suit_limitation', lines: PROPERTY, summary: 'A property policy may not limit the time to sue to less than 24 months after the loss.' },
+  ],
+  ME: [
+    { citation: 'Me. Rev. Stat. tit. 24-A, § 2164-D', topic: 'unfair_claims', lines: null, summary: 'Unfair claims settlement practices; allows a civil action against an insurer that engages in them.' },
+    { citation: 'Me. Rev. Stat. tit. 24-A, § 2436', topic: 'prompt_payment', lines: null, summary: 'Claims are overdue if not paid within 30 days after proof of loss; overdue payments bear interest.' },
+  ],
+  MD: [
+    { citation: 'Md. Code Ann., Ins. § 27-303', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Md. Code Ann., Ins. § 27-1001', topic: 'bad_faith', lines: ['homeowners', 'commercial', 'auto'], summary: 'First-party claims: a complaint that the insurer failed to act in good faith is filed with the Maryland Insurance Administration.' },
+    { citation: 'Md. Code Ann., Cts. & Jud. Proc. § 3-1701', topic: 'bad_faith', lines: ['homeowners', 'commercial', 'auto'], summary: 'Civil action for an insurer\'s failure to act in good faith on a first-party property or casualty claim.' },
+  ],
+  MA: [
+    { citation: 'Mass. Gen. Laws ch. 176D, § 3(9)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Mass. Gen. Laws ch. 93A, § 9', topic: 'bad_faith', lines: null, summary: 'Consumer protection action, with a 30-day demand letter, for unfair claim settlement practices.' },
+    { citation: 'Mass. Gen. Laws ch. 175, § 99', topic: 'suit_limitation', lines: PROPERTY, summary: 'Standard fire policy: suit must be brought within 2 years after the cause of action accrues.' },
+  ],
+  MI: [
+    { citation: 'Mich. Comp. Laws § 500.2026', topic: 'unfair_claims', lines: null, summary: 'Lists unfair methods of settling claims.' },
+    { citation: 'Mich. Comp. Laws § 500.2006', topic: 'prompt_payment', lines: null, summary: 'Benefits not paid on a timely basis after satisfactory proof of loss bear 12% simple interest.' },
+    { citation: 'Mich. Comp. Laws § 500.2833', topic: 'suit_limitation', lines: PROPERTY, summary: 'Fire policies: suit within 1 year after the loss, tolled from notice until formal denial.' },
+  ],
+  MN: [
+    { citation: 'Minn. Stat. § 72A.201', topic: 'unfair_claims', lines: null, summary: 'Regulates claim practices, including time limits for acknowledging, investigating and deciding claims.' },
+    { citation: 'Minn. Stat. § 604.18', topic: 'bad_faith', lines: null, summary: 'Taxable costs are allowed when an insurer denies benefits without a reasonable basis.' },
+    { citation: 'Minn. Stat. § 65A.01', topic: 'suit_limitation', lines: PROPERTY, summary: 'Standard fire policy: suit must be brought within 2 years after the loss.' },
+  ],
+  MS: [
+    { citation: 'Miss. Code Ann. § 83-5-33', topic: 'unfair_claims', lines: null, summary: 'Prohibits unfair methods of competition and unfair or deceptive acts in the business of insurance.' },
+  ],
+  MO: [
+    { citation: 'Mo. Rev. Stat. § 375.1007', topic: 'unfair_claims', lines: null, summary: 'Lists improper claims practices.' },
+    { citation: 'Mo. Rev. Stat. § 375.420', topic: 'bad_faith', lines: null, summary: 'Vexatious refusal to pay: penalties and attorney fees when an insurer refuses to pay without reasonable cause.' },
+  ],
+  MT: [
+    { citation: 'Mont. Code Ann. § 33-18-201', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Mont. Code Ann. § 33-18-242', topic: 'bad_faith', lines: null, summary: 'Independent cause of action against an insurer for damages caused by certain unfair claim settlement practices.' },
+  ],
+  NE: [
+    { citation: 'Neb. Rev. Stat. § 44-1540', topic: 'unfair_claims', lines: null, summary: 'Unfair Insurance Claims Settlement Practices Act: lists prohibited claim practices.' },
+    { citation: 'Neb. Rev. Stat. § 44-359', topic: 'bad_faith', lines: null, summary: 'Attorney fees are allowed when a policyholder obtains judgment against an insurer on the policy.' },
+  ],
+  NV: [
+    { citation: 'Nev. Rev. Stat. § 686A.310', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim practices and makes the insurer liable for damages caused by them.' },
+  ],
+  NH: [
+    { citation: 'N.H. Rev. Stat. Ann. § 417:4(XV)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+  ],
+  NJ: [
+    { citation: 'N.J. Stat. Ann. § 17:29B-4(9)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'N.J. Admin. Code § 11:2-17', topic: 'prompt_payment', lines: null, summary: 'Unfair claims settlement practices regulations, including time limits for investigating and paying claims.' },
+  ],
+  NM: [
+    { citation: 'N.M. Stat. Ann. § 59A-16-20', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claims practices.' },
+    { citation: 'N.M. Stat. Ann. § 59A-16-30', topic: 'bad_faith', lines: null, summary: 'Private right of action for a person harmed by an unfair claims practice.' },
+  ],
+  NY: [
+    { citation: 'N.Y. Ins. Law § 2601', topic: 'unfair_claims', lines: null, summary: 'Prohibits unfair claim settlement practices.' },
+    { citation: '11 NYCRR 216', topic: 'prompt_payment', lines: null, summary: 'Regulation 64: standards and time limits for investigating and settling claims.' },
+    { citation: 'N.Y. Ins. Law § 3224-a', topic: 'prompt_payment', lines: HEALTH, summary: 'Health claims must be paid within 30 days (electronic) or 45 days (paper) of receipt when the obligation to pay is reasonably clear.' },
+    { citation: 'N.Y. Ins. Law § 4910', topic: 'appeal_rights', lines: HEALTH, summary: 'Right to an external appeal of a health plan\'s adverse determination.' },
+    { citation: 'N.Y. Ins. Law § 3404', topic: 'suit_limitation', lines: PROPERTY, summary: 'Standard fire policy: suit must be brought within 2 years after the loss.' },
+  ],
+  NC: [
+    { citation: 'N.C. Gen. Stat. § 58-63-15(11)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'N.C. Gen. Stat. § 75-1.1', topic: 'bad_faith', lines: null, summary: 'Unfair and deceptive trade practices act, which applies to unfair claim settlement practices.' },
+    { citation: 'N.C. Gen. Stat. § 58-44-16', topic: 'suit_limitation', lines: PROPERTY, summary: 'Standard fire policy: suit must be brought within 3 years after the loss.' },
+  ],
+  ND: [
+    { citation: 'N.D. Cent. Code § 26.1-04-03(9)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+  ],
+  OH: [
+    { citation: 'Ohio Admin. Code 3901-1-54', topic: 'unfair_claims', lines: null, summary: 'Unfair property and casualty claims settlement practices, including time limits for acknowledging and deciding claims.' },
+  ],
+  OK: [
+    { citation: 'Okla. Stat. tit. 36, § 1250.5', topic: 'unfair_claims', lines: null, summary: 'Unfair Claims Settlement Practices Act: lists prohibited claim practices.' },
+    { citation: 'Okla. Stat. tit. 36, § 3629', topic: 'prompt_payment', lines: PROPERTY_AUTO, summary: 'The insurer must furnish proof-of-loss forms and respond to a proof of loss within 90 days; the prevailing party may recover attorney fees.' },
+  ],
+  OR: [
+    { citation: 'Or. Rev. Stat. § 746.230', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Or. Rev. Stat. § 742.061', topic: 'bad_faith', lines: null, summary: 'Attorney fees are allowed when settlement is not made within 6 months after proof of loss and the policyholder recovers more than any tender.' },
+    { citation: 'Or. Rev. Stat. § 742.240', topic: 'suit_limitation', lines: PROPERTY, summary: 'Fire policies: suit must be brought within 2 years after the loss.' },
+  ],
+  PA: [
+    { citation: '40 Pa. Stat. § 1171.5(a)(10)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: '31 Pa. Code § 146.6', topic: 'prompt_payment', lines: null, summary: 'The insurer must complete its investigation within 30 days of notice of the claim or explain in writing why more time is needed.' },
+    { citation: '31 Pa. Code § 146.7', topic: 'prompt_payment', lines: null, summary: 'The insurer must accept or deny a claim within 15 working days after receiving a properly executed proof of loss.' },
+    { citation: '42 Pa. Cons. Stat. § 8371', topic: 'bad_faith', lines: null, summary: 'Court may award interest, punitive damages, costs and attorney fees when an insurer acts in bad faith toward its insured.' },
+  ],
+  PR: [
+    { citation: 'P.R. Laws Ann. tit. 26, § 2716a', topic: 'unfair_claims', lines: null, summary: 'Insurance Code provisions on unfair claim settlement practices.' },
+  ],
+  RI: [
+    { citation: 'R.I. Gen. Laws § 27-9.1-4', topic: 'unfair_claims', lines: null, summary: 'Unfair Claims Settlement Practices Act: lists prohibited claim practices.' },
+    { citation: 'R.I. Gen. Laws § 9-1-33', topic: 'bad_faith', lines: null, summary: 'Civil action against an insurer that wrongfully and in bad faith refuses to pay or settle a claim.' },
+  ],
+  SC: [
+    { citation: 'S.C. Code Ann. § 38-59-20', topic: 'unfair_claims', lines: null, summary: 'Lists improper claim practices.' },
+    { citation: 'S.C. Code Ann. § 38-59-40', topic: 'bad_faith', lines: null, summary: 'Attorney fees are allowed when an insurer refuses without reasonable cause to pay a claim within 90 days after demand.' },
+  ],
+  SD: [
+    { citation: 'S.D. Codified Laws § 58-33-67', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claims practices.' },
+    { citation: 'S.D. Codified Laws § 58-12-3', topic: 'bad_faith', lines: null, summary: 'Attorney fees are allowed when an insurer\'s refusal to pay the full amount of a loss is vexatious or without reasonable cause.' },
+  ],
+  TN: [
+    { citation: 'Tenn. Code Ann. § 56-8-105', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claims settlement practices.' },
+    { citation: 'Tenn. Code Ann. § 56-7-105', topic: 'bad_faith', lines: null, summary: 'Bad-faith penalty of up to 25% when an insurer refuses to pay a loss within 60 days after a formal demand.' },
+  ],
+  TX: [
+    { citation: 'Tex. Ins. Code § 541.060', topic: 'unfair_claims', lines: null, summary: 'Unfair settlement practices, including failing to attempt a prompt, fair settlement when liability is reasonably clear and failing to explain a denial.' },
+    { citation: 'Tex. Ins. Code § 542.055', topic: 'prompt_payment', lines: null, summary: 'The insurer must acknowledge the claim, begin its investigation and request the items it needs within 15 days after notice of the claim.' },
+    { citation: 'Tex. Ins. Code § 542.056', topic: 'prompt_payment', lines: null, summary: 'The insurer must accept or reject the claim in writing within 15 business days after receiving all items it requested.' },
+    { citation: 'Tex. Ins. Code § 542.058', topic: 'prompt_payment', lines: null, summary: 'Delaying payment for more than 60 days after receiving all required items violates the prompt payment statute.' },
+    { citation: 'Tex. Ins. Code § 542.060', topic: 'prompt_payment', lines: null, summary: 'An insurer that violates the prompt payment statute owes interest damages and reasonable attorney fees.' },
+    { citation: 'Tex. Ins. Code ch. 4202', topic: 'appeal_rights', lines: HEALTH, summary: 'Independent review organizations for adverse determinations by health insurers.' },
+    { citation: 'Tex. Civ. Prac. & Rem. Code § 16.070', topic: 'suit_limitation', lines: PROPERTY, summary: 'A policy may not limit the time to sue to less than 2 years after the claim accrues.' },
+  ],
+  UT: [
+    { citation: 'Utah Code Ann. § 31A-26-303', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Utah Admin. Code r. 590-190', topic: 'prompt_payment', lines: PROPERTY_AUTO, summary: 'Unfair property, liability and title claims settlement practices rule, including time limits for deciding claims.' },
+  ],
+  VT: [
+    { citation: 'Vt. Stat. Ann. tit. 8, § 4724(9)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+  ],
+  VA: [
+    { citation: 'Va. Code Ann. § 38.2-510', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Va. Code Ann. § 38.2-209', topic: 'bad_faith', lines: null, summary: 'Attorney fees and costs are allowed when an insurer denies coverage or refuses to pay in bad faith.' },
+    { citation: 'Va. Code Ann. § 38.2-2105', topic: 'suit_limitation', lines: PROPERTY, summary: 'Fire policies: suit must be brought within 2 years after the loss.' },
+  ],
+  WA: [
+    { citation: 'Wash. Rev. Code § 48.30.015', topic: 'bad_faith', lines: null, summary: 'Insurance Fair Conduct Act: action for unreasonable denial of coverage or payment of benefits, with a 20-day notice to the insurer and the Insurance Commissioner first.' },
+    { citation: 'Wash. Admin. Code § 284-30-330', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claims settlement practices.' },
+    { citation: 'Wash. Admin. Code § 284-30-370', topic: 'prompt_payment', lines: null, summary: 'The insurer must complete its investigation within 30 days after notice of the claim unless it cannot reasonably do so.' },
+    { citation: 'Wash. Admin. Code § 284-30-380', topic: 'prompt_payment', lines: null, summary: 'The insurer must accept or deny a claim within 15 working days after receiving a properly executed proof of loss.' },
+    { citation: 'Wash. Rev. Code § 48.18.200', topic: 'suit_limitation', lines: PROPERTY, summary: 'A policy may not limit the time to sue to less than 1 year after the loss.' },
+  ],
+  WV: [
+    { citation: 'W. Va. Code § 33-11-4(9)', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+  ],
+  WI: [
+    { citation: 'Wis. Stat. § 628.46', topic: 'prompt_payment', lines: null, summary: 'Claims are overdue if not paid within 30 days after written notice of the claim and the amount of loss; overdue payments bear 12% simple interest.' },
+    { citation: 'Wis. Admin. Code Ins § 6.11', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+  ],
+  WY: [
+    { citation: 'Wyo. Stat. Ann. § 26-13-124', topic: 'unfair_claims', lines: null, summary: 'Lists unfair claim settlement practices.' },
+    { citation: 'Wyo. Stat. Ann. § 26-15-124', topic: 'bad_faith', lines: null, summary: 'Attorney fees and interest are allowed when an insurer unreasonably refuses to pay a claim within 45 days after proof of loss.' },
+  ],
+};
+
+// Citation forms recognized in text. Each pattern captures the section (or chapter) number in group 1;
+// longer, more specific forms come first so "29 C.F.R. § 2560.503-1" is read once, not twice.
+const NUMBER = '(\\d[\\w.:/-]*)';
+const CITATION_PATTERNS = [
+  new RegExp(`\\b\\d+\\s*(?:C\\.?\\s?F\\.?\\s?R\\.?|U\\.?\\s?S\\.?\\s?C\\.?)\\s*(?:§+\\s*)?${NUMBER}`, 'gd'),
+  new RegExp(`\\b\\d+\\s+ILCS\\s+${NUMBER}`, 'gd'),
+  new RegExp(`\\b\\d+\\s+N\\.?Y\\.?C\\.?R\\.?R\\.?\\s*(?:(?:Part|pt\\.|§+)\\s*)?${NUMBER}`, 'gd'),
+  new RegExp(`\\b(?:ch\\.|c\\.|[Cc]hapter)\\s*(\\d+[A-Z]?)\\b(?:,\\s*§+\\s*\\d[\\w.:/-]*)?`, 'gd'),
+  new RegExp(`\\b(?:MCL|ORS|RCW|WAC|KRS|NRS|A\\.R\\.S\\.|O\\.C\\.G\\.A\\.|La\\.?\\s?R\\.?\\s?S\\.?|Admin\\.\\s*Code(?:\\s*(?:r\\.|Rule|Ins))?)\\s*(?:§+\\s*)?${NUMBER}`, 'gd'),
+  new RegExp(`§+\\s*${NUMBER}`, 'gd'),
+  new RegExp(`\\bSection\\s+${NUMBER}(?=[^.\\n]{0,60}\\b(?:Code|Statutes?|Laws?|Act|Regulations?)\\b)`, 'gd'),
+];
+
+// Words directly before a section mark that may belong to the citation ("Tex. Ins. Code § ...")
+const CODE_NAME_BEFORE = /(?<![\w.§-])(?:(?:[A-Z][\w&'.]*|tit\.|\d+[A-Z-]*|&),?\s+){1,7}$/;
+
+// Words a code name is made of: every word of the citations in the tables ("Tex.", "Ins.", "Code"),
+// spelled-out forms and state names. A capitalized word before them ("Under", "See", the end of
+// the previous sentence) is not part of the citation.
+const CODE_WORDS = new Set([
+  ...[...FEDERAL_REGULATIONS, ...Object.values(STATE_REGULATIONS).flat()]
+    .flatMap(entry => entry.citation.split(/\s+/))
+    .map(word => word.replace(/,$/, '').toLowerCase())
+    .filter(word => /[a-z]/.test(word) && !/\d/.test(word)),
+  'code', 'codes', 'laws', 'law', 'statutes', 'general', 'revised', 'compiled', 'consolidated', 'codified',
+  'annotated', 'insurance', 'health', 'safety', 'administrative', 'regulations', 'rules', 'title', 'district', 'columbia',
+  ...Object.values(STATE_RULES).flatMap(rule => rule.name.toLowerCase().split(/\s+/)),
+]);
+
+// Words that say what kind of unit is cited rather than which code
+const UNIT_WORDS = new Set(['ann', 'annotated', 'section', 'sec', 'ch', 'chapter', 'c', 'part', 'pt', 'r', 'rule']);
+
+function isCodeWord(word) {
+  return /[&\d]/.test(word) || CODE_WORDS.has(word.trim().replace(/,$/, '').toLowerCase());
+}
+
+// Drop leading sentence words from the words before a citation
+function codeNamePrefix(words) {
+  const tokens = words.split(/(?<=\s)(?=\S)/);
+  const first = tokens.findIndex(isCodeWord);
+  return first === -1 ? '' : tokens.slice(first).join('');
+}
+
+// "Tex. Ins. Code Ann. §" and "Tex. Ins. Code §" name the same code: "tex ins code"
+function normalizeCode(codeName) {
+  return String(codeName).toLowerCase().replace(/§/g, ' ').replace(/\./g, '').replace(/,/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !UNIT_WORDS.has(word))
+    .join(' ');
+}
+
+function normalizeKey(number) {
+  return String(number).replace(/[.:/-]+$/, '').toLowerCase();
+}
+
+function entriesFor(code) {
+  return (STATE_REGULATIONS[code] || []).map(entry => ({ ...entry, jurisdiction: STATE_RULES[code]?.name || code }));
+}
+
+// Entries for the policyholder's state and line of coverage, plus federal rules for employer plans
+// and health coverage. An unknown line gets the state's general entries only.
+function relevantRegulations({ state = null, coverageLine = 'unknown' } = {}) {
+  const code = normalizeState(state);
+  const applies = entry => !entry.lines || entry.lines.includes(coverageLine);
+  const stateEntries = code ? entriesFor(code).filter(applies) : [];
+  const federalEntries = FEDERAL_REGULATIONS.filter(entry => entry.lines.includes(coverageLine)).map(entry => ({ ...entry, jurisdiction: 'Federal' }));
+  return [...stateEntries, ...federalEntries];
+}
+
+// Every citation in the text: { text, code, key, start, end }. code is the normalized code name,
+// empty for a bare "§ 541.060" or "Section 541.060".
+function extractCitations(text) {
+  const source = String(text || '');
+  const found = [];
+  const taken = [];
+  for (const pattern of CITATION_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      let start = match.index;
+      // A period or dash after the number ends the sentence, not the section
+      const end = match.index + match[0].replace(/[.:/-]+$/, '').length;
+      if (taken.some(([from, to]) => start < to && end > from)) continue;
+      taken.push([start, end]);
+      const before = source.slice(Math.max(0, start - 80), start).match(CODE_NAME_BEFORE);
+      if (before) start -= codeNamePrefix(before[0]).length;
+      found.push({
+        text: source.slice(start, end).trim(),
+        code: normalizeCode(source.slice(start, match.indices[1][0])),
+        key: normalizeKey(match[1]),
+        start,
+        end,
+      });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+function entryCitations(entries) {
+  return entries.flatMap(entry => extractCitations(entry.citation));
+}
+
+// The same section, a section inside a cited chapter, or a chapter that contains a cited section
+function sameSection(key, known) {
+  return key === known
+    || key.startsWith(`${known}.`) || key.startsWith(`${known}/`)
+    || known.startsWith(`${key}.`) || known.startsWith(`${key}/`);
+}
+
+// A citation is known when an entry names the same code and section
+function isKnownCitation(citation, known) {
+  return known.some(other => other.code === citation.code && sameSection(citation.key, other.key));
+}
+
+// Bounds of the parenthetical around [start, end), or null
+function enclosingParens(text, start, end) {
+  let depth = 0;
+  let open = -1;
+  for (let i = start - 1; i >= 0 && text[i] !== '\n'; i--) {
+    if (text[i] === ')') depth++;
+    if (text[i] === '(') {
+      if (depth === 0) { open = i; break; }
+      depth--;
+    }
+  }
+  if (open === -1) return null;
+  depth = 0;
+  for (let i = end; i < text.length && text[i] !== '\n'; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')') {
+      if (depth === 0) return [open, i + 1];
+      depth--;
+    }
+  }
+  return null;
+}
+
+// Periods that don't end a sentence: initials, "U.S.", "e.g." and common titles
+const ABBREVIATION_BEFORE = /(?:^|[\s(])(?:[A-Z]|[A-Za-z]+\.[A-Za-z.]*|Mr|Mrs|Ms|Dr|No|Inc|Co|Corp|Ltd|St|vs)$/;
+
+// Bounds of the sentence around [start, end) within its line, with the spaces after it. Periods inside
+// citations ("Tex. Ins. Code") don't end a sentence. A sentence that fills its line takes the line.
+function enclosingSentence(text, start, end, citations) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const newline = text.indexOf('\n', end);
+  const lineEnd = newline === -1 ? text.length : newline;
+  const line = text.slice(lineStart, lineEnd);
+
+  let from = lineStart;
+  let to = lineEnd;
+  const boundary = /[.!?]["'”’)]*(\s+)(?=[^\sa-z])/g;
+  let match;
+  while ((match = boundary.exec(line)) !== null) {
+    const at = lineStart + match.index;
+    if (citations.some(citation => at >= citation.start && at < citation.end)) continue;
+    if (line[match.index] === '.' && ABBREVIATION_BEFORE.test(line.slice(0, match.index))) continue;
+    const after = at + match[0].length;
+    if (after <= start) from = after;
+    else if (at >= end) { to = after; break; }
+  }
+
+  if (from === lineStart && to >= lineEnd) {
+    // The whole line goes; a blank line on each side becomes one
+    const nextLine = newline === -1 ? lineEnd : lineEnd + 1;
+    const blankAround = text.slice(lineStart - 2, lineStart) === '\n\n' && text[nextLine] === '\n';
+    return [lineStart, blankAround ? nextLine + 1 : nextLine];
+  }
+  // The last sentence of a line takes the spaces before it instead
+  if (to >= lineEnd) while (from > lineStart && text[from - 1] === ' ') from--;
+  return [from, to];
+}
+
+// Check every statute or regulation the text cites against the allowed entries. A citation matches an
+// entry with the same code name and section; a bare "§ 541.060" matches a section the letter already
+// cites by its code. An unverified citation is removed with the parenthetical around it, or with its
+// sentence when it names a code in running text, unless a verified citation shares that parenthetical
+// or sentence; the rest are flagged.
+function checkCitations(text, entries) {
+  const source = String(text || '');
+  const known = entryCitations(entries);
+  const citations = extractCitations(source);
+  const verified = citations.filter(citation => citation.code && isKnownCitation(citation, known));
+  const unverified = [];
+  for (const citation of citations) {
+    if (verified.includes(citation)) continue;
+    if (!citation.code && verified.some(other => sameSection(citation.key, other.key))) verified.push(citation);
+    else unverified.push(citation);
+  }
+  verified.sort((a, b) => a.start - b.start);
+
+  const removals = [];
+  for (const citation of unverified) {
+    // A bare "Section 4" may be a policy section, so its sentence stays
+    const range = enclosingParens(source, citation.start, citation.end)
+      || (citation.code ? enclosingSentence(source, citation.start, citation.end, citations) : null);
+    if (!range) continue;
+    const holdsVerified = verified.some(other => other.start >= range[0] && other.end <= range[1]);
+    if (!holdsVerified && !removals.some(([from, to]) => from === range[0] && to === range[1])) removals.push(range);
+  }
+  // A parenthetical inside a removed sentence goes with the sentence
+  const outer = removals.filter(range => !removals.some(other => other !== range && other[0] <= range[0] && other[1] >= range[1]));
+
+  let cleaned = source;
+  for (const [from, to] of [...outer].sort((a, b) => b[0] - a[0])) {
+    const spaceBefore = from > 0 && cleaned[from - 1] === ' ' && cleaned[from] === '(' ? 1 : 0;
+    cleaned = cleaned.slice(0, from - spaceBefore) + cleaned.slice(to);
+  }
+  const isRemoved = citation => outer.some(([from, to]) => citation.start >= from && citation.end <= to);
+
+  return {
+    text: cleaned,
+    citationCheck: {
+      regulationsVersion: REGULATIONS_VERSION,
+      checked: citations.length,
+      verified: verified.map(citation => citation.text),
+      unverified: unverified.filter(citation => !isRemoved(citation)).map(citation => citation.text),
+      removed: unverified.filter(isRemoved).map(citation => citation.text),
+    },
+  };
+}
+
+// Prompt text: one line per entry
+function describeRegulations(entries) {
+  return entries.map(entry => `- ${entry.citation} (${entry.jurisdiction}, ${TOPICS[entry.topic]}): ${entry.summary}`).join('\n');
+}
+
+// Prompt text telling the model how to cite law
+const REGULATION_INSTRUCTION = 'Cite statutes and regulations only from the STATE AND FEDERAL LAW list, written exactly as they appear there, and only where the summary supports the point. Never cite any other statute, regulation, section number or case. If the list is empty, do not cite any law by number.';
+
+module.exports = {
+  REGULATIONS_VERSION,
+  TOPICS,
+  FEDERAL_REGULATIONS,
+  STATE_REGULATIONS,
+  REGULATION_INSTRUCTION,
+  relevantRegulations,
+  extractCitations,
+  checkCitations,
+  describeRegulations,
+};
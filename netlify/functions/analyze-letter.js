@@ -1,18 +1,43 @@
 // Import dependencies with error handling
-let OpenAI, fetch, pdfParse, mammoth, Tesseract, getSupabaseAdmin;
+let llm, documentExtraction, getSupabaseAdmin, taxonomy, claimEntities, appealDeadlines, analysisSchema, confidenceScoring, caseDocuments, redaction, policyIndex, languages, auth;
 
 try {
-  OpenAI = require("openai");
-  fetch = require("node-fetch");
-  pdfParse = require("pdf-parse");
-  mammoth = require("mammoth");
-  Tesseract = require("tesseract.js");
+  llm = require("./_llm.js");
+  documentExtraction = require("./_document-extraction.js");
   const supabaseModule = require("./_supabase.js");
   getSupabaseAdmin = supabaseModule.getSupabaseAdmin;
+  taxonomy = require("./_denial-taxonomy.js");
+  claimEntities = require("./_claim-entities.js");
+  appealDeadlines = require("./_appeal-deadlines.js");
+  analysisSchema = require("./_analysis-schema.js");
+  confidenceScoring = require("./_confidence.js");
+  caseDocuments = require("./_case-documents.js");
+  redaction = require("./_redaction.js");
+  policyIndex = require("./_policy-index.js");
+  languages = require("./_languages.js");
+  auth = require("./_auth.js");
 } catch (importError) {
   console.error("Import error:", importError);
 }
 
+// Extract the text of one case document; errors are recorded on the document, not thrown
+async function extractDocumentText(doc) {
+  let text = doc.text || "";
+  const source = doc.fileUrl ? { fileUrl: doc.fileUrl } : doc.imageUrl ? { imageUrl: doc.imageUrl } : null;
+  if (!source) return { text: text.trim(), pageTexts: [text], type: 'text', method: 'pasted', ocrConfidence: null, error: null };
+
+  try {
+    const extracted = await documentExtraction.extractDocument(source);
+    console.log(`Extracted ${doc.id} as ${extracted.type} via ${extracted.method}, text length:`, extracted.text.length);
+    extracted.warnings.forEach(warning => console.log(`Extraction warning for ${doc.id}:`, warning));
+    text += "\n\n" + extracted.text;
+    return { text: text.trim(), pageTexts: extracted.pageTexts, type: extracted.type, method: extracted.method, ocrConfidence: extracted.ocrConfidence, error: null };
+  } catch (extractError) {
+    console.error(`Extraction error for ${doc.id}:`, extractError);
+    return { text: text.trim(), pageTexts: [text], type: null, method: null, ocrConfidence: null, error: `${extractError.message} - please paste text manually` };
+  }
+}
+
 exports.handler = async (event) => {
   console.log('=== ANALYZE LETTER FUNCTION START ===');
   console.log('HTTP Method:', event.httpMethod);
@@ -20,15 +45,15 @@ exports.handler = async (event) => {
   console.log('Event body length:', event.body ? event.body.length : 0);
   
   // Check if dependencies loaded successfully
-  if (!OpenAI) {
-    console.error('OpenAI not loaded');
+  if (!llm) {
+    console.error('LLM provider layer not loaded');
     return {
       statusCode: 500,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*'
       },
-      body: JSON.stringify({ error: 'OpenAI dependency not loaded' })
+      body: JSON.stringify({ error: 'LLM provider layer not loaded' })
     };
   }
   
@@ -39,7 +64,7 @@ exports.handler = async (event) => {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: ''
@@ -51,265 +76,279 @@ exports.handler = async (event) => {
     const parsedBody = JSON.parse(event.body || "{}");
     console.log('Parsed body keys:', Object.keys(parsedBody));
     
-    const { text, fileUrl, imageUrl, userEmail = null, priceId = process.env.STRIPE_PRICE_RESPONSE, stripeSessionId = null } = parsedBody;
-    let letterText = text || "";
-    
-    console.log('Letter text length:', letterText.length);
-    console.log('File URL provided:', !!fileUrl);
-    console.log('Image URL provided:', !!imageUrl);
+    const { userInfo = {}, policyholderState = null, priceId = process.env.STRIPE_PRICE_RESPONSE, stripeSessionId = null, preferredLanguage: requestedLanguage = null } = parsedBody;
+    const languageError = languages.validateLanguage(requestedLanguage, 'preferredLanguage');
+    if (languageError) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: "Invalid preferred language", details: [languageError] })
+      };
+    }
+    const documents = caseDocuments.normalizeDocuments(parsedBody);
 
-    // --- STEP 1: Extract text from file if provided ---
-    if (fileUrl) {
+    // The case owner and saved preferences come from the session, never from an email in the body
+    let userEmail = null;
+    if (getSupabaseAdmin) {
       try {
-        console.log('Processing file URL:', fileUrl);
-        
-        if (!pdfParse || !mammoth) {
-          console.log('File processing dependencies not available, skipping file processing');
-          console.log('pdfParse available:', !!pdfParse);
-          console.log('mammoth available:', !!mammoth);
-          letterText += "\n\n[File uploaded but processing not available - please paste text manually]";
-        } else {
-          console.log('File processing dependencies available');
-          // Check if it's a data URL (base64 encoded file)
-          if (fileUrl.startsWith('data:')) {
-            const base64Data = fileUrl.split(',')[1];
-            const buffer = Buffer.from(base64Data, 'base64');
-            
-            if (fileUrl.includes('application/pdf')) {
-              console.log('Processing PDF file, buffer size:', buffer.length);
-              const parsed = await pdfParse(buffer);
-              console.log('PDF parsed successfully, text length:', parsed.text.length);
-              letterText += "\n\n" + parsed.text;
-              console.log('PDF text extracted, length:', parsed.text.length);
-            } else if (fileUrl.includes('application/vnd.openxmlformats') || fileUrl.includes('application/msword')) {
-              const { value } = await mammoth.extractRawText({ buffer: buffer });
-              letterText += "\n\n" + value;
-              console.log('DOCX text extracted, length:', value.length);
-            }
-          } else {
-            // Handle regular URL
-            const fileResponse = await fetch(fileUrl);
-            if (!fileResponse.ok) {
-              throw new Error(`Failed to fetch file: ${fileResponse.statusText}`);
-            }
-            const fileBuffer = await fileResponse.arrayBuffer();
-            const uint8 = new Uint8Array(fileBuffer);
-
-            if (fileUrl.endsWith(".pdf")) {
-              const parsed = await pdfParse(uint8);
-              letterText += "\n\n" + parsed.text;
-            } else if (fileUrl.endsWith(".doc") || fileUrl.endsWith(".docx")) {
-              const { value } = await mammoth.extractRawText({ buffer: Buffer.from(uint8) });
-              letterText += "\n\n" + value;
-            }
-          }
-        }
-      } catch (fileError) {
-        console.error("File processing error:", fileError);
-        letterText += "\n\n[File processing error - please paste text manually]";
+        const user = await auth.authenticatedUser(event.headers, getSupabaseAdmin());
+        userEmail = user ? user.email : null;
+      } catch (sessionError) {
+        console.error("Session error:", sessionError);
+        console.log('Continuing without a signed-in user');
       }
     }
+    
+    console.log('Documents provided:', documents.map(doc => `${doc.id}:${doc.role}`).join(', ') || 'none');
 
-    // --- STEP 2: Extract text from image if provided ---
-    if (imageUrl) {
-      try {
-        console.log('Processing image URL:', imageUrl.substring(0, 50) + '...');
-        
-        if (!Tesseract) {
-          console.log('Image processing dependencies not available, skipping image processing');
-          letterText += "\n\n[Image uploaded but OCR processing not available - please paste text manually]";
-        } else {
-          // Check if it's a data URL (base64 encoded image)
-          if (imageUrl.startsWith('data:')) {
-            const { data: { text: extractedText } } = await Tesseract.recognize(imageUrl, "eng");
-            letterText += "\n\n" + extractedText;
-            console.log('Image text extracted, length:', extractedText.length);
-          } else {
-            // Handle regular URL
-            const { data: { text: extractedText } } = await Tesseract.recognize(imageUrl, "eng");
-            letterText += "\n\n" + extractedText;
-          }
-        }
-      } catch (imageError) {
-        console.error("Image processing error:", imageError);
-        letterText += "\n\n[Image processing error - please paste text manually]";
-      }
+    // --- STEP 1: Extract text from each document separately ---
+    for (const doc of documents) {
+      const extracted = await extractDocumentText(doc);
+      doc.text = extracted.text;
+      doc.pageTexts = extracted.pageTexts;
+      doc.type = extracted.type;
+      doc.method = extracted.method;
+      doc.ocrConfidence = extracted.ocrConfidence;
+      doc.error = extracted.error;
+      console.log(`Document ${doc.id} text length:`, doc.text.length, doc.error ? `(error: ${doc.error})` : '');
     }
 
+    // --- STEP 2: Combine the documents into one case ---
+    const letterText = caseDocuments.combineDocuments(documents);
+    const ocrConfidences = documents.map(doc => doc.ocrConfidence).filter(c => typeof c === 'number');
+
     if (!letterText.trim()) {
       return {
         statusCode: 400,
-        body: JSON.stringify({ error: "No text provided or extracted from files." }),
+        body: JSON.stringify({
+          error: "No text provided or extracted from files.",
+          documents: documents.map(doc => ({ id: doc.id, name: doc.name, error: doc.error }))
+        }),
       };
     }
 
-    // --- STEP 3: Analyze the letter using OpenAI ---
-    console.log('Starting OpenAI analysis...');
-    console.log('Environment variables available:', Object.keys(process.env).filter(key => key.includes('OPENAI')));
+    // The denial's language (the insurer's, used for the letter) and the user's, used for the plain-language fields.
+    // The preference comes from the request, else the signed-in user's saved preferences, else English.
+    const denialDocument = documents.find(doc => doc.role === 'denial_letter' && doc.text);
+    const denialLanguage = languages.detectLanguage(denialDocument ? denialDocument.text : letterText);
+    let preferredLanguage = requestedLanguage;
+    if (!preferredLanguage && userEmail && getSupabaseAdmin) {
+      try {
+        preferredLanguage = await languages.loadPreferredLanguage(getSupabaseAdmin(), userEmail);
+      } catch (preferencesError) {
+        console.error("Preferred language error:", preferencesError);
+        console.log('Continuing with the default language');
+      }
+    }
+    preferredLanguage = preferredLanguage || languages.DEFAULT_LANGUAGE;
+    console.log('Denial language:', denialLanguage.language, `(${denialLanguage.confidence})`, 'preferred language:', preferredLanguage);
+
+    // Pattern-based classification and claim facts, used to find the cited policy clauses
+    const detectedClassification = taxonomy.classifyDenial(letterText);
+    const detectedEntities = caseDocuments.extractCaseEntities(documents);
+
+    // Index any full policy and retrieve the clauses this denial relies on
+    const policySections = policyIndex.splitDocuments(documents.filter(caseDocuments.isPolicyDocument));
+    const retrievedQuotes = policyIndex.findPolicyQuotes(policySections, {
+      citedSections: detectedEntities.entities.policySections,
+      denialCategory: detectedClassification.denialCategory,
+      reason: letterText
+    });
+    console.log('Policy sections indexed:', policySections.length, 'clauses retrieved:', retrievedQuotes.length);
+
+    // --- STEP 3: Analyze the letter with the configured LLM provider ---
+    console.log('Starting LLM analysis...');
     
-    // Check if OpenAI API key is available
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OpenAI API key not found');
-      console.error('Available env vars:', Object.keys(process.env).slice(0, 10));
+    // At least one provider in LLM_PROVIDERS must be usable (the openai provider needs OPENAI_API_KEY)
+    if (!llm.isConfigured()) {
+      console.error('No LLM provider configured');
       return {
         statusCode: 500,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*'
         },
-        body: JSON.stringify({ error: 'OpenAI API key not configured' })
+        body: JSON.stringify({ error: 'No LLM provider configured' })
       };
     }
 
-    console.log('OpenAI API key found, initializing client...');
-    // Initialize OpenAI client
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    console.log('OpenAI client initialized successfully');
+    const coverageKeys = Object.keys(taxonomy.COVERAGE_LINES).join(', ');
+    const categoryKeys = Object.keys(taxonomy.DENIAL_CATEGORIES).join(', ');
 
     const systemPrompt = `
-      You are a senior IRS Taxpayer Advocate with 25+ years of experience specializing in:
-      - CP2000, CP2001, CP2002, CP2003 notices (Proposed Assessments)
-      - 1099-K, 1099-MISC, 1099-NEC discrepancies
-      - Audit notices (CP75, CP2001, Letter 2205)
-      - Underpayment penalties (CP14, CP15, CP16)
-      - Identity verification (5071C, 5747C, 4883C)
-      - Math error notices (CP2002, CP2003)
-      - Balance due notices (CP14, CP15, CP16, CP161)
-      - Refund holds and offsets (CP53, CP54, CP55)
+      You are a senior insurance claims consultant and policyholder advocate with 20+ years of experience reviewing claim denials across:
+      - Homeowners and renters property claims (wind, hail, water, fire, theft)
+      - Auto claims (collision, comprehensive, UM/UIM, PIP)
+      - Health plan denials (prior authorization, medical necessity, out-of-network)
+      - Life insurance claims (contestability, beneficiary disputes)
+      - Disability claims (own/any occupation, elimination periods)
+      - Commercial property, liability and business interruption claims
       
-      Current IRS procedures as of 2024:
-      - Most notices have 30-day response deadlines
-      - Online response options available at irs.gov
-      - Payment plans available for most balances
-      - Penalty abatement possible for reasonable cause
-      - Identity verification can be done online
-      - Most correspondence can be handled without visiting an office
+      Analyze this insurance claim denial case. The case may include several documents (the denial letter, an explanation of benefits, the adjuster's estimate, policy declaration pages), each introduced by a header such as "=== [D1] Denial letter: letter.pdf ===". Treat them together as one case: take the denial reason and dates from the denial letter, and use the other documents for amounts, coverages and supporting facts. When summary, reason or nextSteps state a fact, cite the document it came from, e.g. "[D2]".
       
-      Analyze this IRS letter with expert-level knowledge and provide a comprehensive response in the following JSON format. Vary your writing style and approach while maintaining accuracy:
+      Provide a comprehensive response in the following JSON format:
       
       {
-        "letterType": "Specific notice type (e.g., CP2000, CP2001, 1099-K, Audit Notice, etc.)",
-        "summary": "Plain English explanation of what this letter means and its implications",
-        "reason": "Detailed explanation of why the taxpayer received this letter",
-        "requiredActions": "Specific actions needed, deadlines, and required documentation",
-        "nextSteps": "Step-by-step recommended response actions with priorities",
-        "confidence": 85,
+        "letterType": "Short description of the letter (e.g., Homeowners Claim Denial, Health Plan Prior Authorization Denial)",
+        "coverageLine": "One of: ${coverageKeys}, unknown",
+        "denialCategory": "One of: ${categoryKeys}, unknown",
+        "summary": "Plain English explanation of what this denial means for the policyholder",
+        "reason": "The insurer's stated reason for the denial, including any policy provisions cited",
+        "requiredActions": "Specific actions needed, deadlines, and documentation to gather",
+        "nextSteps": "Step-by-step recommended appeal actions with priorities",
         "urgency": "High/Medium/Low based on deadlines and amounts",
-        "estimatedResolution": "Realistic timeframe for resolution",
-        "penaltyRisk": "Potential penalties if not addressed",
-        "paymentOptions": "Available payment methods and plans",
-        "appealRights": "Information about appeal rights and procedures"
+        "estimatedResolution": "Realistic timeframe for the appeal or review",
+        "appealRights": "Appeal, review or complaint rights stated in the letter",
+        "entities": {
+          "claimNumber": "Claim number exactly as printed, or null",
+          "policyNumber": "Policy, member or certificate number exactly as printed, or null",
+          "insurer": { "name": "Insurer name, or null", "address": "Insurer mailing address, or null" },
+          "adjuster": { "name": "Adjuster or claims examiner name, or null", "phone": "Phone, or null", "email": "Email, or null" },
+          "dateOfLoss": "Date of loss or date of service as YYYY-MM-DD, or null",
+          "denialDate": "Date of the denial letter as YYYY-MM-DD, or null",
+          "amountClaimed": "Amount claimed or billed as a number, or null",
+          "amountPaid": "Amount paid as a number, or null",
+          "policySections": ["Policy sections, exclusions or conditions cited, exactly as written"]
+        }
       }
       
-      Be extremely specific about:
-      - Exact deadlines and response requirements
-      - Dollar amounts and calculations
-      - Required supporting documentation
-      - Online vs. mail response options
-      - Penalty implications and abatement possibilities
-      - Payment plan options and requirements
+      Be specific about:
+      - The exact policy provisions, exclusions or conditions the insurer relies on
+      - Deadlines stated in the letter
+      - Dollar amounts claimed, paid and disputed
+      - Evidence that would rebut the stated denial reason
       
-      Provide actionable, expert-level advice that helps the taxpayer understand their situation clearly and take appropriate action. Vary your explanation style and tone to make each analysis unique while being equally helpful.
+      When POLICY EXCERPTS from the policyholder's own policy follow the case documents, quote policy wording only from them: copy the words exactly inside quotation marks, followed by the section and page and the excerpt id, e.g. "We do not insure loss caused by wear and tear" (SECTION I - EXCLUSIONS › 3. Wear and Tear, page 2) [P5]. Never present paraphrased or remembered policy language as a quote.
+
+      The case documents are written in ${languages.describeLanguage(denialLanguage.language)}. Write "summary" and "nextSteps" in ${languages.describeLanguage(preferredLanguage)}, the policyholder's preferred language, and every other text field in English. Copy entities and quoted policy wording exactly as printed, in the language they are printed in.
+
+      Use "unknown" for coverageLine or denialCategory only when the letter gives no basis to choose. Use null for any entity that is not printed in the letter. Do not invent facts that are not in the letter.
+
+      ${redaction.TOKEN_INSTRUCTION}
     `;
 
-    console.log('Making OpenAI API call...');
-    console.log('Letter text length for API:', letterText.length);
+    // Redact personal data before the text leaves our backend; values are restored below
+    const vault = redaction.createVault();
+    const caseText = retrievedQuotes.length
+      ? `${letterText}\n\n=== POLICY EXCERPTS (verbatim from the policyholder's policy) ===\n${policyIndex.describePolicyQuotes(retrievedQuotes)}`
+      : letterText;
+    const promptText = redaction.redactText(vault, caseText);
+    const redactionAudit = [redaction.auditRecord(vault, "analyze-letter")];
+    console.log('Redacted personal data items:', redactionAudit[0].counts);
+
+    console.log('Making LLM call...');
+    console.log('Letter text length for API:', promptText.length);
     
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: letterText },
-      ],
+    const messages = [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: promptText },
+    ];
+    const completion = await llm.complete("analysis", {
+      messages,
+      response_format: analysisSchema.RESPONSE_FORMAT,
       temperature: 0.7,
       top_p: 0.9,
     });
 
-    console.log('OpenAI API call completed');
+    console.log(`LLM call completed (${completion.provider}, ${completion.model})`);
     console.log('Completion usage:', completion.usage);
     
-    let aiResponse = completion.choices?.[0]?.message?.content || "No response generated.";
-    
-    // Clean up markdown code blocks if present
-    if (aiResponse.includes('```json')) {
-      aiResponse = aiResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    }
-    
+    const aiResponse = completion.content;
     console.log('AI response length:', aiResponse.length);
-    
-    // Calculate confidence score based on token usage
-    const confidenceScore = Math.round(Math.max(60, Math.min(95, (1 - (completion.usage?.completion_tokens || 0) / 2048) * 100)));
-    
-    // Notice type recognition patterns
-    const noticeTypePatterns = {
-      'CP2000': /CP2000|Proposed Assessment.*Income/i,
-      'CP2001': /CP2001|Proposed Assessment.*Additional Tax/i,
-      'CP2002': /CP2002|Math Error/i,
-      'CP2003': /CP2003|Math Error.*Additional/i,
-      'CP14': /CP14|Balance Due/i,
-      'CP15': /CP15|Balance Due.*Final/i,
-      'CP16': /CP16|Balance Due.*Notice/i,
-      'CP75': /CP75|Audit|Examination/i,
-      'CP161': /CP161|Balance Due.*Final/i,
-      '1099-K': /1099-K|Payment Card|Third Party Network/i,
-      '1099-MISC': /1099-MISC|Miscellaneous Income/i,
-      '1099-NEC': /1099-NEC|Nonemployee Compensation/i,
-      '5071C': /5071C|Identity Verification/i,
-      '5747C': /5747C|Identity Verification/i,
-      '4883C': /4883C|Identity Verification/i,
-      'CP53': /CP53|Refund Hold/i,
-      'CP54': /CP54|Refund Offset/i,
-      'CP55': /CP55|Refund Offset/i
-    };
 
-    // Detect notice type from letter text
-    let detectedNoticeType = "Unknown";
-    for (const [type, pattern] of Object.entries(noticeTypePatterns)) {
-      if (pattern.test(letterText)) {
-        detectedNoticeType = type;
-        break;
+    // Validate against the declared schema; on failure make one repair pass with the errors
+    let parsed = analysisSchema.parseModelJson(aiResponse);
+    let validationErrors = parsed.error ? [parsed.error] : analysisSchema.validate(parsed.value);
+    let attempts = 1;
+
+    if (validationErrors.length) {
+      console.error('Analysis failed schema validation, attempting repair:', validationErrors);
+      try {
+        const repair = await llm.complete("analysis_repair", {
+          messages: [
+            ...messages,
+            { role: "assistant", content: aiResponse },
+            { role: "user", content: analysisSchema.repairInstruction(validationErrors) },
+          ],
+          response_format: analysisSchema.RESPONSE_FORMAT,
+          temperature: 0,
+        });
+        attempts++;
+        const repaired = analysisSchema.parseModelJson(repair.content);
+        const repairedErrors = repaired.error ? [repaired.error] : analysisSchema.validate(repaired.value);
+        // Keep the repaired reply if it parsed, even when a few fields still need defaults
+        if (!repaired.error) {
+          parsed = repaired;
+          validationErrors = repairedErrors;
+        }
+      } catch (repairError) {
+        console.error("Analysis repair pass failed:", repairError);
       }
     }
 
-    // Try to parse the AI response as JSON, fallback to plain text
-    let structuredAnalysis;
-    try {
-      structuredAnalysis = JSON.parse(aiResponse);
-      structuredAnalysis.confidence = confidenceScore;
-      
-      // Override with detected notice type if more specific
-      if (detectedNoticeType !== "Unknown" && structuredAnalysis.letterType === "Unknown") {
-        structuredAnalysis.letterType = detectedNoticeType;
-      }
-      
-      // Add additional fields if missing
-      if (!structuredAnalysis.penaltyRisk) {
-        structuredAnalysis.penaltyRisk = "Review notice for specific penalty information";
-      }
-      if (!structuredAnalysis.paymentOptions) {
-        structuredAnalysis.paymentOptions = "Contact IRS for payment plan options";
-      }
-      if (!structuredAnalysis.appealRights) {
-        structuredAnalysis.appealRights = "You have the right to appeal within 30 days";
-      }
-      
-    } catch (parseError) {
-      console.error("Failed to parse AI response as JSON:", parseError);
-      structuredAnalysis = {
-        letterType: detectedNoticeType,
-        summary: aiResponse,
-        reason: "Unable to parse structured response",
-        requiredActions: "Review the summary for details",
-        nextSteps: "Consider consulting a tax professional",
-        confidence: Math.max(60, confidenceScore - 10), // Lower confidence for parse errors
-        urgency: "Medium",
-        estimatedResolution: "Varies",
-        penaltyRisk: "Review notice for specific penalty information",
-        paymentOptions: "Contact IRS for payment plan options",
-        appealRights: "You have the right to appeal within 30 days"
-      };
+    // Keep valid model fields, default the rest, and record which is which
+    const { analysis: structuredAnalysis, fieldSources } = analysisSchema.applyDefaults(redaction.restoreDeep(vault, parsed.value));
+    structuredAnalysis.fieldSources = fieldSources;
+    structuredAnalysis.validation = { valid: validationErrors.length === 0, attempts, errors: validationErrors };
+
+    // Reconcile model and pattern classification
+    const classification = taxonomy.resolveClassification(structuredAnalysis, detectedClassification);
+    structuredAnalysis.classification = classification;
+    structuredAnalysis.coverageLine = classification.coverageLine;
+    structuredAnalysis.denialCategory = classification.denialCategory;
+    if (fieldSources.letterType === "default") {
+      structuredAnalysis.letterType = taxonomy.describeClassification(classification);
     }
 
+    // Merge claim entities; the model's reading wins where it disagrees with a pattern match
+    const { entities, sources: entitySources } = claimEntities.mergeEntities(
+      detectedEntities.entities,
+      structuredAnalysis.entities
+    );
+    structuredAnalysis.entities = entities;
+    structuredAnalysis.entitySources = entitySources;
+    structuredAnalysis.entityProvenance = caseDocuments.attributeEntities(entities, entitySources, detectedEntities.provenance, documents);
+    // Retrieve again with the sections and reason the model identified; keep the excerpts it was shown too
+    const policyQuotes = policyIndex.findPolicyQuotes(policySections, {
+      citedSections: entities.policySections,
+      denialCategory: classification.denialCategory,
+      reason: structuredAnalysis.reason
+    });
+    structuredAnalysis.policyQuotes = [...policyQuotes, ...retrievedQuotes.filter(quote => !policyQuotes.some(q => q.id === quote.id))];
+    structuredAnalysis.documents = documents.map(({ id, role, name }) => ({ id, role, roleLabel: caseDocuments.roleLabel(role), name }));
+
+    // Compute appeal, external review and suit-limitation deadlines from the local rules table
+    const deadlines = appealDeadlines.computeDeadlines({
+      denialDate: entities.denialDate,
+      dateOfLoss: entities.dateOfLoss,
+      // The city field is only used for the state it ends with ("Austin, TX 78701")
+      state: policyholderState || userInfo.state || appealDeadlines.stateFromCityLine(userInfo.cityStateZip || userInfo.city),
+      coverageLine: classification.coverageLine,
+      letterText
+    });
+    structuredAnalysis.deadlines = deadlines;
+    if (!structuredAnalysis.appealRights) {
+      structuredAnalysis.appealRights = appealDeadlines.describeDeadlines(deadlines);
+      fieldSources.appealRights = "deadlines";
+    }
+
+    // Score confidence from the evidence behind each part of the analysis
+    const confidenceBreakdown = confidenceScoring.scoreConfidence({
+      letterText,
+      ocrConfidences,
+      classification,
+      entitySources,
+      fieldSources,
+      deadlines
+    });
+    structuredAnalysis.confidence = confidenceBreakdown.overall;
+    structuredAnalysis.confidenceBreakdown = confidenceBreakdown;
+    structuredAnalysis.redaction = { total: redactionAudit[0].total, counts: redactionAudit[0].counts };
+    structuredAnalysis.language = { denial: denialLanguage.language, confidence: denialLanguage.confidence, preferred: preferredLanguage };
+
     // --- STEP 4: Store in Supabase (optional) ---
     let recordId = null;
     if (getSupabaseAdmin) {
@@ -323,7 +362,15 @@ exports.handler = async (event) => {
             price_id: priceId,
             letter_text: letterText,
             analysis: structuredAnalysis,
-            summary: structuredAnalysis.summary || aiResponse,
+            claim_entities: entities,
+            documents: caseDocuments.describeDocuments(documents),
+            policyholder_state: deadlines.state,
+            deadlines: deadlines,
+            redaction_audit: redactionAudit,
+            policy_sections: policySections.length ? policySections : null,
+            denial_language: denialLanguage.language,
+            preferred_language: preferredLanguage,
+            summary: structuredAnalysis.summary,
             status: "analyzed"
           })
           .select("id, created_at, status")
@@ -346,28 +393,30 @@ exports.handler = async (event) => {
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({
         message: "Analysis complete.",
         analysis: structuredAnalysis,
+        entities: entities,
+        deadlines: deadlines,
         recordId: recordId,
-        summary: structuredAnalysis.summary || aiResponse
+        summary: structuredAnalysis.summary
       }),
     };
   } catch (err) {
     console.error("Error in analyze-letter.js:", err);
     return {
-      statusCode: 500,
+      statusCode: err.statusCode || 500,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({ 
-        error: 'Internal server error',
+        error: err.statusCode ? err.message : 'Internal server error',
         details: err.message,
         stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
       }),
@@ -0,0 +1,122 @@
+const { getSupabaseAdmin } = require("./_supabase.js");
+const { pendingFactCheck, FACT_CHECK_COLUMNS } = require("./_fact-check.js");
+const { renderOptionsFor, letterFileName, downloadFileName, validateTheme, RENDER_COLUMNS } = require("./_letter-pdf.js");
+const { buildAppealPacket, validateBates } = require("./_appeal-packet.js");
+const { requireUser, requireOwner } = require("./_auth.js");
+
+exports.handler = async (event) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
+  try {
+    const { recordId = null, files = [], denial = null, theme = undefined, bates = undefined, fileName = null } = JSON.parse(event.body || '{}');
+
+    if (!recordId) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'recordId is required to build an appeal packet' })
+      };
+    }
+
+    const optionErrors = [
+      validateTheme(theme),
+      validateBates(bates),
+      Array.isArray(files) ? null : 'files must be a list of { exhibit, name, filePath | fileUrl | imageUrl | data }',
+    ].filter(Boolean);
+    if (optionErrors.length) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid packet options', details: optionErrors })
+      };
+    }
+
+    const supabase = getSupabaseAdmin();
+    const user = await requireUser(event.headers, supabase);
+    const { data: record, error } = await supabase
+      .from('cla_letters')
+      .select(`${RENDER_COLUMNS}, ${FACT_CHECK_COLUMNS}, exhibits, documents, user_email`)
+      .eq('id', recordId)
+      .single();
+    if (error) throw error;
+    requireOwner(user, record);
+
+    // The packet is what gets mailed, so it is held back like the letter downloads
+    const factCheck = pendingFactCheck(record);
+    if (factCheck) {
+      return {
+        statusCode: 409,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Review the fact check before downloading this letter', factCheck })
+      };
+    }
+
+    const letter = renderOptionsFor(record, { theme });
+    if (!letter.text) {
+      return {
+        statusCode: 404,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'This record has no letter yet' })
+      };
+    }
+
+    const packet = await buildAppealPacket({
+      letter,
+      exhibits: Array.isArray(record.exhibits) ? record.exhibits : [],
+      documents: Array.isArray(record.documents) ? record.documents : [],
+      files,
+      denial,
+      bates,
+      storage: { supabase, userId: user.id },
+    });
+    const left = packet.sections.filter(section => section.note).map(section => section.title);
+    if (left.length) console.log('Appeal packet sections without their file:', left);
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${downloadFileName(fileName, letterFileName(letter.options.claimNumber, { document: 'packet' }))}"`,
+        'X-Packet-Pages': String(packet.pageCount),
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: Buffer.from(packet.bytes).toString("base64"),
+      isBase64Encoded: true
+    };
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        error: error.statusCode ? error.message : 'Failed to build appeal packet',
+        details: error.message
+      })
+    };
+  }
+}
@@ -1,27 +1,37 @@
-import PDFDocument from 'pdfkit';
 import { getSupabaseAdmin } from './_supabase.js';
+import { pendingFactCheck, FACT_CHECK_COLUMNS } from './_fact-check.js';
+import { renderLetterPdf, renderOptionsFor, letterFileName, validateTheme, RENDER_COLUMNS } from './_letter-pdf.js';
 
 export async function handler(event) {
   try {
-    const { recordId } = JSON.parse(event.body || '{}');
+    const { recordId, theme } = JSON.parse(event.body || '{}');
     if (!recordId) return { statusCode: 400, body: 'Missing recordId' };
+    const themeError = validateTheme(theme);
+    if (themeError) return { statusCode: 400, body: themeError };
 
     const supabase = getSupabaseAdmin();
-    const { data, error } = await supabase.from('cla_letters').select('ai_response').eq('id', recordId).single();
+    const { data, error } = await supabase.from('cla_letters').select(`${RENDER_COLUMNS}, ${FACT_CHECK_COLUMNS}`).eq('id', recordId).single();
     if (error || !data) throw error || new Error('No record');
 
-    const doc = new PDFDocument();
-    let buffers = [];
-    doc.on('data', buffers.push.bind(buffers));
-    doc.on('end', () => {});
-    doc.fontSize(14).text(data.ai_response, { align: 'left' });
-    doc.end();
-    const pdfBuffer = await new Promise(res => doc.on('end', () => res(Buffer.concat(buffers))));
+    // Held back until the user has acknowledged the letter's fact check issues
+    const factCheck = pendingFactCheck(data);
+    if (factCheck) {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({ error: 'Fact check issues have not been acknowledged', factCheck })
+      };
+    }
+
+    // Same renderer and options as the generate-pdf download and the emailed copy
+    const { text, options } = renderOptionsFor(data, { theme });
+    if (!text) return { statusCode: 404, body: 'This record has no letter yet' };
+    const pdfBuffer = Buffer.from(await renderLetterPdf(text, options));
     return {
       statusCode: 200,
       headers: { 
         'Content-Type': 'application/pdf',
-        'Content-Disposition': 'attachment; filename="IRS_Response.pdf"',
+        'Content-Disposition': `attachment; filename="${letterFileName(options.claimNumber)}"`,
         'Access-Control-Allow-Origin': '*'
       },
       body: pdfBuffer.toString('base64'),
@@ -29,7 +39,7 @@ export async function handler(event) {
     };
   } catch (e) {
     return { 
-      statusCode: 500, 
+      statusCode: e.statusCode || 500, 
       headers: { 'Access-Control-Allow-Origin': '*' },
       body: e.message 
     };
@@ -1,35 +1,35 @@
-import OpenAI from "openai";
-
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { extractDocument, TYPE_LABELS } from "./_document-extraction.js";
 
 export async function handler(event) {
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      },
+      body: ''
+    };
+  }
+
   try {
-    const { imageData, mimeType } = JSON.parse(event.body);
-    
-    // Use OpenAI's vision API to extract text from images
-    const response = await client.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "Extract all text from this image. Return only the text content, preserving the original formatting and structure. Do not add any commentary or analysis."
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:${mimeType};base64,${imageData}`
-              }
-            }
-          ]
-        }
-      ],
-      max_tokens: 2000
-    });
+    // imageData is the original field name; fileData accepts any supported file as base64
+    const { imageData, fileData, fileUrl } = JSON.parse(event.body);
+
+    if (!imageData && !fileData && !fileUrl) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'No file provided' })
+      };
+    }
 
-    const extractedText = response.choices[0].message.content;
+    // The file type is sniffed from its content; mimeType from the browser is not trusted
+    const extracted = await extractDocument({ data: fileData || imageData, fileUrl });
 
     return {
       statusCode: 200,
@@ -39,8 +39,14 @@ export async function handler(event) {
         'Access-Control-Allow-Headers': 'Content-Type',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
-      body: JSON.stringify({ 
-        text: extractedText 
+      body: JSON.stringify({
+        text: extracted.text,
+        type: extracted.type,
+        typeLabel: TYPE_LABELS[extracted.type],
+        method: extracted.method,
+        pages: extracted.pages,
+        ocrConfidence: extracted.ocrConfidence,
+        warnings: extracted.warnings
       })
     };
   } catch (error) {
@@ -50,9 +56,9 @@ export async function handler(event) {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*'
       },
-      body: JSON.stringify({ 
-        error: 'Failed to extract text from image',
-        details: error.message 
+      body: JSON.stringify({
+        error: 'Failed to extract text from file',
+        details: error.message
       })
     };
   }
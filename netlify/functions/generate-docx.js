@@ -1,4 +1,9 @@
-const { Document, Packer, Paragraph, TextRun } = require("docx");
+const { getSupabaseAdmin } = require("./_supabase.js");
+const { pendingFactCheck, loadPendingFactCheckForText, FACT_CHECK_COLUMNS } = require("./_fact-check.js");
+const { renderOptionsFor, letterFileName, downloadFileName, validateTheme, RENDER_COLUMNS } = require("./_letter-pdf.js");
+const { renderLetterDocx } = require("./_letter-docx.js");
+const { validateLanguage } = require("./_languages.js");
+const { requireUser, requireOwner } = require("./_auth.js");
 
 exports.handler = async (event) => {
   // Handle CORS preflight
@@ -7,7 +12,7 @@ exports.handler = async (event) => {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: ''
@@ -15,9 +20,9 @@ exports.handler = async (event) => {
   }
 
   try {
-    const { text, fileName = 'response-letter.docx' } = JSON.parse(event.body || '{}');
-    
-    if (!text) {
+    const { text, fileName = null, recordId = null, document = 'letter', theme = undefined, language = null, claimNumber = null, letterhead = true } = JSON.parse(event.body || '{}');
+
+    if (!text && !recordId) {
       return {
         statusCode: 400,
         headers: {
@@ -27,32 +32,81 @@ exports.handler = async (event) => {
         body: JSON.stringify({ error: 'No text provided for DOCX generation' })
       };
     }
-    
-    // Create a new DOCX document
-    const doc = new Document({
-      sections: [{
-        properties: {},
-        children: [
-          new Paragraph({
-            children: [
-              new TextRun({
-                text: text,
-                size: 24, // 12pt font
-              }),
-            ],
-          }),
-        ],
-      }],
-    });
 
-    // Generate DOCX buffer
-    const buffer = await Packer.toBuffer(doc);
-    
+    const optionErrors = [
+      validateLanguage(language),
+      validateTheme(theme),
+      ['letter', 'readingCopy'].includes(document) ? null : `Unknown document "${String(document).slice(0, 40)}". Expected letter or readingCopy`,
+    ].filter(Boolean);
+    if (optionErrors.length) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid DOCX options', details: optionErrors })
+      };
+    }
+
+    // A stored letter is built from the record, like the PDF download; it can't be downloaded while
+    // its fact check has unacknowledged issues
+    let rendering = { text, options: { theme, claimNumber, language } };
+    if (recordId) {
+      const { data: record, error } = await getSupabaseAdmin()
+        .from('cla_letters')
+        .select(`${RENDER_COLUMNS}, ${FACT_CHECK_COLUMNS}, user_email`)
+        .eq('id', recordId)
+        .single();
+      if (error) throw error;
+      requireOwner(await requireUser(event.headers, getSupabaseAdmin()), record);
+      const factCheck = pendingFactCheck(record);
+      if (factCheck) {
+        return {
+          statusCode: 409,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          body: JSON.stringify({ error: 'Review the fact check before downloading this letter', factCheck })
+        };
+      }
+      const stored = renderOptionsFor(record, { document, theme });
+      if (!stored.text) {
+        return {
+          statusCode: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          body: JSON.stringify({ error: document === 'readingCopy' ? 'This letter has no reading copy' : 'This record has no letter yet' })
+        };
+      }
+      rendering = stored;
+    } else {
+      // Text that is a stored letter or reading copy is held the same way
+      const factCheck = await loadPendingFactCheckForText(getSupabaseAdmin(), text);
+      if (factCheck) {
+        return {
+          statusCode: 409,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          body: JSON.stringify({ error: 'Review the fact check before downloading this letter', factCheck })
+        };
+      }
+    }
+
+    // Build the Word document: letterhead, styled paragraphs and lists, claim number header and signature line
+    const buffer = await renderLetterDocx(rendering.text, { ...rendering.options, letterhead });
+    const downloadName = downloadFileName(fileName, letterFileName(rendering.options.claimNumber, { document, extension: 'docx' }));
+
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Content-Disposition': `attachment; filename="${downloadName}"`,
         'Access-Control-Allow-Origin': '*'
       },
       body: Buffer.from(buffer).toString("base64"),
@@ -60,14 +114,14 @@ exports.handler = async (event) => {
     };
   } catch (error) {
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*'
       },
-      body: JSON.stringify({ 
-        error: 'Failed to generate DOCX',
-        details: error.message 
+      body: JSON.stringify({
+        error: error.statusCode ? error.message : 'Failed to generate DOCX',
+        details: error.message
       })
     };
   }
@@ -1,4 +1,10 @@
-const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+const { getSupabaseAdmin } = require("./_supabase.js");
+const { pendingFactCheck, loadPendingFactCheckForText, FACT_CHECK_COLUMNS } = require("./_fact-check.js");
+const { renderLetterPdf, renderOptionsFor, letterFileName, downloadFileName, validateTheme, RENDER_COLUMNS } = require("./_letter-pdf.js");
+const { validateLanguage } = require("./_languages.js");
+const { latestVersionNumber } = require("./_letter-versions.js");
+const { PDFA_LABEL, sha256 } = require("./_pdfa.js");
+const { requireUser, requireOwner } = require("./_auth.js");
 
 exports.handler = async (event) => {
   // Handle CORS preflight
@@ -7,7 +13,7 @@ exports.handler = async (event) => {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: ''
@@ -15,9 +21,9 @@ exports.handler = async (event) => {
   }
 
   try {
-    const { text, fileName = 'response-letter.pdf' } = JSON.parse(event.body || '{}');
-    
-    if (!text) {
+    const { text, fileName = null, recordId = null, document = 'letter', theme = undefined, language = null, claimNumber = null, letterhead = true, archival = false } = JSON.parse(event.body || '{}');
+
+    if (!text && !recordId) {
       return {
         statusCode: 400,
         headers: {
@@ -27,80 +33,113 @@ exports.handler = async (event) => {
         body: JSON.stringify({ error: 'No text provided for PDF generation' })
       };
     }
-    
-    // Create a new PDF document
-    const pdfDoc = await PDFDocument.create();
-    const page = pdfDoc.addPage([612, 792]); // Standard letter size
-    
-    // Get fonts
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    
-    // Set up text formatting
-    const fontSize = 12;
-    const lineHeight = fontSize * 1.2;
-    const margin = 50;
-    const maxWidth = page.getWidth() - (margin * 2);
-    
-    // Split text into lines that fit the page width
-    const lines = [];
-    const words = text.split(' ');
-    let currentLine = '';
-    
-    for (const word of words) {
-      const testLine = currentLine + (currentLine ? ' ' : '') + word;
-      const textWidth = font.widthOfTextAtSize(testLine, fontSize);
-      
-      if (textWidth <= maxWidth) {
-        currentLine = testLine;
-      } else {
-        if (currentLine) {
-          lines.push(currentLine);
-          currentLine = word;
-        } else {
-          lines.push(word);
-        }
-      }
+
+    const optionErrors = [
+      validateLanguage(language),
+      validateTheme(theme),
+      ['letter', 'readingCopy'].includes(document) ? null : `Unknown document "${String(document).slice(0, 40)}". Expected letter or readingCopy`,
+      typeof archival === 'boolean' ? null : 'archival must be true or false',
+    ].filter(Boolean);
+    if (optionErrors.length) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid PDF options', details: optionErrors })
+      };
     }
-    if (currentLine) {
-      lines.push(currentLine);
+
+    // A stored letter is rendered from the record, so the download matches export-pdf and the emailed
+    // copy; it can't be downloaded while its fact check has unacknowledged issues
+    let rendering = { text, options: { theme, claimNumber, language } };
+    let record = null;
+    if (recordId) {
+      const { data, error } = await getSupabaseAdmin()
+        .from('cla_letters')
+        .select(`${RENDER_COLUMNS}, ${FACT_CHECK_COLUMNS}, user_email`)
+        .eq('id', recordId)
+        .single();
+      if (error) throw error;
+      record = data;
+      // A stored letter is its owner's, and so is the archival copy recorded on the case
+      requireOwner(await requireUser(event.headers, getSupabaseAdmin()), record);
+      const factCheck = pendingFactCheck(record);
+      if (factCheck) {
+        return {
+          statusCode: 409,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          body: JSON.stringify({ error: 'Review the fact check before downloading this letter', factCheck })
+        };
+      }
+      const stored = renderOptionsFor(record, { document, theme });
+      if (!stored.text) {
+        return {
+          statusCode: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          body: JSON.stringify({ error: document === 'readingCopy' ? 'This letter has no reading copy' : 'This record has no letter yet' })
+        };
+      }
+      rendering = stored;
+    } else {
+      // Text that is a stored letter or reading copy is held the same way
+      const factCheck = await loadPendingFactCheckForText(getSupabaseAdmin(), text);
+      if (factCheck) {
+        return {
+          statusCode: 409,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          body: JSON.stringify({ error: 'Review the fact check before downloading this letter', factCheck })
+        };
+      }
     }
-    
-    // Draw the text
-    let yPosition = page.getHeight() - margin;
-    
-    for (const line of lines) {
-      if (yPosition < margin) {
-        // Add new page if needed
-        const newPage = pdfDoc.addPage([612, 792]);
-        yPosition = newPage.getHeight() - margin;
-        newPage.drawText(line, {
-          x: margin,
-          y: yPosition,
-          size: fontSize,
-          font: font,
-          color: rgb(0, 0, 0)
-        });
-      } else {
-        page.drawText(line, {
-          x: margin,
-          y: yPosition,
-          size: fontSize,
-          font: font,
-          color: rgb(0, 0, 0)
-        });
+
+    // An archival (PDF/A) copy carries the policy number and letter version in its metadata
+    const archivalOptions = archival
+      ? {
+        policyNumber: record?.claim_entities?.policyNumber || null,
+        letterVersion: recordId && document === 'letter' ? (await latestVersionNumber(getSupabaseAdmin(), recordId)) || null : null,
+        // Whole seconds, as PDF dates are written
+        generatedAt: new Date(Math.floor(Date.now() / 1000) * 1000),
       }
-      yPosition -= lineHeight;
+      : null;
+
+    // Lay out the letter: paragraphs, letterhead, pagination and "Page X of Y" footers
+    const pdfBytes = await renderLetterPdf(rendering.text, { ...rendering.options, letterhead, archival: archivalOptions });
+    const downloadName = downloadFileName(fileName, letterFileName(rendering.options.claimNumber, { document, archival }));
+    const contentHash = sha256(Buffer.from(pdfBytes));
+
+    // The hash of every archival copy is kept on the case, so the copy that was sent can be proven later.
+    // append_archival_copy adds it in one statement and skips a hash that is already listed.
+    if (archivalOptions && recordId) {
+      const entry = {
+        sha256: contentHash,
+        standard: PDFA_LABEL,
+        document,
+        letterVersion: archivalOptions.letterVersion,
+        claimNumber: rendering.options.claimNumber || null,
+        policyNumber: archivalOptions.policyNumber,
+        generatedAt: archivalOptions.generatedAt.toISOString(),
+      };
+      const { error } = await getSupabaseAdmin().rpc('append_archival_copy', { letter_id: recordId, entry });
+      if (error) throw error;
     }
-    
-    // Generate PDF bytes
-    const pdfBytes = await pdfDoc.save();
-    
+
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/pdf',
-        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Content-Disposition': `attachment; filename="${downloadName}"`,
+        'X-Content-SHA256': contentHash,
         'Access-Control-Allow-Origin': '*'
       },
       body: Buffer.from(pdfBytes).toString("base64"),
@@ -108,14 +147,14 @@ exports.handler = async (event) => {
     };
   } catch (error) {
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*'
       },
-      body: JSON.stringify({ 
-        error: 'Failed to generate PDF',
-        details: error.message 
+      body: JSON.stringify({
+        error: error.statusCode ? error.message : 'Failed to generate PDF',
+        details: error.message
       })
     };
   }
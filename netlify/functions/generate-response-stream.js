@@ -0,0 +1,125 @@
+import { stream as streamCompletion } from "./_llm.js";
+import { COMPLETION_OPTIONS, prepareLetter, finishLetter, translateReadingCopy } from "./_appeal-letter.js";
+import { createStreamRestorer } from "./_redaction.js";
+import { validatePresets } from "./_letter-presets.js";
+import { validateLetterKind } from "./_letter-kinds.js";
+import { validateLanguage } from "./_languages.js";
+import { authenticatedUser, requireUser } from "./_auth.js";
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// Server-sent events: "meta" (policy quotes, resolved presets, letter kind, language and exhibits), "token" (letter text as it arrives),
+// "done" (final letter, quote, exhibit, citation and fact checks, sent after the letter is saved), "readingCopy" (the translated
+// reading copy, when one was asked for) and "error".
+function sseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Streaming variant of generate-response (Netlify Functions v2, which can stream a Response body)
+export default async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: CORS_HEADERS });
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch (error) {
+    body = {};
+  }
+  if (!body.summary) {
+    return new Response(JSON.stringify({ error: "Missing summary" }), {
+      status: 400,
+      headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+  }
+  const optionErrors = [
+    ...validatePresets(body).errors,
+    validateLetterKind(body.letterKind),
+    validateLanguage(body.letterLanguage, 'letterLanguage'),
+    validateLanguage(body.readingCopyLanguage, 'readingCopyLanguage'),
+    validateLanguage(body.preferredLanguage, 'preferredLanguage'),
+  ].filter(Boolean);
+  if (optionErrors.length) {
+    return new Response(JSON.stringify({ error: "Invalid letter options", details: optionErrors }), {
+      status: 400,
+      headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+  }
+
+  // A stored case is read and updated, so it takes its owner's session; checked before the stream opens
+  let user;
+  try {
+    user = body.recordId ? await requireUser(req.headers) : await authenticatedUser(req.headers);
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error.statusCode || 500,
+      headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => controller.enqueue(encoder.encode(sseEvent(event, data)));
+      try {
+        const prepared = await prepareLetter(body, { user });
+        send('meta', { policyQuotes: prepared.policyQuotes, presets: prepared.presets, letterKind: prepared.letterKind, language: prepared.language, exhibits: prepared.exhibits });
+
+        const { stream: completion } = await streamCompletion("letter", {
+          ...COMPLETION_OPTIONS,
+          messages: prepared.messages,
+        });
+
+        // The rendered letterhead goes out first; the body streams below it
+        send('token', { text: prepared.frame.header });
+
+        // Redacted values are restored before any text reaches the browser
+        const restorer = createStreamRestorer(prepared.vault);
+        let rawLetter = "";
+        for await (const delta of completion) {
+          rawLetter += delta;
+          const text = restorer.push(delta);
+          if (text) send('token', { text });
+        }
+        const rest = restorer.flush();
+        if (rest) send('token', { text: rest });
+        send('token', { text: prepared.frame.footer });
+
+        // Save to cla_letters.ai_response once the stream is complete
+        const { letter, body: letterBody, quoteCheck, exhibitCheck, citationCheck, factCheck, version } = await finishLetter(prepared, rawLetter);
+        send('done', { letter, quoteCheck, exhibitCheck, citationCheck, factCheck, version, recordId: prepared.recordId });
+
+        // The reading copy is translated after the letter is saved, so the letter is usable while it runs;
+        // a failed translation is reported on its own and never follows "done" as an error
+        try {
+          const readingCopy = await translateReadingCopy(prepared, letterBody);
+          if (readingCopy) send('readingCopy', readingCopy);
+        } catch (error) {
+          console.error("Reading copy translation failed:", error);
+          send('readingCopyError', { error: error.message });
+        }
+      } catch (error) {
+        console.error("Error in generate-response-stream.js:", error);
+        send('error', { error: error.message, details: error.details });
+      } finally {
+        controller.close();
+      }
+    }
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      ...CORS_HEADERS,
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
+};
@@ -0,0 +1,48 @@
+const { getSupabaseAdmin } = require("./_supabase.js");
+const letterPresets = require("./_letter-presets.js");
+const letterKinds = require("./_letter-kinds.js");
+const languages = require("./_languages.js");
+const { themeCatalog } = require("./_letter-pdf.js");
+const { authenticatedUser } = require("./_auth.js");
+
+const HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+// GET -> { presets, letterKinds, languages, pdfThemes, defaults, preferredLanguage }
+// presets, letterKinds, languages and pdfThemes are the catalogs the dropdowns are built from; defaults are the signed-in
+// user's saved preferences filled in with the catalog defaults (just the catalog defaults without a session).
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: HEADERS, body: '' };
+  }
+
+  let preferred = {};
+  let preferredLanguage = null;
+  try {
+    const user = await authenticatedUser(event.headers, getSupabaseAdmin());
+    if (user?.email) {
+      preferred = await letterPresets.loadPreferredPresets(getSupabaseAdmin(), user.email);
+      preferredLanguage = await languages.loadPreferredLanguage(getSupabaseAdmin(), user.email);
+    }
+  } catch (error) {
+    console.error("Preferences error:", error);
+    console.log('Continuing with the default presets');
+  }
+
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify({
+      presets: letterPresets.presetCatalog(),
+      letterKinds: letterKinds.kindCatalog(),
+      languages: languages.languageCatalog(),
+      pdfThemes: themeCatalog(),
+      defaults: letterPresets.resolvePresets({}, preferred),
+      preferredLanguage: preferredLanguage || languages.DEFAULT_LANGUAGE,
+    }),
+  };
+};
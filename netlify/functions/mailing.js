@@ -0,0 +1,111 @@
+const { getSupabaseAdmin } = require("./_supabase.js");
+const { pendingFactCheck, FACT_CHECK_COLUMNS } = require("./_fact-check.js");
+const { renderOptionsFor, letterFileName, downloadFileName, RENDER_COLUMNS } = require("./_letter-pdf.js");
+const { loadProfile } = require("./_letter-assembly.js");
+const mailing = require("./_mailing.js");
+const { requireUser, requireOwner } = require("./_auth.js");
+
+const HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+function respond(statusCode, body) {
+  return { statusCode, headers: HEADERS, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: HEADERS, body: '' };
+  }
+
+  try {
+    const {
+      action = 'render',
+      recordId = null,
+      document = 'envelope',
+      certified = undefined,
+      faxNumber = null,
+      pages = null,
+      recipient = null,
+      message = null,
+      trackingNumber = null,
+      mailedOn = null,
+      fileName = null,
+    } = JSON.parse(event.body || '{}');
+
+    if (!recordId) return respond(400, { error: 'recordId is required for mailing documents' });
+    if (!['track', 'render'].includes(action)) return respond(400, { error: `Unknown action: ${action}` });
+
+    // Both actions read or change the case, so they are for its owner only
+    const supabase = getSupabaseAdmin();
+    const user = await requireUser(event.headers, supabase);
+
+    // Save the Certified Mail tracking number on the case
+    if (action === 'track') {
+      const trackingError = mailing.validateTracking({ trackingNumber, mailedOn });
+      if (trackingError) return respond(400, { error: 'Invalid tracking details', details: [trackingError] });
+      const { data: owner, error: ownerError } = await supabase
+        .from('cla_letters')
+        .select('user_email')
+        .eq('id', recordId)
+        .maybeSingle();
+      if (ownerError) throw ownerError;
+      if (!owner) return respond(404, { error: 'Record not found' });
+      requireOwner(user, owner);
+      const mailings = await mailing.recordMailing(supabase, recordId, { trackingNumber, mailedOn });
+      if (!mailings) return respond(404, { error: 'Record not found' });
+      return respond(200, { mailings });
+    }
+
+    const optionErrors = mailing.validateMailingOptions({ document, certified, faxNumber, pages, recipient, message });
+    if (optionErrors.length) return respond(400, { error: 'Invalid mailing options', details: optionErrors });
+
+    const { data: record, error } = await supabase
+      .from('cla_letters')
+      .select(`${RENDER_COLUMNS}, ${FACT_CHECK_COLUMNS}, ${mailing.MAILING_COLUMNS}`)
+      .eq('id', recordId)
+      .single();
+    if (error) throw error;
+    requireOwner(user, record);
+
+    // These go out with the letter, so they are held back like the letter downloads
+    const factCheck = pendingFactCheck(record);
+    if (factCheck) return respond(409, { error: 'Review the fact check before downloading this letter', factCheck });
+
+    const letter = renderOptionsFor(record);
+    if (!letter.text) return respond(404, { error: 'This record has no letter yet' });
+
+    const output = await mailing.buildMailingDocument(document, {
+      record,
+      letter,
+      profile: await loadProfile(supabase, record.user_email),
+      certified: certified !== false,
+      faxNumber,
+      pages,
+      recipient,
+      message,
+      storage: { supabase, userId: user.id },
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${downloadFileName(fileName, letterFileName(letter.options.claimNumber, { document }))}"`,
+        ...(output.pages ? { 'X-Fax-Pages': String(output.pages) } : {}),
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: Buffer.from(output.bytes).toString("base64"),
+      isBase64Encoded: true
+    };
+  } catch (error) {
+    return respond(error.statusCode || 500, {
+      error: error.statusCode ? error.message : 'Failed to build mailing document',
+      details: error.message
+    });
+  }
+}
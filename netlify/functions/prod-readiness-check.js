@@ -1,5 +1,5 @@
 import fetch from 'node-fetch';
-import OpenAI from 'openai';
+import { complete, isConfigured } from './_llm.js';
 import Stripe from 'stripe';
 import sgMail from '@sendgrid/mail';
 import { createClient } from '@supabase/supabase-js';
@@ -39,19 +39,20 @@ function hrTimeMs(start) {
   return Math.round(now - start);
 }
 
-async function checkOpenAI() {
+async function checkLLM() {
   const start = typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
   try {
-    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const res = await client.chat.completions.create({
-      model: 'gpt-4o-mini',
+    if (!isConfigured()) {
+      return { ok: false, ms: hrTimeMs(start), detail: 'No LLM provider configured' };
+    }
+    const res = await complete('readiness', {
       messages: [
         { role: 'user', content: 'Generate a sample sentence.' },
       ],
       max_tokens: 20,
     });
-    const ok = Boolean(res && res.choices && res.choices[0]?.message?.content);
-    return { ok, ms: hrTimeMs(start), detail: ok ? undefined : 'No content in response' };
+    const ok = Boolean(res.content);
+    return { ok, ms: hrTimeMs(start), detail: ok ? `${res.provider} (${res.model})` : 'No content in response' };
   } catch (err) {
     return { ok: false, ms: hrTimeMs(start), detail: err?.message || String(err) };
   }
@@ -189,8 +190,8 @@ export async function handler(event) {
     const { results: envStatus, logs: envLogs } = logEnvCheck();
 
     // 3) Integration checks
-    const [openai, supabase, stripe, sendgrid, site] = await Promise.all([
-      checkOpenAI(),
+    const [llm, supabase, stripe, sendgrid, site] = await Promise.all([
+      checkLLM(),
       checkSupabase(),
       checkStripe(),
       checkSendGrid(),
@@ -199,7 +200,7 @@ export async function handler(event) {
 
     // 4) Report
     const checks = {
-      'OpenAI': openai,
+      'LLM': llm,
       'Supabase': supabase,
       'Stripe': stripe,
       'SendGrid': sendgrid,
@@ -0,0 +1,205 @@
+const llm = require("./_llm.js");
+const { getSupabaseAdmin } = require("./_supabase.js");
+const { COMPLETION_OPTIONS } = require("./_appeal-letter.js");
+const redaction = require("./_redaction.js");
+const policyIndex = require("./_policy-index.js");
+const letterVersions = require("./_letter-versions.js");
+const exhibitIndex = require("./_exhibits.js");
+const stateRegulations = require("./_state-regulations.js");
+const factCheck = require("./_fact-check.js");
+const { normalizeEntities } = require("./_claim-entities.js");
+const { requireUser, requireOwner } = require("./_auth.js");
+
+const HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const REVISION_PROMPT = `You revise insurance appeal letters for policyholders.
+
+Apply the user's instruction to the letter and return the complete revised letter as plain text, with no commentary before or after it.
+
+- Change only what the instruction asks for; leave every other sentence as it is.
+- Keep the letter in the language it is written in, even when the instruction is in another language.
+- Keep the letterhead, date, recipient block, RE: block, salutation, closing, signature and enclosure list exactly as written unless the instruction asks to change them.
+- Keep inline exhibit citations such as "(see Exhibit B)" and cite only exhibits named in the enclosure list.
+- Do not add statute or regulation citations that are not already in the letter.
+- Keep text inside quotation marks word for word; it is quoted from the policy or the denial letter.
+- Add new facts only when the instruction states them. Never invent dates, amounts, names or policy language, and never write placeholders such as [Date].
+
+${redaction.TOKEN_INSTRUCTION}`;
+
+function respond(statusCode, body) {
+  return { statusCode, headers: HEADERS, body: JSON.stringify(body) };
+}
+
+// Check a stored letter's facts against the record and save the result; a new check needs a new acknowledgement.
+// The saved reading copy no longer matches the letter, so it is dropped.
+async function saveFactCheck(supabase, recordId, letter, record) {
+  const facts = factCheck.checkFacts(factCheck.letterBody(letter), {
+    entities: normalizeEntities(record?.claim_entities),
+    details: record?.letter_details || {},
+    sourceTexts: [...(record?.policy_sections || []).map(section => section.text), record?.letter_text || ''],
+    letterDate: new Date().toISOString(),
+    language: record?.letter_language || 'en',
+  });
+  const { error } = await supabase
+    .from("cla_letters")
+    .update({ fact_check: facts, fact_check_acknowledged_at: null, reading_copy: null, reading_copy_sha256: null })
+    .eq("id", recordId);
+  if (error) throw error;
+  return facts;
+}
+
+async function loadFactSources(supabase, recordId) {
+  const { data, error } = await supabase
+    .from("cla_letters")
+    .select("claim_entities, letter_details, letter_text, policy_sections, letter_language")
+    .eq("id", recordId)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Actions:
+//   revise      { recordId?, letter?, instruction } -> { letter, version, quoteCheck, exhibitCheck, citationCheck, factCheck }
+//   list        { recordId }                        -> { versions, factCheck, factCheckAcknowledgedAt }
+//   restore     { recordId, versionId }             -> { letter, version, factCheck }
+//   acknowledge { recordId }                        -> { factCheck, factCheckAcknowledgedAt }
+// Fact check issues block downloads of the current letter until they are acknowledged.
+// Everything but revising a letter without a record needs the case owner's session; versions record the signed-in user as author.
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: HEADERS, body: '' };
+  }
+
+  try {
+    const { action = 'revise', recordId = null, versionId = null, letter: requestLetter = '', instruction = '' } = JSON.parse(event.body || "{}");
+
+    if (action === 'list' || action === 'restore' || action === 'acknowledge') {
+      if (!recordId) return respond(400, { error: "Missing recordId" });
+      const supabase = getSupabaseAdmin();
+
+      const user = await requireUser(event.headers, supabase);
+      const { data: record, error } = await supabase
+        .from("cla_letters")
+        .select(`user_email, ${factCheck.FACT_CHECK_COLUMNS}`)
+        .eq("id", recordId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!record) return respond(404, { error: "Record not found" });
+      requireOwner(user, record);
+
+      if (action === 'list') {
+        return respond(200, {
+          versions: await letterVersions.listVersions(supabase, recordId),
+          factCheck: record?.fact_check || null,
+          factCheckAcknowledgedAt: record?.fact_check_acknowledged_at || null,
+        });
+      }
+
+      if (action === 'acknowledge') {
+        const acknowledged = await factCheck.acknowledgeFactCheck(supabase, recordId);
+        if (!acknowledged) return respond(404, { error: "Record not found" });
+        return respond(200, { factCheck: acknowledged.fact_check, factCheckAcknowledgedAt: acknowledged.fact_check_acknowledged_at });
+      }
+
+      if (!versionId) return respond(400, { error: "Missing versionId" });
+      const version = await letterVersions.getVersion(supabase, recordId, versionId);
+      if (!version) return respond(404, { error: "Version not found" });
+      const facts = await saveFactCheck(supabase, recordId, version.content, await loadFactSources(supabase, recordId));
+      const restored = await letterVersions.restoreVersion(supabase, { letterId: recordId, versionId, author: user.email });
+      return respond(200, { letter: restored.content, version: restored, factCheck: facts });
+    }
+
+    if (action !== 'revise') return respond(400, { error: `Unknown action: ${action}` });
+    if (typeof instruction !== 'string' || typeof requestLetter !== 'string') {
+      return respond(400, { error: "instruction and letter must be text" });
+    }
+    if (!instruction.trim()) return respond(400, { error: "Missing instruction" });
+
+    // The stored letter is the one being revised; the request body covers letters without a record
+    let currentLetter = requestLetter;
+    let sourceTexts = [];
+    let redactionAudit = [];
+    let author = null;
+    let exhibits = [];
+    let regulationContext = {};
+    let factSources = null;
+    if (recordId) {
+      const supabase = getSupabaseAdmin();
+      const user = await requireUser(event.headers, supabase);
+      const { data: record, error: recordError } = await supabase
+        .from("cla_letters")
+        .select("ai_response, letter_text, policy_sections, redaction_audit, user_email, exhibits, policyholder_state, deadlines, claim_entities, letter_details, letter_language")
+        .eq("id", recordId)
+        .maybeSingle();
+      if (recordError) throw recordError;
+      if (!record) return respond(404, { error: "Record not found" });
+      requireOwner(user, record);
+      author = user.email;
+      currentLetter = record?.ai_response || requestLetter;
+      sourceTexts = [...(record?.policy_sections || []).map(section => section.text), record?.letter_text || ''];
+      if (Array.isArray(record?.redaction_audit)) redactionAudit = record.redaction_audit;
+      if (Array.isArray(record?.exhibits)) exhibits = record.exhibits;
+      regulationContext = { state: record?.policyholder_state || record?.deadlines?.state, coverageLine: record?.deadlines?.coverageLine };
+      factSources = record;
+    }
+    if (!currentLetter.trim()) return respond(400, { error: "No letter to revise" });
+
+    // Redact personal data in both the letter and the instruction before the model call
+    const vault = redaction.createVault();
+    const promptLetter = redaction.redactText(vault, currentLetter);
+    const promptInstruction = redaction.redactText(vault, instruction);
+
+    const completion = await llm.complete("revision", {
+      ...COMPLETION_OPTIONS,
+      temperature: 0.4,
+      messages: [
+        { role: "system", content: REVISION_PROMPT },
+        { role: "user", content: `INSTRUCTION:\n${promptInstruction}\n\nCURRENT LETTER:\n${promptLetter}` }
+      ],
+    });
+
+    const restored = redaction.restoreText(vault, completion.content.trim());
+    if (!restored) throw new Error("The revision came back empty");
+
+    // Statute citations must still be in the regulations dataset for the policyholder's state
+    const { text: revised, citationCheck } = stateRegulations.checkCitations(restored, stateRegulations.relevantRegulations(regulationContext));
+
+    // Quotes must still match the policy or the denial letter after the edit
+    const quoteCheck = policyIndex.verifyQuotes(revised, sourceTexts.length ? sourceTexts : [currentLetter]);
+    const exhibitCheck = exhibitIndex.checkExhibitCitations(revised, exhibits);
+
+    // Facts the instruction states count as supported; anything else new has to match the denial.
+    // Letters without a record have no extracted facts to check against.
+    let facts = null;
+    let version = null;
+    if (recordId) {
+      const supabase = getSupabaseAdmin();
+      facts = await saveFactCheck(supabase, recordId, revised, {
+        ...factSources,
+        letter_text: `${factSources?.letter_text || ''}\n${instruction}`,
+      });
+      version = await letterVersions.recordVersion(supabase, {
+        letterId: recordId,
+        content: revised,
+        author,
+        source: 'revise',
+        instruction: instruction.trim()
+      });
+      const { error } = await supabase
+        .from("cla_letters")
+        .update({ redaction_audit: [...redactionAudit, redaction.auditRecord(vault, "revise-letter")] })
+        .eq("id", recordId);
+      if (error) throw error;
+    }
+
+    return respond(200, { letter: revised, version, quoteCheck, exhibitCheck, citationCheck, factCheck: facts });
+  } catch (error) {
+    console.error("Error in revise-letter.js:", error);
+    return respond(error.statusCode || 500, { error: error.message });
+  }
+};
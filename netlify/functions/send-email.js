@@ -1,25 +1,35 @@
 import sgMail from '@sendgrid/mail';
 import { getSupabaseAdmin } from './_supabase.js';
-import PDFDocument from 'pdfkit';
+import { pendingFactCheck, FACT_CHECK_COLUMNS } from './_fact-check.js';
+import { renderLetterPdf, renderOptionsFor, letterFileName, validateTheme, RENDER_COLUMNS } from './_letter-pdf.js';
 
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
 export async function handler(event) {
   try {
-    const { recordId, to } = JSON.parse(event.body || '{}');
+    const { recordId, to, theme } = JSON.parse(event.body || '{}');
     if (!recordId || !to) return { statusCode: 400, body: 'Missing params' };
+    const themeError = validateTheme(theme);
+    if (themeError) return { statusCode: 400, body: themeError };
 
     const supabase = getSupabaseAdmin();
-    const { data, error } = await supabase.from('cla_letters').select('ai_response').eq('id', recordId).single();
+    const { data, error } = await supabase.from('cla_letters').select(`${RENDER_COLUMNS}, ${FACT_CHECK_COLUMNS}`).eq('id', recordId).single();
     if (error || !data) throw error || new Error('No record');
 
-    // Generate PDF buffer
-    const doc = new PDFDocument(); 
-    let buffers = [];
-    doc.on('data', buffers.push.bind(buffers));
-    doc.text(data.ai_response, { align: 'left' }); 
-    doc.end();
-    const pdfBuffer = await new Promise(res => doc.on('end', () => res(Buffer.concat(buffers))));
+    // Held back until the user has acknowledged the letter's fact check issues
+    const factCheck = pendingFactCheck(data);
+    if (factCheck) {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({ error: 'Fact check issues have not been acknowledged', factCheck })
+      };
+    }
+
+    // Same renderer and options as the generate-pdf download and export-pdf
+    const { text, options } = renderOptionsFor(data, { theme });
+    if (!text) return { statusCode: 404, body: 'This record has no letter yet' };
+    const pdfBuffer = Buffer.from(await renderLetterPdf(text, options));
 
     const msg = {
       to,
@@ -34,7 +44,7 @@ export async function handler(event) {
       `,
       attachments: [{
         content: pdfBuffer.toString('base64'),
-        filename: 'Insurance_Appeal.pdf',
+        filename: letterFileName(options.claimNumber),
         type: 'application/pdf',
         disposition: 'attachment'
       }]
@@ -48,7 +58,7 @@ export async function handler(event) {
     };
   } catch (e) { 
     return { 
-      statusCode: 500, 
+      statusCode: e.statusCode || 500, 
       headers: { 'Access-Control-Allow-Origin': '*' },
       body: e.message 
     }; 
@@ -23,3 +23,9 @@ export async function getSession() {
   const { data: { session } } = await supabase.auth.getSession();
   return session;
 }
+
+// Authorization header for the Netlify functions; empty when nobody is signed in
+export async function authHeaders() {
+  const session = await getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+}
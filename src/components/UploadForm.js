@@ -8,6 +8,13 @@ export async function uploadFile(file, userId) {
   return data.path;
 }
 
+// Supporting evidence for the letter's exhibit index; returns the exhibit entry generate-response expects
+export async function uploadSupportingDocument(file, userId, { description = '', category = 'other' } = {}) {
+  const { data, error } = await supabase.storage.from('letters').upload(`${userId}/evidence/${file.name}`, file, { upsert: true });
+  if (error) throw error;
+  return { name: file.name, description, category, filePath: data.path };
+}
+
 export async function saveDocumentToDatabase(userId, fileName, filePath) {
   const { data, error } = await supabase
     .from('documents')
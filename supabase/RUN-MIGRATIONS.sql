@@ -25,6 +25,33 @@ CREATE TABLE IF NOT EXISTS public.cla_letters (
   status text CHECK (status IN ('uploaded','analyzed','responded','error')) DEFAULT 'uploaded'
 );
 
+-- 3. Case documents, policy sections, structured claim facts, appeal deadlines and redaction audit from analyze-letter;
+--    letter kind, letter details, exhibits, fact check and languages from generate-response;
+--    archival copy hashes from generate-pdf; Certified Mail tracking numbers from mailing;
+--    hashes of the current letter and reading copy, to hold text-only downloads for the fact check
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS claim_entities jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS policyholder_state text;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS deadlines jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS documents jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS redaction_audit jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS policy_sections jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS letter_kind text DEFAULT 'internal_appeal';
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS exhibits jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS letter_details jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS fact_check jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS fact_check_acknowledged_at timestamptz;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS denial_language text;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS preferred_language text;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS letter_language text;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS reading_copy jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS archival_copies jsonb DEFAULT '[]'::jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS mailings jsonb DEFAULT '[]'::jsonb;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS letter_sha256 text;
+ALTER TABLE public.cla_letters ADD COLUMN IF NOT EXISTS reading_copy_sha256 text;
+ALTER TABLE public.cla_letters DROP CONSTRAINT IF EXISTS cla_letters_letter_kind_check;
+ALTER TABLE public.cla_letters ADD CONSTRAINT cla_letters_letter_kind_check
+  CHECK (letter_kind IN ('internal_appeal','claim_file_request','external_review','doi_complaint','proof_of_loss','appraisal_demand','bad_faith_demand'));
+
 -- 4. Create subscriptions table
 CREATE TABLE IF NOT EXISTS public.subscriptions (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -49,21 +76,73 @@ CREATE TABLE IF NOT EXISTS public.usage_tracking (
   created_at timestamptz DEFAULT now()
 );
 
+-- 5a. Create user_profiles table (sender details for assembled letters)
+CREATE TABLE IF NOT EXISTS public.user_profiles (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text UNIQUE NOT NULL,
+  full_name text,
+  street_address text,
+  city_state_zip text,
+  phone text,
+  policyholder_id text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- 5b. Create cla_letter_versions table (every generated, revised and restored letter)
+CREATE TABLE IF NOT EXISTS public.cla_letter_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  letter_id uuid NOT NULL REFERENCES public.cla_letters(id) ON DELETE CASCADE,
+  version_number integer NOT NULL,
+  content text NOT NULL,
+  author text,
+  source text NOT NULL CHECK (source IN ('generate','revise','restore')),
+  instruction text,
+  restored_from uuid REFERENCES public.cla_letter_versions(id),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (letter_id, version_number)
+);
+
+-- 5c. Create user_preferences table (default letter presets; see netlify/functions/_letter-presets.js)
+CREATE TABLE IF NOT EXISTS public.user_preferences (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid UNIQUE REFERENCES public.users(id) ON DELETE CASCADE,
+  email_notifications boolean DEFAULT true,
+  preferred_response_style text DEFAULT 'professional', -- tone: 'professional', 'conversational', 'assertive', 'conciliatory'
+  auto_save_responses boolean DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS preferred_approach text DEFAULT 'cooperative';
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS preferred_writing_style text DEFAULT 'detailed';
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS preferred_language text DEFAULT 'en';
+UPDATE public.user_preferences SET preferred_response_style = 'conversational' WHERE preferred_response_style = 'casual';
+UPDATE public.user_preferences SET preferred_response_style = 'professional' WHERE preferred_response_style = 'formal';
+
 -- 6. Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_cla_letters_created_at ON public.cla_letters (created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_cla_letters_session ON public.cla_letters (stripe_session_id);
+CREATE INDEX IF NOT EXISTS idx_cla_letters_claim_number ON public.cla_letters ((claim_entities->>'claimNumber'));
+CREATE INDEX IF NOT EXISTS idx_cla_letters_appeal_deadline ON public.cla_letters ((deadlines->'internalAppeal'->>'date'));
+CREATE INDEX IF NOT EXISTS idx_cla_letters_letter_sha256 ON public.cla_letters (letter_sha256);
+CREATE INDEX IF NOT EXISTS idx_cla_letters_reading_copy_sha256 ON public.cla_letters (reading_copy_sha256);
+CREATE INDEX IF NOT EXISTS idx_cla_letter_versions_letter ON public.cla_letter_versions (letter_id, version_number DESC);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON public.subscriptions(user_id);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_stripe_customer_id ON public.subscriptions(stripe_customer_id);
 CREATE INDEX IF NOT EXISTS idx_usage_tracking_user_id ON public.usage_tracking(user_id);
 CREATE INDEX IF NOT EXISTS idx_usage_tracking_created_at ON public.usage_tracking(created_at);
+CREATE INDEX IF NOT EXISTS idx_user_preferences_user_id ON public.user_preferences(user_id);
 
 -- 7. Enable Row Level Security (RLS) on all tables
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.cla_letters ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.subscriptions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.usage_tracking ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cla_letter_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_preferences ENABLE ROW LEVEL SECURITY;
 
--- 8. RLS Policies for cla_letters  
+-- 8. RLS Policies for cla_letters, cla_letter_versions and user_profiles
 -- Deny all by default - only service role (server) can access
 DROP POLICY IF EXISTS "deny_all_cla_letters" ON public.cla_letters;
 CREATE POLICY "deny_all_cla_letters" ON public.cla_letters
@@ -72,6 +151,20 @@ CREATE POLICY "deny_all_cla_letters" ON public.cla_letters
   USING (false)
   WITH CHECK (false);
 
+DROP POLICY IF EXISTS "deny_all_cla_letter_versions" ON public.cla_letter_versions;
+CREATE POLICY "deny_all_cla_letter_versions" ON public.cla_letter_versions
+  AS PERMISSIVE FOR ALL
+  TO public
+  USING (false)
+  WITH CHECK (false);
+
+DROP POLICY IF EXISTS "deny_all_user_profiles" ON public.user_profiles;
+CREATE POLICY "deny_all_user_profiles" ON public.user_profiles
+  AS PERMISSIVE FOR ALL
+  TO public
+  USING (false)
+  WITH CHECK (false);
+
 -- 10. RLS Policies for users (optional - if you want users to access their own records)
 DROP POLICY IF EXISTS "Users can view own profile" ON public.users;
 CREATE POLICY "Users can view own profile" ON public.users
@@ -91,6 +184,15 @@ DROP POLICY IF EXISTS "Users can view own usage" ON public.usage_tracking;
 CREATE POLICY "Users can view own usage" ON public.usage_tracking
   FOR SELECT USING (auth.uid() = user_id);
 
+-- 12a. RLS Policies for user_preferences
+DROP POLICY IF EXISTS "Users can view own preferences" ON public.user_preferences;
+CREATE POLICY "Users can view own preferences" ON public.user_preferences
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own preferences" ON public.user_preferences;
+CREATE POLICY "Users can update own preferences" ON public.user_preferences
+  FOR UPDATE USING (auth.uid() = user_id);
+
 -- 13. Function to update updated_at timestamp automatically
 CREATE OR REPLACE FUNCTION public.update_updated_at_column()
 RETURNS trigger AS $$
@@ -106,6 +208,29 @@ CREATE TRIGGER update_subscriptions_updated_at
   BEFORE UPDATE ON public.subscriptions
   FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_user_preferences_updated_at ON public.user_preferences;
+CREATE TRIGGER update_user_preferences_updated_at
+  BEFORE UPDATE ON public.user_preferences
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_user_profiles_updated_at ON public.user_profiles;
+CREATE TRIGGER update_user_profiles_updated_at
+  BEFORE UPDATE ON public.user_profiles
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- 15. Function to record an archival copy's hash on a case in one statement (see generate-pdf)
+CREATE OR REPLACE FUNCTION public.append_archival_copy(letter_id uuid, entry jsonb)
+RETURNS jsonb AS $$
+  UPDATE public.cla_letters
+  SET archival_copies = CASE
+    WHEN COALESCE(archival_copies, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('sha256', entry->>'sha256'))
+      THEN archival_copies
+    ELSE COALESCE(archival_copies, '[]'::jsonb) || jsonb_build_array(entry)
+  END
+  WHERE id = letter_id
+  RETURNING archival_copies;
+$$ LANGUAGE sql;
+
 -- ========================================
 -- Migration Complete!
 -- ========================================
@@ -0,0 +1,6 @@
+-- Appeal deadlines computed by analyze-letter from the denial date, state and line of coverage
+-- Shape: { rulesVersion, state, coverageLine, denialDate, internalAppeal, externalReview, suitLimitation, notes[] }
+alter table public.cla_letters add column if not exists policyholder_state text;
+alter table public.cla_letters add column if not exists deadlines jsonb;
+
+create index if not exists idx_cla_letters_appeal_deadline on public.cla_letters ((deadlines->'internalAppeal'->>'date'));
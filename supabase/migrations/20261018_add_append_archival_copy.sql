@@ -0,0 +1,14 @@
+-- Append one archival copy to cla_letters.archival_copies in a single UPDATE, so copies made at the same
+-- time are all kept; a copy whose sha256 is already listed is not added again.
+-- Returns the case's archival copies, or null when there is no such case.
+create or replace function public.append_archival_copy(letter_id uuid, entry jsonb)
+returns jsonb as $$
+  update public.cla_letters
+  set archival_copies = case
+    when coalesce(archival_copies, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('sha256', entry->>'sha256'))
+      then archival_copies
+    else coalesce(archival_copies, '[]'::jsonb) || jsonb_build_array(entry)
+  end
+  where id = letter_id
+  returning archival_copies;
+$$ language sql;
@@ -0,0 +1,6 @@
+-- Archival (PDF/A-2b) copies made by generate-pdf with archival: true, oldest first:
+-- [{ sha256, standard, document, letterVersion, claimNumber, policyNumber, generatedAt }]
+-- sha256 is the hash of the PDF file as downloaded, so a copy that was sent can be matched to its case
+alter table public.cla_letters add column if not exists archival_copies jsonb default '[]'::jsonb;
+
+comment on column public.cla_letters.archival_copies is 'SHA-256 and case metadata of every archival PDF/A copy of the letter';
@@ -0,0 +1,3 @@
+-- Per-document records for multi-document cases analyzed by analyze-letter
+-- Shape: [{ id: 'D1', role, roleLabel, name, textLength, ocrConfidence, error, text }]
+alter table public.cla_letters add column if not exists documents jsonb;
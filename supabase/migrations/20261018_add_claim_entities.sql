@@ -0,0 +1,6 @@
+-- Structured claim facts extracted from each denial letter by analyze-letter
+-- Shape: { claimNumber, policyNumber, insurer: { name, address }, adjuster: { name, phone, email },
+--          dateOfLoss, denialDate (YYYY-MM-DD), amountClaimed, amountPaid (numeric), policySections[] }
+alter table public.cla_letters add column if not exists claim_entities jsonb;
+
+create index if not exists idx_cla_letters_claim_number on public.cla_letters ((claim_entities->>'claimNumber'));
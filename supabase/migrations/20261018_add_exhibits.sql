@@ -0,0 +1,3 @@
+-- Exhibits enclosed with the generated letter (see netlify/functions/_exhibits.js):
+-- [{ letter, source, category, name, description, filePath, fileUrl, documentId }]
+alter table public.cla_letters add column if not exists exhibits jsonb;
@@ -0,0 +1,9 @@
+-- Fact check of the current letter (see netlify/functions/_fact-check.js):
+-- { checked, mismatches: [{ field, label, found, expected }], unsupported: [{ type, label, value }], requiresAcknowledgement }
+-- Downloads, exports and emails of ai_response are refused until fact_check_acknowledged_at is set;
+-- every new generation, revision or restore clears it.
+alter table public.cla_letters add column if not exists fact_check jsonb;
+alter table public.cla_letters add column if not exists fact_check_acknowledged_at timestamptz;
+
+-- Kind-specific values the user supplied (letterDetails), kept so revisions are checked against them too
+alter table public.cla_letters add column if not exists letter_details jsonb;
@@ -0,0 +1,15 @@
+-- Languages (see netlify/functions/_languages.js): en, es, vi or zh
+-- denial_language is detected from the denial letter and is the language generate-response writes the letter in;
+-- preferred_language is the one analyze-letter wrote the summary and next steps in
+alter table public.cla_letters add column if not exists denial_language text;
+alter table public.cla_letters add column if not exists preferred_language text;
+alter table public.cla_letters add column if not exists letter_language text;
+
+-- Translated reading copy of the current letter: { language, letter, createdAt }; cleared by every new
+-- generation, revision or restore
+alter table public.cla_letters add column if not exists reading_copy jsonb;
+
+-- The user's preferred language for summaries and reading copies
+alter table public.user_preferences add column if not exists preferred_language text default 'en';
+
+comment on column public.user_preferences.preferred_language is 'Preferred language for summaries and reading copies: en, es, vi or zh';
@@ -0,0 +1,16 @@
+-- SHA-256 of the current letter and of its reading copy (see letterHash in netlify/functions/_fact-check.js),
+-- so a download that sends the letter text instead of the recordId is still held until the fact check
+-- is acknowledged. Written with ai_response and reading_copy; trimmed, with \n line endings.
+alter table public.cla_letters add column if not exists letter_sha256 text;
+alter table public.cla_letters add column if not exists reading_copy_sha256 text;
+
+create index if not exists idx_cla_letters_letter_sha256 on public.cla_letters (letter_sha256);
+create index if not exists idx_cla_letters_reading_copy_sha256 on public.cla_letters (reading_copy_sha256);
+
+-- Existing letters
+update public.cla_letters
+  set letter_sha256 = encode(sha256(convert_to(regexp_replace(replace(ai_response, E'\r\n', E'\n'), '^\s+|\s+$', '', 'g'), 'UTF8')), 'hex')
+  where ai_response is not null and letter_sha256 is null;
+update public.cla_letters
+  set reading_copy_sha256 = encode(sha256(convert_to(regexp_replace(replace(reading_copy->>'letter', E'\r\n', E'\n'), '^\s+|\s+$', '', 'g'), 'UTF8')), 'hex')
+  where reading_copy->>'letter' is not null and reading_copy_sha256 is null;
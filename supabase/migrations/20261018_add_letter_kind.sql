@@ -0,0 +1,6 @@
+-- Kind of letter generate-response last wrote for the record (see netlify/functions/_letter-kinds.js)
+alter table public.cla_letters add column if not exists letter_kind text default 'internal_appeal';
+
+alter table public.cla_letters drop constraint if exists cla_letters_letter_kind_check;
+alter table public.cla_letters add constraint cla_letters_letter_kind_check
+  check (letter_kind in ('internal_appeal','claim_file_request','external_review','doi_complaint','proof_of_loss','appraisal_demand','bad_faith_demand'));
@@ -0,0 +1,12 @@
+-- Default letter presets per user (see netlify/functions/_letter-presets.js)
+-- preferred_response_style holds the tone; approach and writing style get their own columns
+alter table public.user_preferences add column if not exists preferred_approach text default 'cooperative';
+alter table public.user_preferences add column if not exists preferred_writing_style text default 'detailed';
+
+-- Map tone values stored before the preset catalog existed
+update public.user_preferences set preferred_response_style = 'conversational' where preferred_response_style = 'casual';
+update public.user_preferences set preferred_response_style = 'professional' where preferred_response_style = 'formal';
+
+comment on column public.user_preferences.preferred_response_style is 'Default tone: professional, conversational, assertive or conciliatory';
+comment on column public.user_preferences.preferred_approach is 'Default approach: defensive, cooperative, challenging or explanatory';
+comment on column public.user_preferences.preferred_writing_style is 'Default writing style: detailed, concise, technical or personal';
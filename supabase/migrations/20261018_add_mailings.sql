@@ -0,0 +1,6 @@
+-- Certified Mail sends recorded by the user through the mailing function, oldest first:
+-- [{ method, trackingNumber, mailedOn, recordedAt }]
+-- trackingNumber is the USPS number without spaces; mailedOn is the date the letter was mailed (YYYY-MM-DD)
+alter table public.cla_letters add column if not exists mailings jsonb default '[]'::jsonb;
+
+comment on column public.cla_letters.mailings is 'Certified Mail tracking numbers and mailing dates recorded for the letter';
@@ -0,0 +1,3 @@
+-- Full insurance policy split into sections by heading, for clause retrieval and verbatim quoting
+-- Shape: [{ id: 'P1', heading, number, path, page, pageEnd, text, documentId }]
+alter table public.cla_letters add column if not exists policy_sections jsonb;
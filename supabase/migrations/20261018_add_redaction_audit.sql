@@ -0,0 +1,4 @@
+-- Audit of personal data redacted before letter text is sent to the LLM
+-- One entry per model call: [{ stage, redactedAt, total, counts, items: [{ token, type, label, occurrences, fingerprint }] }]
+-- Only SHA-256 fingerprints are stored, never the redacted values themselves
+alter table public.cla_letters add column if not exists redaction_audit jsonb;
@@ -0,0 +1,33 @@
+-- Version history for generated letters: every generation, revision and restore adds a row.
+-- cla_letters.ai_response always holds the latest version's content.
+create table if not exists public.cla_letter_versions (
+  id uuid primary key default gen_random_uuid(),
+  letter_id uuid not null references public.cla_letters(id) on delete cascade,
+  version_number integer not null,
+  content text not null,
+  author text, -- email of the user who generated, revised or restored the letter
+  source text not null check (source in ('generate','revise','restore')),
+  instruction text, -- the user's revision instruction, or "Restored version N"
+  restored_from uuid references public.cla_letter_versions(id),
+  created_at timestamptz not null default now(),
+  unique (letter_id, version_number)
+);
+
+create index if not exists idx_cla_letter_versions_letter on public.cla_letter_versions (letter_id, version_number desc);
+
+alter table public.cla_letter_versions enable row level security;
+
+-- Server-only access, like cla_letters
+drop policy if exists "deny_all_cla_letter_versions" on public.cla_letter_versions;
+create policy "deny_all_cla_letter_versions" on public.cla_letter_versions
+  as permissive for all
+  to public
+  using (false)
+  with check (false);
+
+-- Existing letters become version 1
+insert into public.cla_letter_versions (letter_id, version_number, content, author, source, created_at)
+select l.id, 1, l.ai_response, l.user_email, 'generate', l.created_at
+from public.cla_letters l
+where l.ai_response is not null
+  and not exists (select 1 from public.cla_letter_versions v where v.letter_id = l.id);
@@ -0,0 +1,28 @@
+-- Sender details used to assemble letters (letterhead, RE: line and signature)
+-- Keyed by email because cla_letters records are keyed by user_email
+create table if not exists public.user_profiles (
+  id uuid primary key default gen_random_uuid(),
+  email text unique not null,
+  full_name text,
+  street_address text,
+  city_state_zip text,
+  phone text,
+  policyholder_id text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table public.user_profiles enable row level security;
+
+-- Server-only access, like cla_letters
+drop policy if exists "deny_all_user_profiles" on public.user_profiles;
+create policy "deny_all_user_profiles" on public.user_profiles
+  as permissive for all
+  to public
+  using (false)
+  with check (false);
+
+drop trigger if exists update_user_profiles_updated_at on public.user_profiles;
+create trigger update_user_profiles_updated_at
+  before update on public.user_profiles
+  for each row execute function public.update_updated_at_column();
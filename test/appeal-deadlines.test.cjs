@@ -0,0 +1,76 @@
+// Appeal deadline tests (netlify/functions/_appeal-deadlines.js): date arithmetic, stated appeal
+// windows and the deadline block stored with each case.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const deadlines = require('../netlify/functions/_appeal-deadlines.js');
+
+const { addPeriod, computeDeadlines, findStatedAppealDays, normalizeState, stateFromCityLine } = deadlines;
+
+test('month and year steps clamp to the end of the target month', () => {
+  assert.equal(addPeriod('2024-01-31', { months: 1 }), '2024-02-29');
+  assert.equal(addPeriod('2024-02-29', { years: 1 }), '2025-02-28');
+  assert.equal(addPeriod('2024-12-31', { days: 1 }), '2025-01-01');
+});
+
+test('addPeriod refuses dates that are not real days', () => {
+  assert.equal(addPeriod('2024-02-30', { days: 1 }), null);
+  assert.equal(addPeriod('2024-13-01', { months: 1 }), null);
+  assert.equal(addPeriod('03/05/2024', { days: 1 }), null);
+  assert.equal(addPeriod(null, { days: 1 }), null);
+});
+
+test('an invalid denial date leaves every deadline undated with a note', () => {
+  const result = computeDeadlines({ denialDate: '2024-31-03', state: 'TX', coverageLine: 'health' });
+  assert.equal(result.denialDate, null);
+  assert.equal(result.internalAppeal.date, null);
+  assert.equal(result.externalReview.date, null);
+  assert.equal(result.suitLimitation.date, null);
+  assert.deepEqual(result.notes, ['Denial date "2024-31-03" is not a valid date; deadlines cannot be dated.']);
+});
+
+test('a missing denial date and unknown state and line are noted', () => {
+  const result = computeDeadlines();
+  assert.equal(result.denialDate, null);
+  assert.equal(result.state, null);
+  assert.equal(result.notes.length, 3);
+});
+
+test('a written-out denial date is read the way claim extraction reads it', () => {
+  assert.equal(computeDeadlines({ denialDate: '5 de marzo de 2024' }).denialDate, '2024-03-05');
+  assert.equal(computeDeadlines({ denialDate: 'March 5, 2024' }).denialDate, '2024-03-05');
+});
+
+test('health deadlines follow the federal rules', () => {
+  const result = computeDeadlines({ denialDate: '2024-03-05', state: 'Austin, TX 78701', coverageLine: 'health' });
+  assert.equal(result.state, 'TX');
+  assert.equal(result.internalAppeal.date, '2024-09-01');
+  assert.equal(result.externalReview.date, '2024-07-05');
+  assert.equal(result.suitLimitation.date, '2028-03-05');
+});
+
+test('a stated window shorter than the federal minimum is the deadline and the conflict is kept', () => {
+  const result = computeDeadlines({ denialDate: '2024-03-05', coverageLine: 'health', letterText: 'You may appeal within 60 days of this letter.' });
+  assert.equal(result.statedAppealDays, 60);
+  assert.equal(result.internalAppeal.date, '2024-05-04');
+  assert.equal(result.internalAppeal.federalMinimum.date, '2024-09-01');
+  assert.ok(result.internalAppeal.conflict);
+});
+
+test('appeal windows are found in English and Spanish wording', () => {
+  assert.equal(findStatedAppealDays('You may appeal within 60 days of this letter.'), 60);
+  assert.equal(findStatedAppealDays('Within sixty (60) calendar days you may request a review.'), 60);
+  assert.equal(findStatedAppealDays('Puede apelar esta decisión dentro de los 60 días siguientes.'), 60);
+  assert.equal(findStatedAppealDays('Tiene derecho a solicitar una revisión en un plazo de noventa (90) días.'), 90);
+  assert.equal(findStatedAppealDays('Dentro de 180 días puede pedir la reconsideración.'), 180);
+  assert.equal(findStatedAppealDays('Please pay within 30 days.'), null);
+});
+
+test('the state comes from a code, a name or the end of a city line', () => {
+  assert.equal(normalizeState('tx'), 'TX');
+  assert.equal(normalizeState('Texas'), 'TX');
+  assert.equal(stateFromCityLine('Austin, TX 78701'), 'TX');
+  assert.equal(stateFromCityLine('Austin'), null);
+  assert.equal(normalizeState(null), null);
+});
@@ -0,0 +1,67 @@
+// Appeal packet tests (netlify/functions/_appeal-packet.js): Bates options, matching uploaded files to
+// exhibits, and the page ranges of a built packet.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBates, batesSettings, matchFiles, buildAppealPacket } = require('../netlify/functions/_appeal-packet.js');
+
+const LETTER = { text: 'Jane Doe\n\nDear Claims Manager:\nPlease reconsider the denial.\n\nSincerely,\nJane Doe', options: { claimNumber: 'CLM-2024-001' } };
+
+test('Bates options are validated', () => {
+  assert.equal(validateBates(undefined), null);
+  assert.equal(validateBates(false), null);
+  assert.equal(validateBates({ prefix: 'ACME-', start: 5, digits: 4 }), null);
+  assert.equal(validateBates({ prefix: 'bad prefix!' }), 'Bates prefix must be up to 20 letters, digits, "-" or "_"');
+  assert.equal(validateBates({ start: 0 }), 'Bates start must be a whole number of at least 1');
+  assert.equal(validateBates({ digits: 12 }), 'Bates digits must be between 3 and 10');
+  assert.equal(validateBates('ACME'), 'bates must be an object ({ prefix, start, digits }) or false');
+});
+
+test('the Bates prefix defaults to the claim number', () => {
+  assert.deepEqual(batesSettings(undefined, 'clm 2024/001'), { prefix: 'CLM2024001-', start: 1, digits: 6 });
+  assert.deepEqual(batesSettings(undefined, null), { prefix: 'APPEAL-', start: 1, digits: 6 });
+  assert.equal(batesSettings(false, 'CLM-1'), null);
+});
+
+test('files are matched to exhibits by letter, then by name', () => {
+  const exhibits = [{ letter: 'A', name: 'estimate.pdf' }, { letter: 'B', name: 'photos.pdf' }];
+  const files = [
+    { name: 'photos.pdf', fileUrl: 'https://example.com/photos.pdf' },
+    { exhibit: 'a', fileUrl: 'https://example.com/a.pdf' },
+    { exhibit: 'Z', fileUrl: 'https://example.com/z.pdf' },
+    { name: 'estimate.pdf' },
+  ];
+  const { byExhibit, denial } = matchFiles(exhibits, { files });
+  assert.equal(byExhibit.get('A').fileUrl, 'https://example.com/a.pdf');
+  assert.equal(byExhibit.get('B').fileUrl, 'https://example.com/photos.pdf');
+  assert.equal(byExhibit.size, 2);
+  assert.equal(denial, null);
+});
+
+test('the denial goes to the exhibit made from the denial letter, else stays separate', () => {
+  const denialFile = { fileUrl: 'https://example.com/denial.pdf' };
+  const documents = [{ id: 'd1', role: 'denial_letter' }];
+  const exhibits = [{ letter: 'A', source: 'case', documentId: 'd1' }];
+  assert.equal(matchFiles(exhibits, { denial: denialFile, documents }).byExhibit.get('A'), denialFile);
+  assert.equal(matchFiles([], { denial: denialFile, documents }).denial, denialFile);
+});
+
+test('each packet section carries its Bates range', async () => {
+  const packet = await buildAppealPacket({
+    letter: LETTER,
+    exhibits: [{ letter: 'A', source: 'case', documentId: 'd1', description: 'Repair estimate' }],
+    documents: [{ id: 'd1', role: 'other', text: 'Estimate: $1,250.00' }],
+    bates: { prefix: 'ACME-', start: 5, digits: 4 },
+  });
+  assert.equal(packet.pageCount, 3);
+  assert.deepEqual(packet.sections.map(section => [section.title, section.firstPage, section.bates]), [
+    ['Appeal letter', 1, ['ACME-0005', 'ACME-0005']],
+    ['Exhibit A: Repair estimate', 2, ['ACME-0006', 'ACME-0007']],
+  ]);
+});
+
+test('a packet without Bates numbers has no ranges', async () => {
+  const packet = await buildAppealPacket({ letter: LETTER, bates: false });
+  assert.deepEqual(packet.sections.map(section => section.bates), [null]);
+});
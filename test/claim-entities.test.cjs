@@ -0,0 +1,101 @@
+// Claim fact extraction tests (netlify/functions/_claim-entities.js): date and amount parsing and the
+// facts pulled from English and Spanish denial letters.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const claimEntities = require('../netlify/functions/_claim-entities.js');
+
+const { parseDate, parseAmount, dateMatches, amountMatches, extractClaimEntities } = claimEntities;
+
+test('numeric dates are read month first unless the letter reads them day first', () => {
+  assert.equal(parseDate('03/04/2024'), '2024-03-04');
+  assert.equal(parseDate('03/04/2024', { dayFirst: true }), '2024-04-03');
+  assert.equal(parseDate('3-4-24', { dayFirst: true }), '2024-04-03');
+});
+
+test('a numeric date that cannot be read in the preferred order is read the other way', () => {
+  assert.equal(parseDate('31/03/2024'), '2024-03-31');
+  assert.equal(parseDate('03/31/2024', { dayFirst: true }), '2024-03-31');
+});
+
+test('impossible dates are null instead of rolling over', () => {
+  assert.equal(parseDate('2024-02-31'), null);
+  assert.equal(parseDate('2023-02-29'), null);
+  assert.equal(parseDate('13/45/2024'), null);
+  assert.equal(parseDate('February 30, 2024'), null);
+  assert.equal(parseDate('31 de febrero de 2025'), null);
+  assert.equal(parseDate('2024-02-29'), '2024-02-29');
+});
+
+test('written-out English, Spanish, Vietnamese and Chinese dates are read', () => {
+  assert.equal(parseDate('July 9, 2025'), '2025-07-09');
+  assert.equal(parseDate('Sept. 9, 2025'), '2025-09-09');
+  assert.equal(parseDate('9 de julio de 2025'), '2025-07-09');
+  assert.equal(parseDate('9 de setiembre del 2025'), '2025-09-09');
+  assert.equal(parseDate('ngày 9 tháng 7 năm 2025'), '2025-07-09');
+  assert.equal(parseDate('2025年7月9日'), '2025-07-09');
+  assert.equal(parseDate('not a date'), null);
+  assert.equal(parseDate(null), null);
+});
+
+test('dates in running text are found in order and read in the letter language', () => {
+  const found = dateMatches('Denied on 05/03/2024 for the loss of 2 de enero de 2024.', { language: 'es' });
+  assert.deepEqual(found.map(item => item.date), ['2024-03-05', '2024-01-02']);
+  assert.deepEqual(dateMatches('Denied on 05/03/2024.').map(item => item.date), ['2024-05-03']);
+});
+
+test('US and decimal-comma amounts are read', () => {
+  assert.equal(parseAmount('$1,250.00'), 1250);
+  assert.equal(parseAmount('1,250'), 1250);
+  assert.equal(parseAmount('$1.250,00'), 1250);
+  assert.equal(parseAmount('250,50'), 250.5);
+  assert.equal(parseAmount(300), 300);
+  assert.equal(parseAmount('n/a'), null);
+  assert.deepEqual(amountMatches('Paid $1,250.00 and 300,00 USD of 12 items').map(item => item.amount), [1250, 300]);
+});
+
+test('an English denial letter yields its claim facts', () => {
+  const entities = extractClaimEntities([
+    'Acme Mutual Insurance Company',
+    '100 Main Street',
+    'Austin, TX 78701',
+    'Date: July 9, 2025',
+    'Claim number: CLM-2025-0042',
+    'Policy number: HO-77812',
+    'Date of loss: 06/01/2025',
+    'Amount claimed: $12,400.00',
+    'Amount paid: $0.00',
+    'Your claim is denied under Section I, Exclusion 2(b).',
+  ].join('\n'));
+  assert.equal(entities.insurer.name, 'Acme Mutual Insurance Company');
+  assert.equal(entities.insurer.address, '100 Main Street\nAustin, TX 78701');
+  assert.equal(entities.claimNumber, 'CLM-2025-0042');
+  assert.equal(entities.policyNumber, 'HO-77812');
+  assert.equal(entities.denialDate, '2025-07-09');
+  assert.equal(entities.dateOfLoss, '2025-06-01');
+  assert.equal(entities.amountClaimed, 12400);
+  assert.equal(entities.amountPaid, 0);
+});
+
+test('a Spanish denial letter reads day-first dates, Spanish labels and decimal-comma amounts', () => {
+  const entities = extractClaimEntities([
+    'Fecha: 5 de marzo de 2024',
+    'Número de reclamación: RC-12345',
+    'Fecha de la pérdida: 02/01/2024',
+    'Monto reclamado: $1.250,00',
+    'Monto pagado: 300,00',
+    'Su reclamación ha sido denegada.',
+  ].join('\n'));
+  assert.equal(entities.claimNumber, 'RC-12345');
+  assert.equal(entities.denialDate, '2024-03-05');
+  assert.equal(entities.dateOfLoss, '2024-01-02');
+  assert.equal(entities.amountClaimed, 1250);
+  assert.equal(entities.amountPaid, 300);
+});
+
+test('an impossible date in the letter is left out rather than rolled over', () => {
+  const entities = extractClaimEntities('Claim number: CLM-1001\nDate: 02/30/2024\nDate of loss: 2024-13-01');
+  assert.equal(entities.denialDate, null);
+  assert.equal(entities.dateOfLoss, null);
+});
@@ -0,0 +1,62 @@
+// Fact check tests (netlify/functions/_fact-check.js): values a generated letter states are compared
+// with the claim facts from the denial.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkFacts, letterBody, pendingFactCheck } = require('../netlify/functions/_fact-check.js');
+
+const ENTITIES = {
+  claimNumber: 'CLM-2024-001',
+  policyNumber: 'POL-778',
+  insurer: { name: 'Acme Mutual Insurance Company', address: null },
+  adjuster: { name: null, phone: null, email: null },
+  dateOfLoss: '2024-01-02',
+  denialDate: '2024-03-05',
+  amountClaimed: 1250,
+  amountPaid: 300,
+  policySections: [],
+};
+
+test('a letter that states only known facts needs no acknowledgement', () => {
+  const result = checkFacts('I appeal the denial of claim number CLM-2024-001, dated March 5, 2024. Acme Mutual paid $300.00 of $1,250.00, leaving $950.00.', { entities: ENTITIES });
+  assert.deepEqual(result.mismatches, []);
+  assert.deepEqual(result.unsupported, []);
+  assert.equal(result.requiresAcknowledgement, false);
+});
+
+test('a wrong claim number or date of loss is a mismatch', () => {
+  const result = checkFacts('Claim number CLM-2024-009 concerns the date of loss January 3, 2024.', { entities: ENTITIES });
+  assert.deepEqual(result.mismatches, [
+    { field: 'claimNumber', label: 'Claim number', found: 'CLM-2024-009', expected: 'CLM-2024-001' },
+    { field: 'dateOfLoss', label: 'Date of loss', found: 'January 3, 2024', expected: '2024-01-02' },
+  ]);
+  assert.equal(result.requiresAcknowledgement, true);
+});
+
+test('an amount no source supports is unsupported', () => {
+  const result = checkFacts('The repairs cost $4,000.00.', { entities: ENTITIES });
+  assert.deepEqual(result.unsupported, [{ type: 'amount', label: 'Dollar amount', value: '$4,000.00' }]);
+});
+
+test('amounts printed in the denial are supported', () => {
+  const result = checkFacts('The deductible is $500.00.', { entities: ENTITIES, sourceTexts: ['Your deductible of $500.00 applies.'] });
+  assert.deepEqual(result.unsupported, []);
+});
+
+test('a Spanish letter is read with day-first dates and decimal-comma amounts', () => {
+  const result = checkFacts('Apelo la denegación de la reclamación número CLM-2024-001 del 5/3/2024 por 950,00 USD.', { entities: ENTITIES, language: 'es' });
+  assert.equal(result.checked, 3);
+  assert.equal(result.requiresAcknowledgement, false);
+});
+
+test('the body is the text between the salutation and the closing', () => {
+  assert.equal(letterBody('Jane Doe\n\nDear Claims Manager:\nFirst line.\nSecond line.\nSincerely,\nJane Doe'), 'First line.\nSecond line.');
+});
+
+test('an acknowledged check no longer blocks the letter', () => {
+  const factCheck = { requiresAcknowledgement: true };
+  assert.equal(pendingFactCheck({ fact_check: factCheck }), factCheck);
+  assert.equal(pendingFactCheck({ fact_check: factCheck, fact_check_acknowledged_at: '2024-03-06T00:00:00Z' }), null);
+  assert.equal(pendingFactCheck({ fact_check: { requiresAcknowledgement: false } }), null);
+});
@@ -0,0 +1,135 @@
+// Provider layer tests (netlify/functions/_llm.js), run against the mock provider with no network access.
+// Run with: npm test
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../netlify/functions/_llm.js');
+
+const MESSAGES = [{ role: 'user', content: 'INSTRUCTION:\nShorter\n\nCURRENT LETTER:\nDear Claims Manager,' }];
+const ENV_NAMES = ['LLM_MAX_RETRIES_REVISION', 'LLM_TIMEOUT_MS_REVISION', 'LLM_BUDGET_MS_REVISION'];
+
+afterEach(() => {
+  for (const name of ENV_NAMES) delete process.env[name];
+});
+
+// A provider that fails (or hangs) the way the test needs, counting its calls
+function scriptedProvider(name, behaviour) {
+  const provider = {
+    name,
+    calls: 0,
+    available: () => true,
+    async complete(request) {
+      provider.calls++;
+      return behaviour(provider.calls, request);
+    },
+  };
+  return provider;
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+const hang = () => new Promise(() => {});
+
+test('the mock provider answers from fixtures and reports its model as mock', async () => {
+  const result = await llm.complete('revision', { messages: MESSAGES }, { providers: [llm.createMockProvider()] });
+  assert.equal(result.content, 'Dear Claims Manager,');
+  assert.equal(result.provider, 'mock');
+  assert.equal(result.model, 'mock');
+});
+
+test('a retryable failure falls back to the next provider', async () => {
+  process.env.LLM_MAX_RETRIES_REVISION = '0';
+  const failing = scriptedProvider('primary', () => { throw httpError(503); });
+  const result = await llm.complete('revision', { messages: MESSAGES }, { providers: [failing, llm.createMockProvider()] });
+  assert.equal(failing.calls, 1);
+  assert.equal(result.provider, 'mock');
+});
+
+test('a retryable failure is retried on the same provider first', async () => {
+  process.env.LLM_MAX_RETRIES_REVISION = '1';
+  const flaky = scriptedProvider('primary', calls => {
+    if (calls === 1) throw httpError(429);
+    return { content: 'second try', usage: null };
+  });
+  const result = await llm.complete('revision', { messages: MESSAGES }, { providers: [flaky, llm.createMockProvider()] });
+  assert.equal(flaky.calls, 2);
+  assert.equal(result.provider, 'primary');
+  assert.equal(result.content, 'second try');
+});
+
+test('a bad request is not retried or passed to the next provider', async () => {
+  process.env.LLM_MAX_RETRIES_REVISION = '2';
+  const rejecting = scriptedProvider('primary', () => { throw httpError(400); });
+  const mock = llm.createMockProvider();
+  await assert.rejects(
+    llm.complete('revision', { messages: MESSAGES }, { providers: [rejecting, mock] }),
+    error => error instanceof llm.LLMError && error.status === 400 && !error.retryable,
+  );
+  assert.equal(rejecting.calls, 1);
+});
+
+test('an attempt that hangs times out and falls back, even if the provider ignores the signal', async () => {
+  process.env.LLM_MAX_RETRIES_REVISION = '0';
+  process.env.LLM_TIMEOUT_MS_REVISION = '50';
+  const hanging = scriptedProvider('primary', hang);
+  const result = await llm.complete('revision', { messages: MESSAGES }, { providers: [hanging, llm.createMockProvider()] });
+  assert.equal(hanging.calls, 1);
+  assert.equal(result.provider, 'mock');
+});
+
+test('the last timeout is thrown when every provider times out', async () => {
+  process.env.LLM_MAX_RETRIES_REVISION = '0';
+  process.env.LLM_TIMEOUT_MS_REVISION = '50';
+  await assert.rejects(
+    llm.complete('revision', { messages: MESSAGES }, { providers: [scriptedProvider('primary', hang)] }),
+    error => error instanceof llm.LLMError && error.retryable && /timed out after 50 ms/.test(error.message),
+  );
+});
+
+test('no retry is started once the budget is spent', async () => {
+  process.env.LLM_MAX_RETRIES_REVISION = '5';
+  process.env.LLM_BUDGET_MS_REVISION = '1000';
+  const failing = scriptedProvider('primary', () => { throw httpError(503); });
+  const mock = llm.createMockProvider();
+  const started = Date.now();
+  await assert.rejects(
+    llm.complete('revision', { messages: MESSAGES }, { providers: [failing, mock] }),
+    error => error.status === 503,
+  );
+  assert.equal(failing.calls, 1);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('a stream is read to the end within its timeout', async () => {
+  process.env.LLM_TIMEOUT_MS_REVISION = '1000';
+  const { stream, model } = await llm.stream('revision', { messages: MESSAGES }, { providers: [llm.createMockProvider()] });
+  let text = '';
+  for await (const delta of stream) text += delta;
+  assert.equal(text, 'Dear Claims Manager,');
+  assert.equal(model, 'mock');
+});
+
+test('a stream that stalls while it is read times out', async () => {
+  process.env.LLM_TIMEOUT_MS_REVISION = '100';
+  const stalling = {
+    name: 'primary',
+    available: () => true,
+    async stream() {
+      return (async function* () {
+        yield 'Dear ';
+        await hang();
+      })();
+    },
+  };
+  const { stream } = await llm.stream('revision', { messages: MESSAGES }, { providers: [stalling] });
+  const deltas = [];
+  await assert.rejects(
+    (async () => {
+      for await (const delta of stream) deltas.push(delta);
+    })(),
+    error => error instanceof llm.LLMError && /timed out after 100 ms/.test(error.message),
+  );
+  assert.deepEqual(deltas, ['Dear ']);
+});
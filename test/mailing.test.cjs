@@ -0,0 +1,64 @@
+// Mailing tests (netlify/functions/_mailing.js): render options, tracking details and the certified
+// mail log.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const mailing = require('../netlify/functions/_mailing.js');
+
+const TRACKING_NUMBER = '9407 1000 0000 0000 0000 00';
+const LETTER = { text: 'Jane Doe\n12 Oak Street\nAustin, TX 78702\n\nDear Claims Manager:\nPlease reconsider.\n\nSincerely,\nJane Doe', options: {} };
+const ENTITIES = { claimNumber: 'CLM-2024-001', insurer: { name: 'Acme Mutual Insurance Company', address: '100 Main Street\nAustin, TX 78701' } };
+
+test('render options are validated', () => {
+  assert.deepEqual(mailing.validateMailingOptions({ document: 'envelope' }), []);
+  assert.deepEqual(mailing.validateMailingOptions({ document: 'faxCover', faxNumber: '(555) 010-2000', pages: 4, message: 'Appeal enclosed.' }), []);
+  assert.deepEqual(mailing.validateMailingOptions({ document: 'poster', certified: 'yes', pages: 0, recipient: ['x'.repeat(81)] }), [
+    'Unknown document "poster". Expected envelope, label, faxCover, mailLog',
+    'certified must be true or false',
+    'pages must be a whole number from 1 to 999',
+    'recipient must be a list of up to 6 address lines',
+  ]);
+});
+
+test('a Certified Mail number with spaces and a real mailing date is valid', () => {
+  assert.equal(mailing.validateTracking({ trackingNumber: TRACKING_NUMBER, mailedOn: '2024-03-06' }), null);
+  assert.equal(mailing.validateTracking({ trackingNumber: '94071000000000000000' }), null);
+  assert.equal(mailing.formatTrackingNumber('9407100000000000000000'), TRACKING_NUMBER);
+});
+
+test('tracking numbers that are not 20 to 22 digits are refused', () => {
+  const message = 'trackingNumber must be a USPS Certified Mail number (20 to 22 digits)';
+  assert.equal(mailing.validateTracking({ trackingNumber: '1Z999AA10123456784' }), message);
+  assert.equal(mailing.validateTracking({ trackingNumber: '9407'.repeat(6) }), message);
+  assert.equal(mailing.validateTracking({ trackingNumber: null }), message);
+});
+
+test('impossible, malformed and future mailing dates are refused', () => {
+  assert.equal(mailing.validateTracking({ trackingNumber: TRACKING_NUMBER, mailedOn: '2025-02-30' }), 'mailedOn must be a date (YYYY-MM-DD)');
+  assert.equal(mailing.validateTracking({ trackingNumber: TRACKING_NUMBER, mailedOn: '03/06/2024' }), 'mailedOn must be a date (YYYY-MM-DD)');
+  assert.equal(mailing.validateTracking({ trackingNumber: TRACKING_NUMBER, mailedOn: 20240306 }), 'mailedOn must be a date (YYYY-MM-DD)');
+  const nextYear = `${new Date().getUTCFullYear() + 1}-01-01`;
+  assert.equal(mailing.validateTracking({ trackingNumber: TRACKING_NUMBER, mailedOn: nextYear }), 'mailedOn can\'t be in the future');
+});
+
+test('the insurer fax number is read from the denial', () => {
+  assert.equal(mailing.findFaxNumber('Appeals Unit\nFax: (555) 010-2000\nPhone: 555-010-3000'), '(555) 010-2000');
+  assert.equal(mailing.findFaxNumber('Phone: 555-010-3000'), null);
+});
+
+test('an envelope without an insurer address is refused with 422', async () => {
+  await assert.rejects(
+    mailing.buildMailingDocument('envelope', { record: { claim_entities: {} }, letter: LETTER, profile: {} }),
+    error => error instanceof mailing.MailingAddressError && error.statusCode === 422,
+  );
+});
+
+test('a mail log listing every exhibit continues on a second page', async () => {
+  const exhibits = Array.from({ length: 26 }, (_, index) => ({ letter: String.fromCharCode(65 + index), description: 'Medical record from the treating physician' }));
+  const short = await mailing.buildMailingDocument('mailLog', { record: { claim_entities: ENTITIES, exhibits: exhibits.slice(0, 2) }, letter: LETTER, profile: {} });
+  const long = await mailing.buildMailingDocument('mailLog', { record: { claim_entities: ENTITIES, exhibits }, letter: LETTER, profile: {} });
+  assert.equal((await PDFDocument.load(short.bytes)).getPageCount(), 1);
+  assert.equal((await PDFDocument.load(long.bytes)).getPageCount(), 2);
+});
@@ -0,0 +1,70 @@
+// Redaction tests (netlify/functions/_redaction.js): personal data is tokenized before it reaches a
+// model and restored in the reply.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const redaction = require('../netlify/functions/_redaction.js');
+
+const LETTER = [
+  'SSN: 123-45-6789',
+  'Member ID: ABC123456',
+  'DOB: 01/02/1980',
+  'Card 4111 1111 1111 1111',
+  'Diagnosis: lumbar strain',
+  'Please quote SSN 123-45-6789 on all correspondence.',
+].join('\n');
+
+test('personal data is replaced by tokens, the same value by the same token', () => {
+  const vault = redaction.createVault();
+  const redacted = redaction.redactText(vault, LETTER);
+  assert.equal(redacted, [
+    'SSN: {{SSN_1}}',
+    'Member ID: {{MEMBER_ID_1}}',
+    'DOB: {{DOB_1}}',
+    'Card {{CARD_NUMBER_1}}',
+    'Diagnosis: {{DIAGNOSIS_1}}',
+    'Please quote SSN {{SSN_1}} on all correspondence.',
+  ].join('\n'));
+  assert.equal(redaction.restoreText(vault, redacted), LETTER);
+});
+
+test('a number that fails the card checksum is not redacted as a card', () => {
+  const vault = redaction.createVault();
+  assert.equal(redaction.redactText(vault, 'Reference 4111 1111 1111 1112'), 'Reference 4111 1111 1111 1112');
+});
+
+test('tokens the vault does not know are left as written', () => {
+  const vault = redaction.createVault();
+  assert.equal(redaction.restoreText(vault, 'Your SSN is {{SSN_9}}.'), 'Your SSN is {{SSN_9}}.');
+});
+
+test('a token split across stream chunks is held back until it is complete', () => {
+  const vault = redaction.createVault();
+  redaction.redactText(vault, 'SSN: 123-45-6789');
+  const restorer = redaction.createStreamRestorer(vault);
+  assert.equal(restorer.push('My SSN is {{SS'), 'My SSN is ');
+  assert.equal(restorer.push('N_1}} and'), '123-45-6789 and');
+  assert.equal(restorer.push(' {'), ' ');
+  assert.equal(restorer.flush(), '{');
+});
+
+test('the audit records counts and fingerprints, never the values', () => {
+  const vault = redaction.createVault();
+  redaction.redactText(vault, LETTER);
+  const audit = redaction.auditRecord(vault, 'analysis');
+  assert.equal(audit.stage, 'analysis');
+  assert.equal(audit.counts.ssn, 1);
+  assert.equal(audit.items.find(item => item.type === 'ssn').occurrences, 2);
+  assert.ok(!JSON.stringify(audit).includes('123-45-6789'));
+});
+
+test('values an earlier audit recorded are redacted again', () => {
+  const first = redaction.createVault();
+  redaction.redactText(first, 'Member ID: ABC123456');
+  const audit = redaction.auditRecord(first, 'analysis');
+
+  const vault = redaction.createVault();
+  redaction.addKnownValues(vault, ['ABC123456', 'CLM-1'], audit);
+  assert.equal(redaction.redactText(vault, 'Policy ABC123456, claim CLM-1'), 'Policy {{MEMBER_ID_1}}, claim CLM-1');
+});
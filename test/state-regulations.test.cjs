@@ -0,0 +1,43 @@
+// Citation filter tests (netlify/functions/_state-regulations.js): statutes a generated letter cites
+// are checked against the regulations table for the case.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { relevantRegulations, extractCitations, checkCitations } = require('../netlify/functions/_state-regulations.js');
+
+const TEXAS_HEALTH = relevantRegulations({ state: 'TX', coverageLine: 'health' });
+
+test('entries cover the state and the federal rules for the line of coverage', () => {
+  const citations = TEXAS_HEALTH.map(entry => entry.citation);
+  assert.ok(citations.includes('Tex. Ins. Code § 542.055'));
+  assert.ok(citations.includes('45 C.F.R. § 147.136'));
+  assert.deepEqual(relevantRegulations({ state: null, coverageLine: 'unknown' }), []);
+});
+
+test('citations are found with their code name and section', () => {
+  const [citation] = extractCitations('See Tex. Ins. Code § 542.055.');
+  assert.equal(citation.text, 'Tex. Ins. Code § 542.055');
+  assert.ok(citation.code);
+});
+
+test('a known citation is kept and an unknown one is removed with its sentence', () => {
+  const result = checkCitations('The insurer must decide promptly (Tex. Ins. Code § 542.055). Under Tex. Ins. Code § 999.999 the insurer owes triple damages. Section 4 of the policy applies.', TEXAS_HEALTH);
+  assert.equal(result.text, 'The insurer must decide promptly (Tex. Ins. Code § 542.055). Section 4 of the policy applies.');
+  assert.deepEqual(result.citationCheck.verified, ['Tex. Ins. Code § 542.055']);
+  assert.deepEqual(result.citationCheck.removed, ['Tex. Ins. Code § 999.999']);
+  assert.deepEqual(result.citationCheck.unverified, []);
+});
+
+test('an unknown citation in a parenthetical is removed with the parenthetical only', () => {
+  const result = checkCitations('The claim must be paid promptly (Tex. Ins. Code § 999.999).', TEXAS_HEALTH);
+  assert.equal(result.text, 'The claim must be paid promptly.');
+  assert.deepEqual(result.citationCheck.removed, ['Tex. Ins. Code § 999.999']);
+});
+
+test('a letter with no citations is unchanged', () => {
+  const text = 'Please reconsider the denial of my claim.';
+  const result = checkCitations(text, TEXAS_HEALTH);
+  assert.equal(result.text, text);
+  assert.equal(result.citationCheck.checked, 0);
+});